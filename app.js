@@ -36,6 +36,13 @@ const pinRoutes = require("./app/routes/pinRoutes");
 const packageRoutes = require("./app/routes/PackageRoutes");
 const withDrawRoutes = require("./app/routes/withDrawRoute");
 const updateUserRoutes = require("./app/routes/updateUserRoute");
+const walletRoutes = require("./app/routes/walletRoutes");
+const commissionPlanRoutes = require("./app/routes/commissionPlanRoutes");
+const adminRoutes = require("./app/routes/adminRoutes");
+const rankRoutes = require("./app/routes/rankRoutes");
+const renewalRoutes = require("./app/routes/renewalRoutes");
+const packageUpgradeRoutes = require("./app/routes/packageUpgradeRoutes");
+const turnoverPoolRoutes = require("./app/routes/turnoverPoolRoutes");
 
 app.use("/api/users", userRoutes);
 app.use("/api/auth", authRoutes);
@@ -43,7 +50,14 @@ app.use("/api/pin", pinRoutes);
 app.use("/api/packages", packageRoutes);
 app.use("/api/withdraw", withDrawRoutes);
 app.use("/api/update/user/", updateUserRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/api/commission-plans", commissionPlanRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/ranks", rankRoutes);
+app.use("/api/renewals", renewalRoutes);
+app.use("/api/upgrades", packageUpgradeRoutes);
+app.use("/api/turnover-pools", turnoverPoolRoutes);
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
\ No newline at end of file
+app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
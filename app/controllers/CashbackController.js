@@ -0,0 +1,116 @@
+const CashbackSchedule = require("../models/CashbackScheduleModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const cashbackService = require("../services/CashbackService");
+const { CASHBACK_USAGES } = require("../../constants/cashbackConstant");
+
+class CashbackController {
+  // Cashback Policy Validation Schema (all fields optional for partial updates)
+  cashbackPolicySchema = Joi.object({
+    usage: Joi.string().valid(...Object.values(CASHBACK_USAGES)),
+    instalments: Joi.number().integer().min(1).max(36),
+  }).min(1);
+
+  constructor() {
+    this.getCashbackPolicy = this.getCashbackPolicy.bind(this);
+    this.updateCashbackPolicy = this.updateCashbackPolicy.bind(this);
+    this.releaseDueCashback = this.releaseDueCashback.bind(this);
+    this.getMyCashback = this.getMyCashback.bind(this);
+  }
+
+  // Method for admin to view the cashback policy
+  async getCashbackPolicy(req, res) {
+    try {
+      const policy = await cashbackService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Cashback policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getCashbackPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to change how cashback is paid and spent
+  async updateCashbackPolicy(req, res) {
+    const { error, value } = this.cashbackPolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during cashback policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await cashbackService.updatePolicy(value, req.user.id);
+
+      logger.info(`Cashback policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Cashback policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateCashbackPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to release every cashback instalment that has fallen due
+  async releaseDueCashback(req, res) {
+    try {
+      const result = await cashbackService.releaseDueInstalments();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Due cashback released successfully",
+            result
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in releaseDueCashback: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see their cashback and when the rest is released
+  async getMyCashback(req, res) {
+    try {
+      const [schedules, policy] = await Promise.all([
+        CashbackSchedule.find({ user: req.user.id }).sort({ createdAt: -1 }),
+        cashbackService.getPolicy(),
+      ]);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Cashback retrieved successfully",
+          {
+            usage: policy.usage,
+            schedules,
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyCashback: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new CashbackController();
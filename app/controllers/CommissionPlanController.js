@@ -0,0 +1,449 @@
+const mongoose = require("mongoose");
+const CommissionPlan = require("../models/CommissionPlanModel");
+const PackageModel = require("../models/PackageModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const commissionPlanService = require("../services/CommissionPlanService");
+const commissionDistributionService = require("../services/CommissionDistributionService");
+const commissionSimulationService = require("../services/CommissionSimulationService");
+const {
+  LEVEL_INCOME_TYPES,
+  PLAN_TYPES,
+  UNPAID_SHARE_MODES,
+} = require("../../constants/commissionConstant");
+
+// Plan fields shared by creation and update
+const planFields = {
+  effectiveFrom: Joi.date(),
+  directIncome: Joi.number().min(0).precision(2),
+  cashback: Joi.number().min(0).precision(2),
+  levelIncomeType: Joi.string().valid(...Object.values(LEVEL_INCOME_TYPES)),
+  levelIncomes: Joi.array()
+    .items(
+      Joi.object({
+        level: Joi.number().integer().min(1).required(),
+        value: Joi.number().min(0).required(),
+      })
+    )
+    .unique("level"),
+  defaultLevelIncome: Joi.number().min(0),
+  notes: Joi.string().max(255).allow(""),
+};
+
+class CommissionPlanController {
+  // Commission Plan Creation Validation Schema
+  createPlanSchema = Joi.object({
+    ...planFields,
+    packageId: Joi.string().required(),
+    planType: Joi.string()
+      .valid(...Object.values(PLAN_TYPES))
+      .default(PLAN_TYPES.REGISTRATION),
+    effectiveFrom: planFields.effectiveFrom.default(() => new Date()),
+    directIncome: planFields.directIncome.required(),
+    levelIncomeType: planFields.levelIncomeType.default(
+      LEVEL_INCOME_TYPES.AMOUNT
+    ),
+    levelIncomes: planFields.levelIncomes.default([]),
+  });
+
+  // Commission Plan Update Validation Schema (all fields optional)
+  updatePlanSchema = Joi.object(planFields).min(1);
+
+  // Level Income Policy Validation Schema (all fields optional for partial updates)
+  levelIncomePolicySchema = Joi.object({
+    maxDepth: Joi.number().integer().min(1).max(50),
+    requireActive: Joi.boolean(),
+    requireValidity: Joi.boolean(),
+    minimumDirectReferrals: Joi.number().integer().min(0),
+    unpaidShareMode: Joi.string().valid(...Object.values(UNPAID_SHARE_MODES)),
+  }).min(1);
+
+  // Commission Simulation Validation Schema
+  simulationSchema = Joi.object({
+    registrations: Joi.array()
+      .items(
+        Joi.object({
+          sponsorReferralCode: Joi.string().required(),
+          packageId: Joi.string().required(),
+          alias: Joi.string().max(30), // Lets later entries use this member as sponsor
+          count: Joi.number().integer().min(1).max(200).default(1),
+        })
+      )
+      .min(1)
+      .required(),
+    at: Joi.date(), // Simulate as of this time, e.g. a future plan version
+  }).custom((value, helpers) =>
+    value.registrations.reduce((total, item) => total + item.count, 0) > 200
+      ? helpers.message("A simulation can model at most 200 registrations")
+      : value
+  );
+
+  constructor() {
+    this.createPlan = this.createPlan.bind(this);
+    this.getPlans = this.getPlans.bind(this);
+    this.getPlanById = this.getPlanById.bind(this);
+    this.updatePlan = this.updatePlan.bind(this);
+    this.deletePlan = this.deletePlan.bind(this);
+    this.getLevelIncomePolicy = this.getLevelIncomePolicy.bind(this);
+    this.updateLevelIncomePolicy = this.updateLevelIncomePolicy.bind(this);
+    this.simulateRegistrations = this.simulateRegistrations.bind(this);
+  }
+
+  // Percentages above 100 would pay out more than the package price
+  validatePercentages(plan) {
+    if (plan.levelIncomeType !== LEVEL_INCOME_TYPES.PERCENTAGE) {
+      return null;
+    }
+
+    const values = [
+      plan.defaultLevelIncome || 0,
+      ...(plan.levelIncomes || []).map((item) => item.value),
+    ];
+    return values.some((value) => value > 100)
+      ? "Level income percentages cannot exceed 100"
+      : null;
+  }
+
+  // Create a new plan version for a package
+  async createPlan(req, res) {
+    const { error, value } = this.createPlanSchema.validate(req.body);
+    const validationMessage = error
+      ? error.details[0].message
+      : this.validatePercentages(value);
+    if (validationMessage) {
+      logger.warn(
+        `Validation error during commission plan creation: ${validationMessage}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(validationMessage));
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const packageDetails = await PackageModel.findById(
+        value.packageId
+      ).session(session);
+      if (!packageDetails) {
+        await session.abortTransaction();
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("Package not found"));
+      }
+
+      // Keep the pre-plan income as version 1 so older registrations stay explained
+      await commissionPlanService.ensureBaselinePlan(packageDetails, session);
+
+      const version = await commissionPlanService.getNextVersion(
+        packageDetails._id,
+        session
+      );
+
+      const [plan] = await CommissionPlan.create(
+        [{ ...value, version, createdBy: req.user.id }],
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Commission plan version ${version} for package ${packageDetails._id} created by admin ${req.user.id}`
+      );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission plan created successfully",
+            plan
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in createPlan: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // List plan versions, optionally for one package
+  async getPlans(req, res) {
+    try {
+      const query = {};
+      if (req.query.packageId) {
+        query.packageId = req.query.packageId;
+      }
+      if (req.query.planType) {
+        query.planType = req.query.planType;
+      }
+
+      const plans = await CommissionPlan.find(query)
+        .populate("packageId", "productName productPrice")
+        .sort({ packageId: 1, version: -1 });
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission plans retrieved successfully",
+            plans
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPlans: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Fetch one plan version
+  async getPlanById(req, res) {
+    try {
+      const plan = await CommissionPlan.findById(req.params.planId).populate(
+        "packageId",
+        "productName productPrice"
+      );
+      if (!plan) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Commission plan not found")
+          );
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission plan retrieved successfully",
+            plan
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPlanById: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Whether a plan version may still be changed or removed
+  async isPlanLocked(plan) {
+    if (plan.effectiveFrom <= new Date()) {
+      return true;
+    }
+    return !!(await WalletTransaction.exists({ commissionPlan: plan._id }));
+  }
+
+  // Edit a plan version that has not taken effect yet
+  async updatePlan(req, res) {
+    const { error, value } = this.updatePlanSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during commission plan update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const plan = await CommissionPlan.findById(req.params.planId);
+      if (!plan) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Commission plan not found")
+          );
+      }
+
+      // Payouts already made under a version must stay reproducible
+      if (await this.isPlanLocked(plan)) {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "This plan version is already in effect. Create a new version instead."
+            )
+          );
+      }
+
+      plan.set(value);
+
+      const percentageError = this.validatePercentages(plan);
+      if (percentageError) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(percentageError));
+      }
+
+      await plan.save();
+
+      logger.info(
+        `Commission plan ${plan._id} (version ${plan.version}) updated by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission plan updated successfully",
+            plan
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updatePlan: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Remove a plan version that has not taken effect yet
+  async deletePlan(req, res) {
+    try {
+      const plan = await CommissionPlan.findById(req.params.planId);
+      if (!plan) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Commission plan not found")
+          );
+      }
+
+      if (await this.isPlanLocked(plan)) {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "This plan version is already in effect and cannot be deleted"
+            )
+          );
+      }
+
+      await plan.deleteOne();
+
+      logger.info(
+        `Commission plan ${plan._id} (version ${plan.version}) deleted by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission plan deleted successfully"
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in deletePlan: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // View the level income distribution policy
+  async getLevelIncomePolicy(req, res) {
+    try {
+      const policy = await commissionDistributionService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Level income policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getLevelIncomePolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Update the level income distribution policy
+  async updateLevelIncomePolicy(req, res) {
+    const { error, value } = this.levelIncomePolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during level income policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await commissionDistributionService.updatePolicy(
+        value,
+        req.user.id
+      );
+
+      logger.info(`Level income policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Level income policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateLevelIncomePolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Dry-run registrations to see placement and who would be paid
+  async simulateRegistrations(req, res) {
+    // A single registration may be sent without the batch wrapper
+    const { at, ...single } = req.body || {};
+    const body =
+      req.body && req.body.registrations
+        ? req.body
+        : { registrations: [single], at };
+    const { error, value } = this.simulationSchema.validate(body);
+    if (error) {
+      logger.warn(
+        `Validation error during commission simulation: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const result = await commissionSimulationService.simulate(
+        value.registrations,
+        value.at
+      );
+      if (result.error) {
+        logger.warn(`Commission simulation not run: ${result.error}`);
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      logger.info(
+        `Commission simulation of ${result.totals.registrations} registrations run by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Commission simulation completed successfully",
+            result
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in simulateRegistrations: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new CommissionPlanController();
@@ -0,0 +1,220 @@
+const { User } = require("../models/DataBaseModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const { StatusCodes } = require("http-status-codes");
+const taxDeductionService = require("../services/TaxDeductionService");
+const { toCsv } = require("../../utils/csvWriter");
+const { buildTablePdf } = require("../../utils/pdfDocument");
+
+class DeductionController {
+  // Deduction Certificate Validation Schema
+  certificateSchema = Joi.object({
+    financialYear: Joi.string().pattern(/^\d{4}-\d{2}$/),
+    userId: Joi.string(), // Admins may fetch any member's certificate
+    format: Joi.string().valid("json", "pdf").default("pdf"),
+  });
+
+  // TDS Report Validation Schema
+  tdsReportSchema = Joi.object({
+    financialYear: Joi.string()
+      .pattern(/^\d{4}-\d{2}$/)
+      .required(),
+    quarter: Joi.string().valid("Q1", "Q2", "Q3", "Q4").required(),
+    format: Joi.string().valid("json", "csv").default("json"),
+  });
+
+  // Columns of the annual deduction certificate
+  certificateColumns = [
+    { header: "Date", key: "date", width: 80 },
+    { header: "Withdrawal", key: "withdrawalRequestId", width: 150 },
+    { header: "Gross", key: "grossAmount", width: 60, align: "right" },
+    { header: "TDS %", key: "tdsRate", width: 40, align: "right" },
+    { header: "TDS", key: "tdsAmount", width: 55, align: "right" },
+    { header: "Admin", key: "adminChargeAmount", width: 55, align: "right" },
+    { header: "Net", key: "netAmount", width: 60, align: "right" },
+  ];
+
+  // Columns of the quarterly TDS report
+  tdsReportColumns = [
+    { header: "Member Name", key: "name" },
+    { header: "Referral Code", key: "referralCode" },
+    { header: "PAN", key: "panNumber" },
+    { header: "Gross Amount", key: "grossAmount" },
+    { header: "TDS Deducted", key: "tdsAmount" },
+    { header: "Admin Charges", key: "adminChargeAmount" },
+    { header: "Withdrawals", key: "requestCount" },
+  ];
+
+  constructor() {
+    this.getDeductionCertificate = this.getDeductionCertificate.bind(this);
+    this.getTdsReport = this.getTdsReport.bind(this);
+  }
+
+  // Method for a member to download their annual deduction certificate
+  async getDeductionCertificate(req, res) {
+    const { error, value } = this.certificateSchema.validate(req.query);
+    if (error) {
+      logger.warn(
+        `Validation error during deduction certificate: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const financialYear =
+      value.financialYear || taxDeductionService.getFinancialYear();
+    if (!taxDeductionService.isValidFinancialYear(financialYear)) {
+      return res
+        .status(400)
+        .json(
+          baseResponse.errorResponseWithMessage(
+            "Invalid financial year. Use the form 2026-27."
+          )
+        );
+    }
+
+    // Only admins may ask for somebody else's certificate
+    const userId =
+      req.user.userType === "Admin" && value.userId
+        ? value.userId
+        : req.user.id;
+
+    try {
+      const user = await User.findById(userId, "name referralCode panNumber");
+      if (!user) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      const { lines, totals } = await taxDeductionService.getMemberDeductions(
+        userId,
+        financialYear
+      );
+
+      if (value.format === "json") {
+        return res.status(200).json(
+          baseResponse.successResponseWithMessage(
+            "Deduction certificate fetched successfully",
+            {
+              financialYear,
+              member: {
+                id: user._id,
+                name: user.name,
+                referralCode: user.referralCode,
+                panNumber: user.panNumber,
+              },
+              lines,
+              totals,
+            }
+          )
+        );
+      }
+
+      const content = await buildTablePdf({
+        title: `Deduction Certificate - FY ${financialYear}`,
+        layout: "portrait",
+        headerLines: [
+          `Member: ${user.name} (${user.referralCode})`,
+          `PAN: ${user.panNumber || "Not on file"}`,
+          "Tax deducted at source and admin charges on withdrawals paid during the financial year.",
+        ],
+        columns: this.certificateColumns,
+        rows: lines.map((line) => ({
+          ...line,
+          date: line.date ? line.date.toISOString().slice(0, 10) : "",
+          withdrawalRequestId: String(line.withdrawalRequestId),
+          grossAmount: line.grossAmount.toFixed(2),
+          tdsRate: line.tdsRate === null ? "-" : line.tdsRate,
+          tdsAmount: line.tdsAmount.toFixed(2),
+          adminChargeAmount: line.adminChargeAmount.toFixed(2),
+          netAmount: line.netAmount.toFixed(2),
+        })),
+        footerLines: [
+          `Total gross amount: ${totals.grossAmount.toFixed(2)}`,
+          `Total TDS deducted: ${totals.tdsAmount.toFixed(2)}`,
+          `Total admin charges: ${totals.adminChargeAmount.toFixed(2)}`,
+          `Total net paid: ${totals.netAmount.toFixed(2)}`,
+          `Generated on ${new Date().toISOString().slice(0, 10)}`,
+        ],
+      });
+
+      logger.info(
+        `Deduction certificate for FY ${financialYear} generated for user ${userId}`
+      );
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="deduction-certificate-${user.referralCode}-${financialYear}.pdf"`
+      );
+      return res.status(StatusCodes.OK).send(content);
+    } catch (error) {
+      logger.error(`Error in getDeductionCertificate: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to fetch the quarterly TDS report
+  async getTdsReport(req, res) {
+    const { error, value } = this.tdsReportSchema.validate(req.query);
+    if (error) {
+      logger.warn(
+        `Validation error during TDS report: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { financialYear, quarter, format } = value;
+    if (!taxDeductionService.isValidFinancialYear(financialYear)) {
+      return res
+        .status(400)
+        .json(
+          baseResponse.errorResponseWithMessage(
+            "Invalid financial year. Use the form 2026-27."
+          )
+        );
+    }
+
+    try {
+      const rows = await taxDeductionService.getQuarterlyTdsReport(
+        financialYear,
+        quarter
+      );
+
+      logger.info(
+        `TDS report for FY ${financialYear} ${quarter} generated with ${rows.length} members`
+      );
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="tds-report-${financialYear}-${quarter}.csv"`
+        );
+        return res
+          .status(StatusCodes.OK)
+          .send(toCsv(this.tdsReportColumns, rows));
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "TDS report fetched successfully",
+            { financialYear, quarter, rows }
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getTdsReport: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new DeductionController();
@@ -0,0 +1,132 @@
+const EarningCapFlush = require("../models/EarningCapFlushModel");
+const PackageModel = require("../models/PackageModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const earningCapService = require("../services/EarningCapService");
+
+class EarningCapController {
+  // Earning Cap Policy Validation Schema (all fields optional for partial updates)
+  earningCapPolicySchema = Joi.object({
+    enabled: Joi.boolean(),
+    timezone: Joi.string().custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return value;
+      } catch (err) {
+        return helpers.message("Invalid timezone");
+      }
+    }),
+    defaultDailyCap: Joi.number().min(0).allow(null),
+    defaultMonthlyCap: Joi.number().min(0).allow(null),
+    packageCaps: Joi.array()
+      .items(
+        Joi.object({
+          packageId: Joi.string().required(),
+          dailyCap: Joi.number().min(0).allow(null).default(null),
+          monthlyCap: Joi.number().min(0).allow(null).default(null),
+        })
+      )
+      .unique("packageId"),
+  }).min(1);
+
+  constructor() {
+    this.getEarningCapPolicy = this.getEarningCapPolicy.bind(this);
+    this.updateEarningCapPolicy = this.updateEarningCapPolicy.bind(this);
+    this.getMyEarningCap = this.getMyEarningCap.bind(this);
+  }
+
+  // Method for admin to view the earning cap policy
+  async getEarningCapPolicy(req, res) {
+    try {
+      const policy = await earningCapService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Earning cap policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getEarningCapPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to set the caps per package
+  async updateEarningCapPolicy(req, res) {
+    const { error, value } = this.earningCapPolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during earning cap policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      if (value.packageCaps) {
+        const packageIds = value.packageCaps.map((cap) => cap.packageId);
+        const found = await PackageModel.countDocuments({
+          _id: { $in: packageIds },
+        });
+        if (found !== packageIds.length) {
+          return res
+            .status(400)
+            .json(
+              baseResponse.errorResponseWithMessage(
+                "Every package cap must refer to an existing package"
+              )
+            );
+        }
+      }
+
+      const policy = await earningCapService.updatePolicy(value, req.user.id);
+
+      logger.info(`Earning cap policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Earning cap policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateEarningCapPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see their caps, how much is used and what was flushed
+  async getMyEarningCap(req, res) {
+    try {
+      const [status, recentFlushes] = await Promise.all([
+        earningCapService.getStatus(req.user.id),
+        EarningCapFlush.find({ user: req.user.id })
+          .sort({ createdAt: -1 })
+          .limit(20),
+      ]);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Earning cap retrieved successfully",
+          {
+            ...status,
+            recentFlushes,
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyEarningCap: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new EarningCapController();
@@ -13,6 +13,7 @@ class PackageController {
     directIncome: Joi.number().positive().precision(2).required(),
     type: Joi.string().required(),
     cashback: Joi.string().required(),
+    validityDays: Joi.number().integer().min(1).max(3650),
   });
 
   constructor() {
@@ -37,7 +38,14 @@ class PackageController {
         .send(baseResponse.errorResponseWithMessage(error.details[0].message));
     }
 
-    const { productName, productPrice, directIncome, type, cashback } = value;
+    const {
+      productName,
+      productPrice,
+      directIncome,
+      type,
+      cashback,
+      validityDays,
+    } = value;
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -69,6 +77,7 @@ class PackageController {
         directIncome: directIncomeInRupees,
         type,
         cashback: cashbackInRupees,
+        validityDays,
       });
 
       // Save the package
@@ -89,6 +98,7 @@ class PackageController {
             directIncome: `₹${newPackage.directIncome.toFixed(2)}`,
             type: newPackage.type,
             cashback: `₹${newPackage.cashback.toFixed(2)}`,
+            validityDays: newPackage.validityDays,
           }
         )
       );
@@ -125,6 +135,7 @@ class PackageController {
         directIncome: `₹${pkg.directIncome.toFixed(2)}`,
         type: pkg.type,
         cashback: `₹${pkg.cashback.toFixed(2)}`,
+        validityDays: pkg.validityDays,
       }));
 
       return res
@@ -179,6 +190,7 @@ class PackageController {
             directIncome: `₹${packageDetails.directIncome.toFixed(2)}`,
             type: newPackage.type,
             cashback: `₹${newPackage.cashback.toFixed(2)}`,
+            validityDays: packageDetails.validityDays,
           }
         )
       );
@@ -210,7 +222,14 @@ class PackageController {
         .send(baseResponse.errorResponseWithMessage(error.details[0].message));
     }
 
-    const { productName, productPrice, directIncome, type, cashback } = value;
+    const {
+      productName,
+      productPrice,
+      directIncome,
+      type,
+      cashback,
+      validityDays,
+    } = value;
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -228,6 +247,7 @@ class PackageController {
           directIncome: directIncomeInRupees,
           type,
           cashback: cashbackInRupees,
+          ...(validityDays !== undefined && { validityDays }),
         },
         { new: true, session }
       );
@@ -260,6 +280,7 @@ class PackageController {
             directIncome: `₹${updatedPackage.directIncome.toFixed(2)}`,
             type: updatedPackage.type,
             cashback: `₹${updatedPackage.cashback.toFixed(2)}`,
+            validityDays: updatedPackage.validityDays,
           }
         )
       );
@@ -0,0 +1,222 @@
+const mongoose = require("mongoose");
+const { User } = require("../models/DataBaseModel");
+const PackageUpgrade = require("../models/PackageUpgradeModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const packageUpgradeService = require("../services/PackageUpgradeService");
+const renewalService = require("../services/RenewalService");
+const rankService = require("../services/RankService");
+
+class PackageUpgradeController {
+  // Upgrade Validation Schema
+  upgradeSchema = Joi.object({
+    pin: Joi.string().required(),
+    userId: Joi.string().hex().length(24), // Member to upgrade; the requester when left out
+  });
+
+  // Upgrade List Validation Schema
+  upgradeListSchema = Joi.object({
+    userId: Joi.string().hex().length(24),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  constructor() {
+    this.upgradeMember = this.upgradeMember.bind(this);
+    this.getMyPackage = this.getMyPackage.bind(this);
+    this.getUpgrades = this.getUpgrades.bind(this);
+  }
+
+  // Method for a member, their sponsor or an admin to upgrade with a higher-package pin
+  async upgradeMember(req, res) {
+    const { error, value } = this.upgradeSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during package upgrade: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const [requester, member] = await Promise.all([
+        User.findById(req.user.id),
+        User.findById(value.userId || req.user.id),
+      ]);
+      if (!requester || !member) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      if (!(await renewalService.canApplyPin(member, requester))) {
+        logger.warn(
+          `User ${requester._id} attempted to upgrade member ${member._id} without being their sponsor.`
+        );
+        return res
+          .status(403)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Only the member or their sponsor can upgrade this account"
+            )
+          );
+      }
+
+      if (member.status !== "active") {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Inactive accounts cannot be upgraded"
+            )
+          );
+      }
+
+      const result = await packageUpgradeService.upgrade({
+        member,
+        requester,
+        pinCode: value.pin,
+      });
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      // A higher package lifts the member and their upline; the evaluateRanks
+      // job promotes them, and promotions never undo the upgrade
+      await rankService
+        .queueUpline(member, { includeMember: true })
+        .catch((rankError) =>
+          logger.error(
+            `Queueing rank evaluation after upgrade of ${member._id} failed: ${rankError.message}`
+          )
+        );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Package upgraded successfully",
+            result.upgrade
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in upgradeMember: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see their current package and package history
+  async getMyPackage(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      const [currentPackage, history] = await Promise.all([
+        packageUpgradeService.getCurrentPackage(user),
+        packageUpgradeService.getHistory(user),
+      ]);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Package retrieved successfully",
+          {
+            currentPackage: currentPackage
+              ? {
+                  id: currentPackage._id,
+                  productName: currentPackage.productName,
+                  productPrice: Number(currentPackage.productPrice),
+                }
+              : null,
+            history,
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyPackage: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to track upgrades and the differential income they paid
+  async getUpgrades(req, res) {
+    const { error, value } = this.upgradeListSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { userId, startDate, endDate, page, limit } = value;
+      const query = {};
+      if (userId) {
+        query.user = new mongoose.Types.ObjectId(userId);
+      }
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) {
+          query.createdAt.$gte = startDate;
+        }
+        if (endDate) {
+          query.createdAt.$lte = endDate;
+        }
+      }
+
+      const [totals] = await PackageUpgrade.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            upgrades: { $sum: 1 },
+            revenue: { $sum: "$toPrice" },
+            differentialIncome: { $sum: "$differentialIncome" },
+          },
+        },
+        { $project: { _id: 0 } },
+      ]);
+      const total = totals ? totals.upgrades : 0;
+      const upgrades = await PackageUpgrade.find(query)
+        .populate("user", "name referralCode mobileNumber")
+        .populate("upgradedBy", "name referralCode")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Package upgrades retrieved successfully",
+          {
+            upgrades,
+            totals: totals || {
+              upgrades: 0,
+              revenue: 0,
+              differentialIncome: 0,
+            },
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getUpgrades: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new PackageUpgradeController();
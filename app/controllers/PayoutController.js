@@ -0,0 +1,625 @@
+const { BankDetails } = require("../models/DataBaseModel");
+const WithdrawalRequest = require("../models/WithdrwalModel");
+const PayoutBatch = require("../models/PayoutBatchModel");
+const mongoose = require("mongoose");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const { StatusCodes } = require("http-status-codes");
+const payoutFileService = require("../services/PayoutFileService");
+const walletService = require("../services/WalletService");
+const withdrawalPayoutService = require("../services/WithdrawalPayoutService");
+const { parseCsv } = require("../../utils/csvParser");
+const {
+  PAYOUT_FILE_FORMATS,
+  PAYOUT_ROW_FIELDS,
+  PAYMENT_MODES,
+  BANK_RESPONSE_COLUMNS,
+  BANK_RESPONSE_STATUSES,
+} = require("../../constants/payoutConstant");
+const {
+  WITHDRAWAL_STATUSES,
+  RECREDIT_WITHDRAWAL_STATUSES,
+} = require("../../constants/withdrawalConstant");
+
+class PayoutController {
+  // Payout Export Validation Schema
+  payoutExportSchema = Joi.object({
+    layout: Joi.string().default("csv"), // Saved or built-in layout name
+    paymentMode: Joi.string()
+      .valid(...PAYMENT_MODES)
+      .default("NEFT"),
+    valueDate: Joi.date().default(() => new Date()),
+    withdrawalRequestIds: Joi.array().items(Joi.string()).min(1),
+  });
+
+  // Payout File Layout Validation Schema
+  payoutLayoutSchema = Joi.object({
+    format: Joi.string()
+      .valid(...PAYOUT_FILE_FORMATS)
+      .required(),
+    extension: Joi.string().alphanum().max(10).required(),
+    columns: Joi.array()
+      .items(
+        Joi.object({
+          header: Joi.string()
+            .max(100)
+            .when("/format", { is: "csv", then: Joi.required() }),
+          field: Joi.string()
+            .valid(...PAYOUT_ROW_FIELDS)
+            .required(),
+          width: Joi.number()
+            .integer()
+            .min(1)
+            .max(500)
+            .when("/format", { is: "fixed", then: Joi.required() }),
+          align: Joi.string().valid("left", "right").default("left"),
+        })
+      )
+      .min(1)
+      .required(),
+  });
+
+  // Payout File Layout Name Validation Schema
+  payoutLayoutNameSchema = Joi.string()
+    .pattern(/^[A-Za-z0-9_-]{1,50}$/)
+    .messages({
+      "string.pattern.base":
+        "Layout name may only hold letters, digits, - and _ (up to 50)",
+    });
+
+  // Bank Response Upload Validation Schema (CSV text of the bank's file)
+  bankResponseSchema = Joi.object({
+    content: Joi.string().required(),
+  });
+
+  constructor() {
+    this.exportPayoutFile = this.exportPayoutFile.bind(this);
+    this.getPayoutBatches = this.getPayoutBatches.bind(this);
+    this.downloadPayoutBatchFile = this.downloadPayoutBatchFile.bind(this);
+    this.uploadBankResponse = this.uploadBankResponse.bind(this);
+    this.getPayoutLayouts = this.getPayoutLayouts.bind(this);
+    this.savePayoutLayout = this.savePayoutLayout.bind(this);
+  }
+
+  generateBatchId() {
+    const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    const suffix = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, "0");
+    return `PB${stamp}${suffix}`;
+  }
+
+  // Bank details keyed by user id, for the users of the given requests
+  async getBankDetailsByUser(requests, session) {
+    const bankDetails = await BankDetails.find({
+      user: { $in: requests.map((request) => request.user._id) },
+    }).session(session || null);
+
+    return new Map(
+      bankDetails.map((details) => [String(details.user), details])
+    );
+  }
+
+  // Send a generated payout file as a download
+  sendPayoutFile(res, batch, file) {
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${batch.fileName}"`
+    );
+    res.setHeader("X-Payout-Batch-Id", batch.batchId);
+    res.setHeader("X-Payout-Skipped-Count", batch.skippedRequests.length);
+    return res.status(StatusCodes.OK).send(file.content);
+  }
+
+  // Method for admin to export approved withdrawals as a bank bulk-payout file
+  async exportPayoutFile(req, res) {
+    const { error, value } = this.payoutExportSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during payout export: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { layout, paymentMode, valueDate, withdrawalRequestIds } = value;
+    const session = await mongoose.startSession();
+
+    try {
+      const layoutDefinition = await payoutFileService.getLayout(layout);
+      if (!layoutDefinition) {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `Unknown payout file layout: ${layout}`
+            )
+          );
+      }
+
+      session.startTransaction();
+
+      // Approved requests that have not been exported in an earlier batch
+      const query = {
+        status: WITHDRAWAL_STATUSES.APPROVED,
+        payoutBatchId: null,
+      };
+      if (withdrawalRequestIds) {
+        query._id = { $in: withdrawalRequestIds };
+      }
+
+      const requests = await WithdrawalRequest.find(query)
+        .populate("user", "name referralCode")
+        .sort({ approvalDate: 1 })
+        .session(session);
+
+      const bankDetailsByUser = await this.getBankDetailsByUser(
+        requests,
+        session
+      );
+
+      const candidates = [];
+      const skippedRequests = [];
+      requests.forEach((request) => {
+        const bankDetails = bankDetailsByUser.get(String(request.user._id));
+        if (
+          !bankDetails ||
+          !bankDetails.accountNumber ||
+          !bankDetails.accountHolderName ||
+          !bankDetails.ifscCode
+        ) {
+          skippedRequests.push({
+            withdrawalRequest: request._id,
+            reason: "Incomplete bank details",
+          });
+        } else {
+          candidates.push(request);
+        }
+      });
+
+      // Requests whose values do not fit the layout wait for another export
+      const batchId = this.generateBatchId();
+      const exportable = [];
+      const rows = [];
+      payoutFileService
+        .buildRows(candidates, bankDetailsByUser, {
+          paymentMode,
+          batchId,
+          valueDate,
+        })
+        .forEach((row, index) => {
+          const rowError = payoutFileService.getRowError(layoutDefinition, row);
+          if (rowError) {
+            skippedRequests.push({
+              withdrawalRequest: candidates[index]._id,
+              reason: rowError,
+            });
+          } else {
+            exportable.push(candidates[index]);
+            rows.push({ ...row, serialNumber: rows.length + 1 });
+          }
+        });
+
+      if (exportable.length === 0) {
+        await session.abortTransaction();
+        return res.status(400).json(
+          baseResponse.errorResponseWithData(StatusCodes.BAD_REQUEST, {
+            message: "No approved withdrawal requests are ready for payout",
+            skippedRequests,
+          })
+        );
+      }
+
+      const exportableIds = exportable.map((request) => request._id);
+
+      // Claim the requests; a concurrent export would leave some unmatched
+      const { modifiedCount } = await WithdrawalRequest.updateMany(
+        {
+          _id: { $in: exportableIds },
+          status: WITHDRAWAL_STATUSES.APPROVED,
+          payoutBatchId: null,
+        },
+        {
+          $set: {
+            payoutBatchId: batchId,
+            status: WITHDRAWAL_STATUSES.PROCESSING,
+          },
+        },
+        { session }
+      );
+
+      if (modifiedCount !== exportableIds.length) {
+        throw new Error(
+          "Some withdrawal requests were exported by another batch, please retry"
+        );
+      }
+
+      const file = payoutFileService.buildFile(layoutDefinition, rows);
+
+      const [batch] = await PayoutBatch.create(
+        [
+          {
+            batchId,
+            layout,
+            paymentMode,
+            valueDate,
+            withdrawalRequests: exportableIds,
+            requestCount: exportable.length,
+            totalAmount: walletService.roundAmount(
+              exportable.reduce((sum, request) => sum + request.netAmount, 0)
+            ),
+            skippedRequests,
+            fileName: `${batchId}.${file.extension}`,
+            fileContent: file.content,
+            contentType: file.contentType,
+            createdBy: req.user.id,
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Payout batch ${batchId} exported with ${exportable.length} requests (${skippedRequests.length} skipped)`
+      );
+
+      return this.sendPayoutFile(res, batch, file);
+    } catch (error) {
+      logger.error(`Error in exportPayoutFile: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Method for admin to list payout batches
+  async getPayoutBatches(req, res) {
+    try {
+      const { page = 1, limit = 10 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const total = await PayoutBatch.countDocuments({});
+      const batches = await PayoutBatch.find({}, "-fileContent")
+        .populate("createdBy", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Payout batches retrieved successfully",
+          {
+            batches,
+            pagination: {
+              total,
+              page: parseInt(page),
+              pages: Math.ceil(total / limit),
+              limit: parseInt(limit),
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getPayoutBatches: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to download the file of an existing batch again, exactly as exported
+  async downloadPayoutBatchFile(req, res) {
+    try {
+      const batch = await PayoutBatch.findOne({ batchId: req.params.batchId });
+      if (!batch) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Payout batch not found")
+          );
+      }
+
+      if (batch.fileContent !== undefined) {
+        return this.sendPayoutFile(res, batch, {
+          content: batch.fileContent,
+          contentType: batch.contentType,
+        });
+      }
+
+      // Batches exported before files were kept are rendered again
+      const layout = await payoutFileService.getLayout(batch.layout);
+      if (!layout) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `Payout file layout ${batch.layout} no longer exists`
+            )
+          );
+      }
+
+      const requests = await WithdrawalRequest.find({
+        payoutBatchId: batch.batchId,
+      })
+        .populate("user", "name referralCode")
+        .sort({ approvalDate: 1 });
+
+      const bankDetailsByUser = await this.getBankDetailsByUser(requests);
+      const rows = payoutFileService.buildRows(requests, bankDetailsByUser, {
+        paymentMode: batch.paymentMode,
+        batchId: batch.batchId,
+        valueDate: batch.valueDate || batch.createdAt,
+      });
+
+      return this.sendPayoutFile(
+        res,
+        batch,
+        payoutFileService.buildFile(layout, rows)
+      );
+    } catch (error) {
+      logger.error(`Error in downloadPayoutBatchFile: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to list the payout file layouts an export can use
+  async getPayoutLayouts(req, res) {
+    try {
+      const layouts = await payoutFileService.getLayouts();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout file layouts retrieved successfully",
+            layouts
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPayoutLayouts: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to set up a bank's layout, or replace one, by name
+  async savePayoutLayout(req, res) {
+    const nameCheck = this.payoutLayoutNameSchema.validate(req.params.name);
+    const { error, value } = nameCheck.error
+      ? nameCheck
+      : this.payoutLayoutSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during payout layout update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const layout = await payoutFileService.saveLayout(
+        req.params.name,
+        value,
+        req.user.id
+      );
+
+      logger.info(
+        `Payout file layout ${layout.name} saved by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout file layout saved successfully",
+            layout
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in savePayoutLayout: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Map a bank response line onto our field names using the accepted headers
+  readBankResponseRow(record) {
+    const normalised = {};
+    Object.keys(record).forEach((header) => {
+      normalised[header.trim().toLowerCase()] = record[header];
+    });
+
+    const row = {};
+    Object.keys(BANK_RESPONSE_COLUMNS).forEach((field) => {
+      const header = BANK_RESPONSE_COLUMNS[field].find(
+        (name) => normalised[name] !== undefined && normalised[name] !== ""
+      );
+      row[field] = header ? normalised[header] : undefined;
+    });
+    return row;
+  }
+
+  // Method for admin to upload the bank's response file for a payout batch
+  async uploadBankResponse(req, res) {
+    const { error, value } = this.bankResponseSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during bank response upload: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { batchId } = req.params;
+    const session = await mongoose.startSession();
+
+    try {
+      const batch = await PayoutBatch.findOne({ batchId });
+      if (!batch) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Payout batch not found")
+          );
+      }
+
+      const records = parseCsv(value.content);
+      if (records.length === 0) {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Bank response file has no data lines"
+            )
+          );
+      }
+
+      session.startTransaction();
+
+      // Every line is checked before any is applied: lines that cannot be
+      // applied are reported and the rest go through, while a failure while
+      // applying them undoes the whole file
+      const results = [];
+      const accepted = [];
+      const seen = new Set();
+      for (const { line, record } of records) {
+        const row = this.readBankResponseRow(record);
+        const status =
+          BANK_RESPONSE_STATUSES[String(row.status || "").toLowerCase()];
+
+        if (!row.reference || !mongoose.isValidObjectId(row.reference)) {
+          results.push({
+            line,
+            result: "skipped",
+            reason: "Invalid reference",
+          });
+          continue;
+        }
+
+        if (!status) {
+          results.push({
+            line,
+            reference: row.reference,
+            result: "skipped",
+            reason: `Unknown status: ${row.status}`,
+          });
+          continue;
+        }
+
+        if (seen.has(row.reference)) {
+          results.push({
+            line,
+            reference: row.reference,
+            result: "skipped",
+            reason: "Reference already appears on an earlier line",
+          });
+          continue;
+        }
+        seen.add(row.reference);
+
+        const withdrawalRequest = await WithdrawalRequest.findOne({
+          _id: row.reference,
+          payoutBatchId: batchId,
+        }).session(session);
+
+        if (!withdrawalRequest) {
+          results.push({
+            line,
+            reference: row.reference,
+            result: "skipped",
+            reason: "Withdrawal request is not in this batch",
+          });
+          continue;
+        }
+
+        const payoutDate = row.payoutDate ? new Date(row.payoutDate) : null;
+        const payoutResult = {
+          status,
+          utrReference: row.utrReference,
+          payoutDate:
+            payoutDate && !isNaN(payoutDate.getTime()) ? payoutDate : null,
+          failureReason:
+            row.failureReason ||
+            (RECREDIT_WITHDRAWAL_STATUSES.includes(status)
+              ? `Bank status ${row.status}`
+              : undefined),
+        };
+
+        const resultError = withdrawalPayoutService.getPayoutResultError(
+          withdrawalRequest,
+          payoutResult
+        );
+        if (resultError) {
+          results.push({
+            line,
+            reference: row.reference,
+            result: "skipped",
+            reason: resultError,
+          });
+          continue;
+        }
+
+        accepted.push({ withdrawalRequest, payoutResult });
+        results.push({ line, reference: row.reference, result: status });
+      }
+
+      for (const { withdrawalRequest, payoutResult } of accepted) {
+        await withdrawalPayoutService.applyPayoutResult(
+          withdrawalRequest,
+          payoutResult,
+          session
+        );
+      }
+
+      // Refresh the batch totals from its requests
+      const statusCounts = await WithdrawalRequest.aggregate([
+        { $match: { payoutBatchId: batchId } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]).session(session);
+      const countOf = (status) =>
+        (statusCounts.find((row) => row._id === status) || { count: 0 }).count;
+
+      batch.paidCount = countOf(WITHDRAWAL_STATUSES.PAID);
+      batch.failedCount =
+        countOf(WITHDRAWAL_STATUSES.FAILED) +
+        countOf(WITHDRAWAL_STATUSES.REVERSED);
+      batch.status =
+        countOf(WITHDRAWAL_STATUSES.PROCESSING) === 0
+          ? "settled"
+          : "partiallySettled";
+      batch.responseUploadedAt = new Date();
+      await batch.save({ session });
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Bank response applied to payout batch ${batchId}: ${batch.paidCount} paid, ${batch.failedCount} failed`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Bank response processed successfully",
+            { batch, results }
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in uploadBankResponse: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new PayoutController();
@@ -0,0 +1,312 @@
+const PayoutCycle = require("../models/PayoutCycleModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const pendingCommissionService = require("../services/PendingCommissionService");
+const payoutCycleService = require("../services/PayoutCycleService");
+const {
+  PAYOUT_CYCLE_FREQUENCIES,
+  INELIGIBLE_INCOME_ACTIONS,
+  PAYOUT_CYCLE_STATUSES,
+  PENDING_COMMISSION_STATUSES,
+} = require("../../constants/payoutCycleConstant");
+
+class PayoutCycleController {
+  // Payout Cycle Policy Validation Schema (all fields optional for partial updates)
+  payoutCyclePolicySchema = Joi.object({
+    enabled: Joi.boolean(),
+    frequency: Joi.string().valid(...Object.values(PAYOUT_CYCLE_FREQUENCIES)),
+    closingWeekday: Joi.number().integer().min(0).max(6),
+    closingHour: Joi.number().integer().min(0).max(23),
+    timezone: Joi.string().custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return value;
+      } catch (err) {
+        return helpers.message("Invalid timezone");
+      }
+    }),
+    requireActive: Joi.boolean(),
+    requireValidity: Joi.boolean(),
+    ineligibleIncomeAction: Joi.string().valid(
+      ...Object.values(INELIGIBLE_INCOME_ACTIONS)
+    ),
+  }).min(1);
+
+  // Closing Cut-off Validation Schema, for previews and manual closings
+  closingSchema = Joi.object({
+    periodEnd: Joi.date().max("now"), // Now when left out
+  });
+
+  // Payout Cycle List Validation Schema
+  payoutCycleListSchema = Joi.object({
+    status: Joi.string().valid(...Object.values(PAYOUT_CYCLE_STATUSES)),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  constructor() {
+    this.getPayoutCyclePolicy = this.getPayoutCyclePolicy.bind(this);
+    this.updatePayoutCyclePolicy = this.updatePayoutCyclePolicy.bind(this);
+    this.getPayoutCycles = this.getPayoutCycles.bind(this);
+    this.getPayoutCycle = this.getPayoutCycle.bind(this);
+    this.previewClosing = this.previewClosing.bind(this);
+    this.closeCycle = this.closeCycle.bind(this);
+    this.rerunCycle = this.rerunCycle.bind(this);
+    this.getMyPendingIncome = this.getMyPendingIncome.bind(this);
+  }
+
+  // Method for admin to view the payout cycle policy and the closing schedule
+  async getPayoutCyclePolicy(req, res) {
+    try {
+      const policy = await pendingCommissionService.getPolicy();
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Payout cycle policy retrieved successfully",
+          {
+            policy,
+            schedule: payoutCycleService.getClosingTimes(policy),
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getPayoutCyclePolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to switch payout cycles on or off and set the schedule
+  async updatePayoutCyclePolicy(req, res) {
+    const { error, value } = this.payoutCyclePolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during payout cycle policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await pendingCommissionService.updatePolicy(
+        value,
+        req.user.id
+      );
+
+      logger.info(`Payout cycle policy updated by admin ${req.user.id}`);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Payout cycle policy updated successfully",
+          {
+            policy,
+            schedule: payoutCycleService.getClosingTimes(policy),
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in updatePayoutCyclePolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to list closings, newest first
+  async getPayoutCycles(req, res) {
+    const { error, value } = this.payoutCycleListSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { status, page, limit } = value;
+      const query = status ? { status } : {};
+
+      const total = await PayoutCycle.countDocuments(query);
+      const cycles = await PayoutCycle.find(query, { members: 0 })
+        .sort({ periodEnd: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Payout cycles retrieved successfully",
+          {
+            cycles,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getPayoutCycles: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view one closing with its totals per member
+  async getPayoutCycle(req, res) {
+    try {
+      const cycle = await PayoutCycle.findById(req.params.cycleId).populate(
+        "members.user",
+        "name referralCode mobileNumber"
+      );
+      if (!cycle) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Payout cycle not found")
+          );
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout cycle retrieved successfully",
+            cycle
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPayoutCycle: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to see what a closing would release without running it
+  async previewClosing(req, res) {
+    const { error, value } = this.closingSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const preview = await payoutCycleService.previewClosing(
+        value.periodEnd || new Date()
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout cycle preview generated successfully",
+            preview
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in previewClosing: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to close a cycle now instead of waiting for the schedule
+  async closeCycle(req, res) {
+    const { error, value } = this.closingSchema.validate(req.body || {});
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const result = await payoutCycleService.closeCycle(
+        value.periodEnd || new Date(),
+        { adminId: req.user.id }
+      );
+      if (result.error) {
+        return res
+          .status(409)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      logger.info(
+        `Payout cycle ${result.cycle._id} closed manually by admin ${req.user.id}`
+      );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout cycle closed successfully",
+            result.cycle
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in closeCycle: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to re-run a closing that failed or held back income
+  async rerunCycle(req, res) {
+    try {
+      const result = await payoutCycleService.rerunCycle(
+        req.params.cycleId,
+        req.user.id
+      );
+      if (result.error) {
+        return res
+          .status(result.error === "Payout cycle not found" ? 404 : 409)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      logger.info(
+        `Payout cycle ${result.cycle._id} re-run by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Payout cycle re-run successfully",
+            result.cycle
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in rerunCycle: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see income waiting for the next closing
+  async getMyPendingIncome(req, res) {
+    try {
+      const policy = await pendingCommissionService.getPolicy();
+      const [pending, commissions] = await Promise.all([
+        pendingCommissionService.getPendingTotals(req.user.id),
+        PendingCommission.find({
+          user: req.user.id,
+          status: PENDING_COMMISSION_STATUSES.PENDING,
+        })
+          .sort({ earnedAt: -1 })
+          .limit(50),
+      ]);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Pending income retrieved successfully",
+          {
+            ...pending,
+            nextClosing: payoutCycleService.getClosingTimes(policy).next,
+            commissions,
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyPendingIncome: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new PayoutCycleController();
@@ -3,11 +3,20 @@ const {
   User,
   PinManagement,
   PinTransferHistory,
+  Wallet,
 } = require("../models/DataBaseModel");
 const baseResponse = require("../../response/BaseResponse");
 const { StatusCodes } = require("http-status-codes");
 const logger = require("../../utils/logger");
+const mongoose = require("mongoose");
 const PackageModel = require("../models/PackageModel");
+const PinPurchase = require("../models/PinPurchaseModel");
+const walletService = require("../services/WalletService");
+const {
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+  PURCHASE_ACCOUNTS,
+} = require("../../constants/walletConstant");
 
 class PinController {
   constructor() {
@@ -15,6 +24,7 @@ class PinController {
     this.generatePinAndSave = this.generatePinAndSave.bind(this);
     this.getAllPinsByUser = this.getAllPinsByUser.bind(this);
     this.transferPin = this.transferPin.bind(this);
+    this.purchasePins = this.purchasePins.bind(this);
   }
 
   // Login Validation Schema
@@ -23,6 +33,12 @@ class PinController {
     packageId: Joi.string().required(),
   });
 
+  // Pin Purchase Validation Schema
+  purchasePinsDTO = Joi.object({
+    packageId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).max(100).required(),
+  });
+
   // Validation schema for userId
   getUserPinsDTO = Joi.object({
     userId: Joi.string().required(),
@@ -39,6 +55,23 @@ class PinController {
     return pin;
   }
 
+  // Pin codes not yet used by any PinManagement document
+  async generateUniquePins(count, session) {
+    const pins = new Set();
+    while (pins.size < count) {
+      pins.add(this.generatePIN());
+
+      if (pins.size === count) {
+        const taken = await PinManagement.find(
+          { pinCode: { $in: [...pins] } },
+          "pinCode"
+        ).session(session);
+        taken.forEach((pin) => pins.delete(pin.pinCode));
+      }
+    }
+    return [...pins];
+  }
+
   // Function to generate PIN for admin and save it in the PinManagement model
   async generatePinAndSave(req, res) {
     try {
@@ -222,11 +255,15 @@ class PinController {
         return res.status(StatusCodes.NOT_FOUND).json(errorResponse);
       }
 
-      if (pinRecord.status === "used" || pinRecord.status === "transferred") {
-        logger.error(`Pin is already used or transferred: ${pin}`);
+      if (
+        pinRecord.status === "used" ||
+        pinRecord.status === "transferred" ||
+        pinRecord.status === "refunded"
+      ) {
+        logger.error(`Pin is already used, transferred or refunded: ${pin}`);
         const errorResponse = baseResponse.errorResponseWithData(
           StatusCodes.BAD_REQUEST,
-          "Pin is already used or transferred"
+          "Pin is already used, transferred or refunded"
         );
         logger.error(`Sending response: ${JSON.stringify(errorResponse)}`);
         return res.status(StatusCodes.BAD_REQUEST).json(errorResponse);
@@ -305,6 +342,136 @@ class PinController {
       return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json(errorResponse);
     }
   }
+
+  // Function for a member to buy pins for a package with wallet money
+  async purchasePins(req, res) {
+    const { error, value } = this.purchasePinsDTO.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during pin purchase: ${error.details[0].message}`
+      );
+      return res
+        .status(StatusCodes.BAD_REQUEST)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { packageId, quantity } = value;
+    const buyerId = req.user.id;
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const buyer = await User.findById(buyerId).session(session);
+      if (!buyer || buyer.status !== "active") {
+        await session.abortTransaction();
+        return res
+          .status(StatusCodes.BAD_REQUEST)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Only active members can buy pins"
+            )
+          );
+      }
+
+      const packageDetails = await PackageModel.findById(packageId).session(
+        session
+      );
+      const unitPrice = packageDetails
+        ? Number(packageDetails.productPrice)
+        : 0;
+      if (!packageDetails || !(unitPrice > 0)) {
+        await session.abortTransaction();
+        logger.error(`Package not available for purchase: ${packageId}`);
+        return res
+          .status(StatusCodes.BAD_REQUEST)
+          .json(baseResponse.errorResponseWithMessage("Invalid Package ID"));
+      }
+
+      const totalAmount = walletService.roundAmount(unitPrice * quantity);
+
+      const wallet = await Wallet.findOne({ user: buyerId }).session(session);
+      if (
+        !wallet ||
+        walletService.getAvailableBalance(wallet, PURCHASE_ACCOUNTS) <
+          totalAmount
+      ) {
+        await session.abortTransaction();
+        return res
+          .status(StatusCodes.BAD_REQUEST)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `Insufficient wallet balance. ${quantity} pin(s) cost ${totalAmount}`
+            )
+          );
+      }
+
+      const [purchase] = await PinPurchase.create(
+        [{ buyer: buyerId, packageId, quantity, unitPrice, totalAmount }],
+        { session }
+      );
+
+      const pinCodes = await this.generateUniquePins(quantity, session);
+      const validityDate = new Date(Date.now() + 35 * 24 * 60 * 60 * 1000);
+      const pins = await PinManagement.insertMany(
+        pinCodes.map((pinCode) => ({
+          pinCode,
+          generatedBy: buyerId,
+          packageId,
+          type: packageDetails.type,
+          assignedTo: buyerId,
+          status: "available",
+          validityDate,
+        })),
+        { session }
+      );
+
+      await walletService.debitIncome(
+        {
+          userId: buyerId,
+          amount: totalAmount,
+          sourceType: LEDGER_SOURCE_TYPES.PIN,
+          sourceId: purchase._id,
+          contraAccount: CONTRA_ACCOUNTS.PIN_SALES,
+          accounts: PURCHASE_ACCOUNTS,
+          description: `Purchase of ${quantity} ${packageDetails.productName} pin(s)`,
+        },
+        session
+      );
+
+      purchase.pins = pins.map((pin) => pin._id);
+      await purchase.save({ session });
+
+      await session.commitTransaction();
+
+      logger.info(
+        `User ${buyerId} bought ${quantity} pins of package ${packageId} for ${totalAmount}`
+      );
+
+      return res.status(StatusCodes.CREATED).json(
+        baseResponse.successResponseWithMessage("Pins purchased successfully", {
+          purchase,
+          pins: pins.map((pin) => ({
+            id: pin._id,
+            pinCode: pin.pinCode,
+            validityDate: pin.validityDate,
+          })),
+        })
+      );
+    } catch (error) {
+      logger.error(`Error occurred during pin purchase: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      const errorResponse = baseResponse.errorResponseWithData(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        "An error occurred while purchasing the pins"
+      );
+      return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json(errorResponse);
+    } finally {
+      session.endSession();
+    }
+  }
 }
 
 module.exports = new PinController();
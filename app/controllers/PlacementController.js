@@ -0,0 +1,307 @@
+const mongoose = require("mongoose");
+const { User } = require("../models/DataBaseModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const referralTreeService = require("../services/ReferralTreeService");
+const compensationStructureService = require("../services/CompensationStructureService");
+const levelService = require("../services/LevelService");
+const {
+  PLACEMENT_STRATEGIES,
+  LEVEL_THRESHOLD_MODES,
+} = require("../../constants/placementConstant");
+
+class PlacementController {
+  // Placement Policy Validation Schema
+  placementPolicySchema = Joi.object({
+    strategy: Joi.string()
+      .valid(...Object.values(PLACEMENT_STRATEGIES))
+      .required(),
+  });
+
+  // Compensation Structure Query Validation Schema
+  compensationStructureQuerySchema = Joi.object({
+    packageId: Joi.string().hex().length(24), // Default structure when left out
+  });
+
+  // Compensation Structure Validation Schema (all fields optional for partial updates)
+  compensationStructureSchema = Joi.object({
+    packageId: Joi.string().hex().length(24), // Default structure when left out
+    matrixWidth: Joi.number().integer().min(2).max(20),
+    maxDepth: Joi.number().integer().min(1).max(20),
+    levelThresholdMode: Joi.string().valid(
+      ...Object.values(LEVEL_THRESHOLD_MODES)
+    ),
+    levelThresholds: Joi.array().items(
+      Joi.object({
+        level: Joi.number().integer().min(2).required(),
+        count: Joi.number().integer().min(1).required(),
+      })
+    ),
+  }).or("matrixWidth", "maxDepth", "levelThresholdMode", "levelThresholds");
+
+  // Member Move Validation Schema
+  moveMemberSchema = Joi.object({
+    parentReferralCode: Joi.string().required(),
+  });
+
+  constructor() {
+    this.getPlacementPolicy = this.getPlacementPolicy.bind(this);
+    this.updatePlacementPolicy = this.updatePlacementPolicy.bind(this);
+    this.getCompensationStructure = this.getCompensationStructure.bind(this);
+    this.updateCompensationStructure =
+      this.updateCompensationStructure.bind(this);
+    this.removeCompensationStructure =
+      this.removeCompensationStructure.bind(this);
+    this.moveMember = this.moveMember.bind(this);
+  }
+
+  // Method for admin to view the placement policy
+  async getPlacementPolicy(req, res) {
+    try {
+      const policy = await referralTreeService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Placement policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPlacementPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to choose the placement strategy
+  async updatePlacementPolicy(req, res) {
+    const { error, value } = this.placementPolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during placement policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await referralTreeService.updatePolicy(value, req.user.id);
+
+      logger.info(
+        `Placement strategy set to ${policy.strategy} by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Placement policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updatePlacementPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view the compensation structure of a package, or the default one, and the level thresholds it gives
+  async getCompensationStructure(req, res) {
+    const { error, value } = this.compensationStructureQuerySchema.validate(
+      req.query
+    );
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const structure = await compensationStructureService.getStructure(
+        null,
+        value.packageId
+      );
+      const packageStructures =
+        await compensationStructureService.getPackageStructures();
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Compensation structure retrieved successfully",
+          {
+            structure,
+            levelThresholds:
+              compensationStructureService.getLevelThresholds(structure),
+            packageStructures: [...packageStructures.values()],
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getCompensationStructure: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to change the matrix width, depth or level thresholds, by default or for one package
+  async updateCompensationStructure(req, res) {
+    const { error, value } = this.compensationStructureSchema.validate(
+      req.body
+    );
+    if (error) {
+      logger.warn(
+        `Validation error during compensation structure update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { packageId, ...changes } = value;
+
+    try {
+      const result = await compensationStructureService.updateStructure(
+        changes,
+        req.user.id,
+        packageId
+      );
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      const { structure } = result;
+      logger.info(
+        `Compensation structure${
+          packageId ? ` of package ${packageId}` : ""
+        } set to ${structure.matrixWidth}x${structure.maxDepth} (${
+          structure.levelThresholdMode
+        } thresholds) by admin ${req.user.id}`
+      );
+
+      // Stored levels only change as members gain referrals; a rebuild report lists the rest
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Compensation structure updated. Run a rebuild to bring existing member levels in line.",
+          {
+            structure,
+            levelThresholds:
+              compensationStructureService.getLevelThresholds(structure),
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in updateCompensationStructure: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to drop a package's own structure, so its members fall back to the default one
+  async removeCompensationStructure(req, res) {
+    const { packageId } = req.params;
+    if (!mongoose.isValidObjectId(packageId)) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage("Invalid package id"));
+    }
+
+    try {
+      const result = await compensationStructureService.removeStructure(
+        packageId
+      );
+      if (result.error) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      logger.info(
+        `Compensation structure of package ${packageId} removed by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Compensation structure removed. Run a rebuild to bring existing member levels in line.",
+            result.structure
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in removeCompensationStructure: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to move a member, with their downline, under another parent
+  async moveMember(req, res) {
+    const { error, value } = this.moveMemberSchema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        const user = await User.findById(req.params.userId).session(session);
+        const newParent = await User.findOne({
+          referralCode: value.parentReferralCode,
+        }).session(session);
+        if (!user || !newParent) {
+          throw new Error("Member or new parent not found");
+        }
+
+        result = await referralTreeService.moveMember(user, newParent, session);
+
+        // Both parents' referral counts changed
+        const previousParent = await User.findOne({
+          referralCode: result.previousParentReferralCode,
+        }).session(session);
+        for (const parent of [previousParent, newParent].filter(Boolean)) {
+          await User.updateOne(
+            { _id: parent._id },
+            {
+              $set: {
+                level: await levelService.calculateUserLevel(
+                  parent._id,
+                  session
+                ),
+              },
+            },
+            { session }
+          );
+        }
+      });
+
+      logger.info(
+        `Member ${req.params.userId} moved from ${result.previousParentReferralCode} to ${value.parentReferralCode} with ${result.movedMembers} members by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Member moved successfully",
+            result
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in moveMember: ${error.message}`);
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.message));
+    } finally {
+      session.endSession();
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new PlacementController();
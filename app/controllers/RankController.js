@@ -0,0 +1,308 @@
+const { User } = require("../models/DataBaseModel");
+const Rank = require("../models/RankModel");
+const RankAchievement = require("../models/RankAchievementModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const rankService = require("../services/RankService");
+
+// Rank fields shared by creation and update
+const rankFields = {
+  name: Joi.string().max(50),
+  order: Joi.number().integer().min(1),
+  criteria: Joi.object({
+    minActiveDirects: Joi.number().integer().min(0),
+    minTeamSize: Joi.number().integer().min(0),
+    minTeamBusinessVolume: Joi.number().min(0),
+    minPersonalPackagePrice: Joi.number().min(0),
+  }),
+  bonusAmount: Joi.number().min(0).precision(2),
+  isActive: Joi.boolean(),
+};
+
+class RankController {
+  // Rank Creation Validation Schema
+  createRankSchema = Joi.object({
+    ...rankFields,
+    name: rankFields.name.required(),
+    order: rankFields.order.required(),
+    criteria: rankFields.criteria.required(),
+  });
+
+  // Rank Update Validation Schema (all fields optional)
+  updateRankSchema = Joi.object(rankFields).min(1);
+
+  // Rank History Validation Schema
+  rankHistorySchema = Joi.object({
+    userId: Joi.string(),
+    rankId: Joi.string(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  // Rank Evaluation Validation Schema
+  evaluateRanksSchema = Joi.object({
+    userId: Joi.string(), // Everyone when left out
+  });
+
+  constructor() {
+    this.createRank = this.createRank.bind(this);
+    this.getRanks = this.getRanks.bind(this);
+    this.updateRank = this.updateRank.bind(this);
+    this.getMyRank = this.getMyRank.bind(this);
+    this.getRankHistory = this.getRankHistory.bind(this);
+    this.evaluateRanks = this.evaluateRanks.bind(this);
+  }
+
+  // Method for admin to define a new rank
+  async createRank(req, res) {
+    const { error, value } = this.createRankSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during rank creation: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      if (await Rank.exists({ order: value.order })) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `A rank with order ${value.order} already exists`
+            )
+          );
+      }
+
+      const rank = await Rank.create({ ...value, createdBy: req.user.id });
+
+      logger.info(
+        `Rank ${rank.name} (${rank.order}) created by admin ${req.user.id}`
+      );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Rank created successfully",
+            rank
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in createRank: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method to list ranks; members only see active ones
+  async getRanks(req, res) {
+    try {
+      const query = req.user.userType === "Admin" ? {} : { isActive: true };
+      const ranks = await Rank.find(query).sort({ order: 1 });
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Ranks retrieved successfully",
+            ranks
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getRanks: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to change or retire a rank
+  async updateRank(req, res) {
+    const { error, value } = this.updateRankSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during rank update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const rank = await Rank.findById(req.params.rankId);
+      if (!rank) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("Rank not found"));
+      }
+
+      if (
+        value.order !== undefined &&
+        value.order !== rank.order &&
+        (await RankAchievement.exists({ rank: rank._id }))
+      ) {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "The order of a rank that members have achieved cannot change"
+            )
+          );
+      }
+
+      const { criteria, ...fields } = value;
+      rank.set(fields);
+      if (criteria) {
+        rank.set("criteria", { ...rank.criteria.toObject(), ...criteria });
+      }
+      await rank.save();
+
+      logger.info(`Rank ${rank._id} updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Rank updated successfully",
+            rank
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateRank: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see their rank, history and progress to the next rank
+  async getMyRank(req, res) {
+    try {
+      const user = await User.findById(req.user.id).populate("currentRank");
+      if (!user) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      const [history, metrics, nextRank] = await Promise.all([
+        RankAchievement.find({ user: user._id }).sort({ achievedAt: -1 }),
+        rankService.getMetrics(user),
+        Rank.findOne({
+          isActive: true,
+          order: { $gt: rankService.getCurrentOrder(user) },
+        }).sort({ order: 1 }),
+      ]);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage("Rank retrieved successfully", {
+          currentRank: user.currentRank,
+          rankAchievedAt: user.rankAchievedAt,
+          metrics,
+          nextRank,
+          history,
+        })
+      );
+    } catch (error) {
+      logger.error(`Error in getMyRank: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view rank promotions across members
+  async getRankHistory(req, res) {
+    const { error, value } = this.rankHistorySchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { userId, rankId, startDate, endDate, page, limit } = value;
+      const query = {};
+      if (userId) {
+        query.user = userId;
+      }
+      if (rankId) {
+        query.rank = rankId;
+      }
+      if (startDate || endDate) {
+        query.achievedAt = {};
+        if (startDate) {
+          query.achievedAt.$gte = startDate;
+        }
+        if (endDate) {
+          query.achievedAt.$lte = endDate;
+        }
+      }
+
+      const total = await RankAchievement.countDocuments(query);
+      const achievements = await RankAchievement.find(query)
+        .populate("user", "name referralCode mobileNumber")
+        .sort({ achievedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Rank history retrieved successfully",
+          {
+            achievements,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getRankHistory: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to re-check members against the ranks, e.g. after adding one
+  async evaluateRanks(req, res) {
+    const { error, value } = this.evaluateRanksSchema.validate(req.body || {});
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const userIds = value.userId
+        ? [value.userId]
+        : (await User.find({}, "_id")).map((user) => user._id);
+
+      let promotions = 0;
+      for (const userId of userIds) {
+        promotions += (await rankService.evaluateUser(userId)).length;
+      }
+
+      logger.info(
+        `Rank evaluation of ${userIds.length} members by admin ${req.user.id} made ${promotions} promotions`
+      );
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Rank evaluation completed successfully",
+          {
+            membersEvaluated: userIds.length,
+            promotions,
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in evaluateRanks: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new RankController();
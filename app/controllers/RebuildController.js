@@ -0,0 +1,106 @@
+const RebuildReport = require("../models/RebuildReportModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const rebuildService = require("../services/RebuildService");
+
+class RebuildController {
+  // Rebuild Confirmation Validation Schema
+  applyRebuildSchema = Joi.object({
+    confirm: Joi.boolean().valid(true).required().messages({
+      "any.only": "Set confirm to true to apply the corrections",
+    }),
+  });
+
+  constructor() {
+    this.createRebuildReport = this.createRebuildReport.bind(this);
+    this.getRebuildReport = this.getRebuildReport.bind(this);
+    this.applyRebuildReport = this.applyRebuildReport.bind(this);
+  }
+
+  // Replay the referral history and report the differences without changing anything
+  async createRebuildReport(req, res) {
+    try {
+      const report = await rebuildService.createReport({
+        triggeredFrom: "admin",
+        createdBy: req.user.id,
+      });
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Rebuild report created. Review it and confirm to apply the corrections.",
+            report
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in createRebuildReport: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Fetch a rebuild report
+  async getRebuildReport(req, res) {
+    try {
+      const report = await RebuildReport.findById(req.params.reportId);
+      if (!report) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Rebuild report not found")
+          );
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Rebuild report retrieved successfully",
+            report
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getRebuildReport: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Apply the corrections of a report once the admin confirms them
+  async applyRebuildReport(req, res) {
+    const { error } = this.applyRebuildSchema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const report = await rebuildService.applyReport(
+        req.params.reportId,
+        req.user.id
+      );
+
+      logger.info(
+        `Rebuild report ${report._id} applied by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Rebuild corrections applied successfully",
+            report
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in applyRebuildReport: ${error.message}`);
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.message));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new RebuildController();
@@ -0,0 +1,251 @@
+const { User } = require("../models/DataBaseModel");
+const Refund = require("../models/RefundModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const refundService = require("../services/RefundService");
+const rankService = require("../services/RankService");
+
+class RefundController {
+  // Refund Policy Validation Schema
+  refundPolicySchema = Joi.object({
+    coolingOffDays: Joi.number().integer().min(0).max(365).required(),
+  });
+
+  // Registration Refund Validation Schema
+  refundRegistrationSchema = Joi.object({
+    reason: Joi.string().max(255).required(),
+  });
+
+  // Refund List Validation Schema
+  refundListSchema = Joi.object({
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  constructor() {
+    this.getRefundPolicy = this.getRefundPolicy.bind(this);
+    this.updateRefundPolicy = this.updateRefundPolicy.bind(this);
+    this.refundRegistration = this.refundRegistration.bind(this);
+    this.getRefunds = this.getRefunds.bind(this);
+    this.getRefund = this.getRefund.bind(this);
+  }
+
+  // Method for admin to view the cooling-off period
+  async getRefundPolicy(req, res) {
+    try {
+      const policy = await refundService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Refund policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getRefundPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to change the cooling-off period
+  async updateRefundPolicy(req, res) {
+    const { error, value } = this.refundPolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during refund policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await refundService.updatePolicy(value, req.user.id);
+
+      logger.info(`Refund policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Refund policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateRefundPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to refund a registration and claw back its income
+  async refundRegistration(req, res) {
+    const { error, value } = this.refundRegistrationSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during registration refund: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      if (await Refund.exists({ user: user._id })) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "This registration has already been refunded"
+            )
+          );
+      }
+
+      const policy = await refundService.getPolicy();
+      const blocker = refundService.getRefundBlocker(user, policy);
+      if (blocker) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(blocker));
+      }
+
+      const result = await refundService.refundRegistration(user, {
+        reason: value.reason,
+        adminId: req.user.id,
+      });
+      if (result.error) {
+        return res
+          .status(409)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      // The upline's teams shrank; the evaluateRanks job takes it from here
+      await rankService
+        .queueUpline(user)
+        .catch((rankError) =>
+          logger.error(
+            `Queueing rank evaluation after refund of ${user._id} failed: ${rankError.message}`
+          )
+        );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Registration refunded successfully",
+            result.refund
+          )
+        );
+    } catch (error) {
+      // Another refund of the same registration got there first
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "This registration has already been refunded"
+            )
+          );
+      }
+      logger.error(`Error in refundRegistration: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to list refunds, newest first
+  async getRefunds(req, res) {
+    const { error, value } = this.refundListSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { startDate, endDate, page, limit } = value;
+      const query = {};
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) {
+          query.createdAt.$gte = startDate;
+        }
+        if (endDate) {
+          query.createdAt.$lte = endDate;
+        }
+      }
+
+      const total = await Refund.countDocuments(query);
+      const refunds = await Refund.find(query, {
+        reversals: 0,
+        companyReversals: 0,
+        cancelledCommissions: 0,
+      })
+        .populate("user", "name referralCode mobileNumber")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Refunds retrieved successfully",
+          {
+            refunds,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getRefunds: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view one refund with every reversal it made
+  async getRefund(req, res) {
+    try {
+      const refund = await Refund.findById(req.params.refundId)
+        .populate("user", "name referralCode mobileNumber")
+        .populate("placementParent", "name referralCode")
+        .populate("reversals.user", "name referralCode")
+        .populate("companyReversals.user", "name referralCode")
+        .populate("cancelledCommissions.user", "name referralCode");
+      if (!refund) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("Refund not found"));
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Refund retrieved successfully",
+            refund
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getRefund: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new RefundController();
@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+const { User } = require("../models/DataBaseModel");
+const Renewal = require("../models/RenewalModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const renewalService = require("../services/RenewalService");
+
+class RenewalController {
+  // Renewal Validation Schema
+  renewalSchema = Joi.object({
+    pin: Joi.string().required(),
+    userId: Joi.string().hex().length(24), // Member to renew; the requester when left out
+  });
+
+  // Renewal List Validation Schema
+  renewalListSchema = Joi.object({
+    userId: Joi.string().hex().length(24),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  constructor() {
+    this.renewMember = this.renewMember.bind(this);
+    this.getMyRenewals = this.getMyRenewals.bind(this);
+    this.getRenewals = this.getRenewals.bind(this);
+  }
+
+  // Method for a member, their sponsor or an admin to extend validity with a pin
+  async renewMember(req, res) {
+    const { error, value } = this.renewalSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during renewal: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const [requester, member] = await Promise.all([
+        User.findById(req.user.id),
+        User.findById(value.userId || req.user.id),
+      ]);
+      if (!requester || !member) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("User not found"));
+      }
+
+      if (!(await renewalService.canApplyPin(member, requester))) {
+        logger.warn(
+          `User ${requester._id} attempted to renew member ${member._id} without being their sponsor.`
+        );
+        return res
+          .status(403)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Only the member or their sponsor can renew this account"
+            )
+          );
+      }
+
+      if (member.status !== "active") {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Inactive accounts cannot be renewed"
+            )
+          );
+      }
+
+      const result = await renewalService.renew({
+        member,
+        requester,
+        pinCode: value.pin,
+      });
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Validity renewed successfully",
+            result.renewal
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in renewMember: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see the renewals of their account
+  async getMyRenewals(req, res) {
+    try {
+      const renewals = await Renewal.find({ user: req.user.id })
+        .populate("renewedBy", "name referralCode")
+        .sort({ createdAt: -1 });
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Renewals retrieved successfully",
+            renewals
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getMyRenewals: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to track renewals and the revenue they bring
+  async getRenewals(req, res) {
+    const { error, value } = this.renewalListSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { userId, startDate, endDate, page, limit } = value;
+      const query = {};
+      if (userId) {
+        query.user = new mongoose.Types.ObjectId(userId);
+      }
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) {
+          query.createdAt.$gte = startDate;
+        }
+        if (endDate) {
+          query.createdAt.$lte = endDate;
+        }
+      }
+
+      const [totals] = await Renewal.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: null,
+            renewals: { $sum: 1 },
+            revenue: { $sum: "$packagePrice" },
+            renewalIncome: { $sum: "$renewalIncome" },
+            members: { $addToSet: "$user" },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            renewals: 1,
+            revenue: 1,
+            renewalIncome: 1,
+            members: { $size: "$members" },
+          },
+        },
+      ]);
+      const total = totals ? totals.renewals : 0;
+      const renewals = await Renewal.find(query)
+        .populate("user", "name referralCode mobileNumber")
+        .populate("renewedBy", "name referralCode")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Renewals retrieved successfully",
+          {
+            renewals,
+            totals: totals || {
+              renewals: 0,
+              revenue: 0,
+              renewalIncome: 0,
+              members: 0,
+            },
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getRenewals: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new RenewalController();
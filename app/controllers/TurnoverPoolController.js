@@ -0,0 +1,493 @@
+const Rank = require("../models/RankModel");
+const TurnoverPool = require("../models/TurnoverPoolModel");
+const TurnoverPoolDistribution = require("../models/TurnoverPoolDistributionModel");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const turnoverPoolService = require("../services/TurnoverPoolService");
+const {
+  POOL_SHARE_MODES,
+  POOL_DISTRIBUTION_STATUSES,
+} = require("../../constants/turnoverPoolConstant");
+
+// Pool fields shared by creation and update
+const poolFields = {
+  name: Joi.string().max(50),
+  percentage: Joi.number().greater(0).max(100),
+  qualifyingRanks: Joi.array()
+    .items(
+      Joi.object({
+        rank: Joi.string().required(),
+        weight: Joi.number().min(0).default(1),
+      })
+    )
+    .min(1)
+    .unique("rank"),
+  shareMode: Joi.string().valid(...Object.values(POOL_SHARE_MODES)),
+  isActive: Joi.boolean(),
+};
+
+// Calendar month as YYYY-MM
+const monthField = Joi.string()
+  .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+  .messages({ "string.pattern.base": "month must be in the form YYYY-MM" });
+
+class TurnoverPoolController {
+  // Pool Creation Validation Schema
+  createPoolSchema = Joi.object({
+    ...poolFields,
+    name: poolFields.name.required(),
+    percentage: poolFields.percentage.required(),
+    qualifyingRanks: poolFields.qualifyingRanks.required(),
+  });
+
+  // Pool Update Validation Schema (all fields optional)
+  updatePoolSchema = Joi.object(poolFields).min(1);
+
+  // Month-end Calculation Validation Schema
+  calculationSchema = Joi.object({
+    month: monthField, // The previous month when left out
+  });
+
+  // Share-out List Validation Schema
+  distributionListSchema = Joi.object({
+    month: monthField,
+    poolId: Joi.string(),
+    status: Joi.string().valid(...Object.values(POOL_DISTRIBUTION_STATUSES)),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  });
+
+  // Turnover Pool Policy Validation Schema
+  turnoverPoolPolicySchema = Joi.object({
+    timezone: Joi.string()
+      .custom((value, helpers) => {
+        try {
+          new Intl.DateTimeFormat("en-US", { timeZone: value });
+          return value;
+        } catch (err) {
+          return helpers.message("Invalid timezone");
+        }
+      })
+      .required(),
+  });
+
+  // Share-out Rejection Validation Schema
+  rejectionSchema = Joi.object({
+    reason: Joi.string().max(500).required(),
+  });
+
+  constructor() {
+    this.createPool = this.createPool.bind(this);
+    this.getPools = this.getPools.bind(this);
+    this.updatePool = this.updatePool.bind(this);
+    this.getTurnoverPoolPolicy = this.getTurnoverPoolPolicy.bind(this);
+    this.updateTurnoverPoolPolicy = this.updateTurnoverPoolPolicy.bind(this);
+    this.calculateMonth = this.calculateMonth.bind(this);
+    this.getDistributions = this.getDistributions.bind(this);
+    this.getDistribution = this.getDistribution.bind(this);
+    this.approveDistribution = this.approveDistribution.bind(this);
+    this.rejectDistribution = this.rejectDistribution.bind(this);
+    this.getMyPools = this.getMyPools.bind(this);
+  }
+
+  // Message when a qualifying rank does not exist, else null
+  async findUnknownRank(qualifyingRanks) {
+    const rankIds = qualifyingRanks.map((item) => item.rank);
+    const found = await Rank.countDocuments({ _id: { $in: rankIds } });
+    return found === rankIds.length
+      ? null
+      : "Every qualifying rank must be an existing rank";
+  }
+
+  // Method for admin to define a new turnover pool
+  async createPool(req, res) {
+    const { error, value } = this.createPoolSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during turnover pool creation: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const unknownRank = await this.findUnknownRank(value.qualifyingRanks);
+      if (unknownRank) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(unknownRank));
+      }
+
+      if (await TurnoverPool.exists({ name: value.name })) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `A turnover pool named ${value.name} already exists`
+            )
+          );
+      }
+
+      const pool = await TurnoverPool.create({
+        ...value,
+        createdBy: req.user.id,
+      });
+
+      logger.info(
+        `Turnover pool ${pool.name} (${pool.percentage}%) created by admin ${req.user.id}`
+      );
+
+      return res
+        .status(201)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool created successfully",
+            pool
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in createPool: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to list the turnover pools
+  async getPools(req, res) {
+    try {
+      const pools = await TurnoverPool.find({})
+        .populate("qualifyingRanks.rank", "name order")
+        .sort({ name: 1 });
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pools retrieved successfully",
+            pools
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getPools: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to change or retire a turnover pool; past share-outs keep their figures
+  async updatePool(req, res) {
+    const { error, value } = this.updatePoolSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during turnover pool update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const pool = await TurnoverPool.findById(req.params.poolId);
+      if (!pool) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Turnover pool not found")
+          );
+      }
+
+      if (value.qualifyingRanks) {
+        const unknownRank = await this.findUnknownRank(value.qualifyingRanks);
+        if (unknownRank) {
+          return res
+            .status(400)
+            .json(baseResponse.errorResponseWithMessage(unknownRank));
+        }
+      }
+
+      if (
+        value.name &&
+        value.name !== pool.name &&
+        (await TurnoverPool.exists({ name: value.name }))
+      ) {
+        return res
+          .status(409)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `A turnover pool named ${value.name} already exists`
+            )
+          );
+      }
+
+      pool.set({ ...value, updatedBy: req.user.id });
+      await pool.save();
+
+      logger.info(`Turnover pool ${pool._id} updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool updated successfully",
+            pool
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updatePool: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to run the month-end calculation, producing share-outs to approve
+  async calculateMonth(req, res) {
+    const { error, value } = this.calculationSchema.validate(req.body || {});
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const month =
+        value.month || (await turnoverPoolService.getPreviousMonth());
+      const result = await turnoverPoolService.calculateMonth(month, {
+        adminId: req.user.id,
+      });
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Turnover pools calculated successfully",
+          {
+            month,
+            distributions: result.distributions,
+            alreadyApproved: result.skipped.map((item) => item._id),
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in calculateMonth: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view the turnover pool policy
+  async getTurnoverPoolPolicy(req, res) {
+    try {
+      const policy = await turnoverPoolService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getTurnoverPoolPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to set the time zone whose months the pools are measured in
+  async updateTurnoverPoolPolicy(req, res) {
+    const { error, value } = this.turnoverPoolPolicySchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during turnover pool policy update: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const policy = await turnoverPoolService.updatePolicy(value, req.user.id);
+
+      logger.info(
+        `Turnover pool time zone set to ${policy.timezone} by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateTurnoverPoolPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to list share-outs, e.g. those awaiting approval
+  async getDistributions(req, res) {
+    const { error, value } = this.distributionListSchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { month, poolId, status, page, limit } = value;
+      const query = {};
+      if (month) {
+        query.month = month;
+      }
+      if (poolId) {
+        query.pool = poolId;
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const total = await TurnoverPoolDistribution.countDocuments(query);
+      const distributions = await TurnoverPoolDistribution.find(
+        query,
+        "-shares"
+      )
+        .sort({ month: -1, poolName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Turnover pool share-outs retrieved successfully",
+          {
+            distributions,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getDistributions: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to review the share-out list of one pool and month
+  async getDistribution(req, res) {
+    try {
+      const distribution = await TurnoverPoolDistribution.findById(
+        req.params.distributionId
+      ).populate("shares.user", "name referralCode mobileNumber");
+      if (!distribution) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Turnover pool share-out not found"
+            )
+          );
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool share-out retrieved successfully",
+            distribution
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getDistribution: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to approve a share-out, crediting the members' wallets
+  async approveDistribution(req, res) {
+    try {
+      const result = await turnoverPoolService.approveDistribution(
+        req.params.distributionId,
+        req.user.id
+      );
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool share-out approved successfully",
+            result.distribution
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in approveDistribution: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to reject a share-out so it can be recalculated
+  async rejectDistribution(req, res) {
+    const { error, value } = this.rejectionSchema.validate(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const result = await turnoverPoolService.rejectDistribution(
+        req.params.distributionId,
+        { reason: value.reason, adminId: req.user.id }
+      );
+      if (result.error) {
+        return res
+          .status(400)
+          .json(baseResponse.errorResponseWithMessage(result.error));
+      }
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pool share-out rejected successfully",
+            result.distribution
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in rejectDistribution: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to see the pools they qualified for and their shares
+  async getMyPools(req, res) {
+    try {
+      const pools = await turnoverPoolService.getMemberPools(req.user.id);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Turnover pools retrieved successfully",
+            pools
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getMyPools: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new TurnoverPoolController();
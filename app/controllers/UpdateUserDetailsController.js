@@ -6,6 +6,12 @@ const {
   ReferralTracking,
   Wallet,
 } = require("../models/DataBaseModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const referralTreeService = require("../services/ReferralTreeService");
+const { WALLET_ACCOUNTS } = require("../../constants/walletConstant");
+const { toCsv } = require("../../utils/csvWriter");
+const { buildTablePdf } = require("../../utils/pdfDocument");
+const { startOfDay, addDays } = require("../../utils/dateUtil");
 const BaseResponse = require("../../response/BaseResponse");
 const { StatusCodes } = require("http-status-codes");
 const logger = require("../../utils/logger"); // Assuming a logger service is implemented
@@ -18,6 +24,12 @@ class UpdateUserService {
     gender: Joi.string().valid("M", "F"),
     husbandName: Joi.string().max(100),
     fatherName: Joi.string().max(100),
+    panNumber: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
+      .messages({
+        "string.pattern.base": "Invalid PAN. It must look like ABCDE1234F.",
+      }),
     address: Joi.object({
       addressLine1: Joi.string().max(255),
       addressLine2: Joi.string().max(255),
@@ -36,6 +48,41 @@ class UpdateUserService {
     ifscCode: Joi.string().max(20),
   });
 
+  static walletStatementQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(500).default(20),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    incomeType: Joi.string().valid(
+      "direct",
+      "indirect",
+      "reward",
+      "transfer",
+      "cashback"
+    ),
+    format: Joi.string().valid("json", "csv", "pdf").default("json"),
+  });
+
+  // Statement income type filter to wallet ledger account
+  static statementIncomeTypes = {
+    direct: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+    indirect: WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+    reward: WALLET_ACCOUNTS.REWARD_INCOME,
+    transfer: WALLET_ACCOUNTS.FUND_TRANSFER_BALANCE,
+    cashback: WALLET_ACCOUNTS.CASHBACK_BALANCE,
+  };
+
+  // Columns shared by the CSV and PDF statement exports
+  static statementColumns = [
+    { header: "Date", key: "date", width: 110 },
+    { header: "Description", key: "description", width: 210 },
+    { header: "Income Type", key: "incomeType", width: 60 },
+    { header: "Counterparty", key: "counterparty", width: 140 },
+    { header: "Credit", key: "credit", width: 60, align: "right" },
+    { header: "Debit", key: "debit", width: 60, align: "right" },
+    { header: "Balance", key: "runningBalance", width: 70, align: "right" },
+  ];
+
   // Update User Details Method
   static async updateUserDetails(userId, body) {
     const { error, value } = this.userUpdateSchema.validate(body);
@@ -212,6 +259,212 @@ class UpdateUserService {
     }
   }
 
+  /**
+   * Wallet statement with one line per ledger entry and its running balance.
+   * Returns paginated JSON, or the whole range as a CSV or PDF file.
+   * @param {string} userId - Wallet owner.
+   * @param {Object} query - { page, limit, startDate, endDate, incomeType, format }
+   * @returns {Object} Response payload; file exports carry { fileName, contentType, content } in data.
+   */
+  static async getWalletStatement(userId, query) {
+    const { error, value } = this.walletStatementQuerySchema.validate(query);
+
+    if (error) {
+      logger.error("Validation error", error);
+      return BaseResponse.errorResponseWithData(
+        StatusCodes.BAD_REQUEST,
+        error.details
+      );
+    }
+
+    try {
+      const { page, limit, startDate, endDate, incomeType, format } = value;
+
+      const user = await User.findById(userId, "name referralCode");
+      if (!user) {
+        return BaseResponse.errorResponseWithData(
+          StatusCodes.BAD_REQUEST,
+          "User not found."
+        );
+      }
+
+      // Filtering by income type switches the running balance to that account
+      const account = incomeType ? this.statementIncomeTypes[incomeType] : null;
+      const balanceField = account ? "accountBalanceAfter" : "balanceAfter";
+
+      const query = { user: userId };
+      if (account) {
+        query.account = account;
+      }
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) {
+          query.createdAt.$gte = startDate;
+        }
+        if (endDate) {
+          // The end date is a whole day, as printed on the statement (UTC)
+          query.createdAt.$lt = addDays(startOfDay(endDate, "UTC"), 1);
+        }
+      }
+
+      // Opening balance is the balance after the last entry before the range
+      let openingBalance = 0;
+      if (startDate) {
+        const previousQuery = { user: userId, createdAt: { $lt: startDate } };
+        if (account) {
+          previousQuery.account = account;
+        }
+        const previousEntry = await WalletTransaction.findOne(previousQuery)
+          .sort({ createdAt: -1, _id: -1 })
+          .lean();
+        openingBalance = previousEntry ? previousEntry[balanceField] : 0;
+      }
+
+      const lastEntry = await WalletTransaction.findOne(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+      const closingBalance = lastEntry
+        ? lastEntry[balanceField]
+        : openingBalance;
+
+      let entriesQuery = WalletTransaction.find(query)
+        .populate("counterparty", "name referralCode")
+        .sort({ createdAt: 1, _id: 1 });
+
+      if (format === "json") {
+        entriesQuery = entriesQuery.skip((page - 1) * limit).limit(limit);
+      }
+
+      const [entries, total] = await Promise.all([
+        entriesQuery.lean(),
+        WalletTransaction.countDocuments(query),
+      ]);
+
+      const statement = entries.map((entry) =>
+        this.toStatementLine(entry, balanceField)
+      );
+
+      const summary = {
+        user: {
+          id: user._id,
+          name: user.name,
+          referralCode: user.referralCode,
+        },
+        incomeType: incomeType || "all",
+        startDate: startDate || null,
+        endDate: endDate || null,
+        openingBalance,
+        closingBalance,
+      };
+
+      if (format === "json") {
+        logger.info(`Wallet statement fetched for user ID: ${userId}`);
+        return BaseResponse.successResponseWithMessage(
+          "Wallet statement fetched successfully",
+          {
+            ...summary,
+            statement,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        );
+      }
+
+      const fileName = `wallet-statement-${user.referralCode}.${format}`;
+      const exportRows = statement.map((line) => ({
+        ...line,
+        date: line.date.toISOString(),
+        incomeType: line.incomeType || "",
+        counterparty: line.counterparty ? line.counterparty.label : "",
+        credit: line.credit ? line.credit.toFixed(2) : "",
+        debit: line.debit ? line.debit.toFixed(2) : "",
+        runningBalance: line.runningBalance.toFixed(2),
+      }));
+
+      const content =
+        format === "csv"
+          ? toCsv(this.statementColumns, exportRows)
+          : await buildTablePdf({
+              title: "Wallet Statement",
+              headerLines: [
+                `Member: ${user.name} (${user.referralCode})`,
+                `Period: ${this.formatStatementDate(
+                  startDate
+                )} to ${this.formatStatementDate(endDate)}`,
+                `Income type: ${summary.incomeType}`,
+                `Opening balance: ${openingBalance.toFixed(2)}`,
+              ],
+              columns: this.statementColumns,
+              rows: exportRows,
+              footerLines: [`Closing balance: ${closingBalance.toFixed(2)}`],
+            });
+
+      logger.info(
+        `Wallet statement exported as ${format} for user ID: ${userId}`
+      );
+      return BaseResponse.successResponseWithMessage(
+        "Wallet statement exported successfully",
+        {
+          fileName,
+          contentType: format === "csv" ? "text/csv" : "application/pdf",
+          content,
+        }
+      );
+    } catch (error) {
+      logger.error("Error fetching wallet statement:", error);
+      return BaseResponse.errorResponseWithMessage(
+        "An error occurred while fetching the wallet statement",
+        error
+      );
+    }
+  }
+
+  // Map a ledger entry to a statement line
+  static toStatementLine(entry, balanceField) {
+    const isCredit = entry.entryType === "credit";
+    let counterparty = null;
+
+    if (entry.counterparty) {
+      counterparty = {
+        type: "member",
+        id: entry.counterparty._id,
+        label: `${entry.counterparty.name} (${entry.counterparty.referralCode})`,
+      };
+    } else if (entry.sourceType === "withdrawal") {
+      counterparty = {
+        type: "withdrawal",
+        id: entry.sourceId,
+        label: `Withdrawal request ${entry.sourceId}`,
+      };
+    }
+
+    const incomeType = Object.keys(this.statementIncomeTypes).find(
+      (key) => this.statementIncomeTypes[key] === entry.account
+    );
+
+    return {
+      id: entry._id,
+      date: entry.createdAt,
+      description: entry.description,
+      entryType: entry.entryType,
+      incomeType,
+      sourceType: entry.sourceType,
+      sourceId: entry.sourceId,
+      counterparty,
+      credit: isCredit ? entry.amount : 0,
+      debit: isCredit ? 0 : entry.amount,
+      runningBalance: entry[balanceField],
+    };
+  }
+
+  static formatStatementDate(date) {
+    return date ? date.toISOString().slice(0, 10) : "-";
+  }
+
   static async getTotalReferralCount(userId) {
     try {
       if (!userId) {
@@ -248,6 +501,39 @@ class UpdateUserService {
       );
     }
   }
+
+  // Size of a member's whole downline and of each level in it
+  static async getTeamSummary(userId) {
+    try {
+      const user = await User.findById(userId, "referralCode ancestors depth");
+      if (!user) {
+        return BaseResponse.errorResponseWithData(
+          StatusCodes.BAD_REQUEST,
+          "User not found."
+        );
+      }
+
+      const [totalDownline, levels] = await Promise.all([
+        referralTreeService.getTeamSize(user._id),
+        referralTreeService.getTeamByLevel(user),
+      ]);
+
+      return BaseResponse.successResponseWithMessage(
+        "Team summary fetched successfully",
+        {
+          referralCode: user.referralCode,
+          totalDownline,
+          levels,
+        }
+      );
+    } catch (error) {
+      logger.error("Error fetching team summary:", error);
+      return BaseResponse.errorResponseWithMessage(
+        "An error occurred while fetching the team summary",
+        error
+      );
+    }
+  }
 }
 
 module.exports = UpdateUserService;
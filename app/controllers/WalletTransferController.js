@@ -0,0 +1,409 @@
+const bcrypt = require("bcryptjs");
+const { User } = require("../models/DataBaseModel");
+const WalletTransfer = require("../models/WalletTransferModel");
+const mongoose = require("mongoose");
+const logger = require("../../utils/logger");
+const Joi = require("joi");
+const baseResponse = require("../../response/BaseResponse");
+const { StatusCodes } = require("http-status-codes");
+const walletTransferService = require("../services/WalletTransferService");
+const {
+  TRANSFER_STATUSES,
+  TRANSFER_RECEIVED_USAGES,
+} = require("../../constants/transferConstant");
+
+class WalletTransferController {
+  // Transfer Initiation Validation Schema
+  transferSchema = Joi.object({
+    recipientReferralCode: Joi.string().required(),
+    amount: Joi.number().positive().precision(2).required(),
+    note: Joi.string().max(255),
+  });
+
+  // Transfer Confirmation Validation Schema
+  confirmTransferSchema = Joi.object({
+    password: Joi.string().required(),
+  });
+
+  // Transfer History Validation Schema
+  transferHistorySchema = Joi.object({
+    direction: Joi.string().valid("sent", "received", "all").default("all"),
+    status: Joi.string().valid(...Object.values(TRANSFER_STATUSES)),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  });
+
+  // Transfer Policy Validation Schema (all fields optional for partial updates)
+  transferPolicySchema = Joi.object({
+    enabled: Joi.boolean(),
+    downlineOnly: Joi.boolean(),
+    minimumAmount: Joi.number().min(0),
+    maximumAmount: Joi.number().min(0).allow(null),
+    dailyLimit: Joi.number().min(0).allow(null),
+    confirmationWindowMinutes: Joi.number().integer().min(1).max(1440),
+    timezone: Joi.string().custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return value;
+      } catch (err) {
+        return helpers.message("Invalid timezone");
+      }
+    }),
+    receivedUsage: Joi.string().valid(
+      ...Object.values(TRANSFER_RECEIVED_USAGES)
+    ),
+  }).min(1);
+
+  constructor() {
+    this.createTransfer = this.createTransfer.bind(this);
+    this.confirmTransfer = this.confirmTransfer.bind(this);
+    this.cancelTransfer = this.cancelTransfer.bind(this);
+    this.getMyTransfers = this.getMyTransfers.bind(this);
+    this.updateTransferPolicy = this.updateTransferPolicy.bind(this);
+  }
+
+  // Method for a member to start a transfer to another member
+  async createTransfer(req, res) {
+    const { error, value } = this.transferSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during wallet transfer: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const sender = await User.findById(req.user.id);
+      const recipient = await User.findOne({
+        referralCode: value.recipientReferralCode,
+      });
+
+      if (!sender || !recipient) {
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("Recipient not found"));
+      }
+
+      const policyResult = await walletTransferService.evaluate({
+        sender,
+        recipient,
+        amount: value.amount,
+      });
+
+      if (!policyResult.passed) {
+        logger.warn(
+          `Wallet transfer rule ${policyResult.rule} failed for user ${sender._id}: ${policyResult.message}`
+        );
+        return res.status(400).json(
+          baseResponse.errorResponseWithData(StatusCodes.BAD_REQUEST, {
+            rule: policyResult.rule,
+            message: policyResult.message,
+          })
+        );
+      }
+
+      const transfer = await walletTransferService.initiate({
+        sender,
+        recipient,
+        amount: value.amount,
+        note: value.note,
+        policy: policyResult.policy,
+      });
+
+      logger.info(
+        `Wallet transfer ${transfer.reference} of ${transfer.amount} started by user ${sender._id} to ${recipient._id}`
+      );
+
+      return res.status(201).json(
+        baseResponse.successResponseWithMessage(
+          "Transfer created. Confirm it with your password to complete it.",
+          {
+            transfer,
+            recipient: {
+              name: recipient.name,
+              referralCode: recipient.referralCode,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in createTransfer: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for the sender to confirm a pending transfer, which moves the money
+  async confirmTransfer(req, res) {
+    const { error, value } = this.confirmTransferSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during wallet transfer confirmation: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { transferId } = req.params;
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const transfer = await WalletTransfer.findOne({
+        _id: transferId,
+        sender: req.user.id,
+      }).session(session);
+
+      if (!transfer) {
+        await session.abortTransaction();
+        return res
+          .status(404)
+          .json(baseResponse.errorResponseWithMessage("Transfer not found"));
+      }
+
+      if (transfer.status !== TRANSFER_STATUSES.PENDING) {
+        await session.abortTransaction();
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `Only pending transfers can be confirmed; this transfer is ${transfer.status}`
+            )
+          );
+      }
+
+      if (transfer.expiresAt < new Date()) {
+        transfer.status = TRANSFER_STATUSES.EXPIRED;
+        await transfer.save({ session });
+        await session.commitTransaction();
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "Transfer confirmation window has expired"
+            )
+          );
+      }
+
+      const sender = await User.findById(transfer.sender).session(session);
+      const isMatch = await bcrypt
+        .compare(value.password, sender.password)
+        .catch(() => false);
+      if (!isMatch) {
+        await session.abortTransaction();
+        logger.warn(`Wrong password confirming wallet transfer ${transferId}`);
+        return res
+          .status(401)
+          .json(baseResponse.errorResponseWithMessage("Invalid password"));
+      }
+
+      const recipient = await User.findById(transfer.recipient).session(
+        session
+      );
+
+      // The policy may have changed, or the balance been spent, since creation
+      const policyResult = await walletTransferService.evaluate(
+        { sender, recipient, amount: transfer.amount },
+        session
+      );
+
+      if (!policyResult.passed) {
+        await session.abortTransaction();
+        return res.status(400).json(
+          baseResponse.errorResponseWithData(StatusCodes.BAD_REQUEST, {
+            rule: policyResult.rule,
+            message: policyResult.message,
+          })
+        );
+      }
+
+      await walletTransferService.complete(
+        transfer,
+        { sender, recipient },
+        session
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Wallet transfer ${transfer.reference} of ${transfer.amount} completed from user ${sender._id} to ${recipient._id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Transfer completed successfully",
+            transfer
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in confirmTransfer: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Method for the sender to cancel a transfer they have not confirmed
+  async cancelTransfer(req, res) {
+    try {
+      const transfer = await WalletTransfer.findOneAndUpdate(
+        {
+          _id: req.params.transferId,
+          sender: req.user.id,
+          status: TRANSFER_STATUSES.PENDING,
+        },
+        { status: TRANSFER_STATUSES.CANCELLED },
+        { new: true }
+      );
+
+      if (!transfer) {
+        return res
+          .status(404)
+          .json(
+            baseResponse.errorResponseWithMessage("Pending transfer not found")
+          );
+      }
+
+      logger.info(
+        `Wallet transfer ${transfer.reference} cancelled by user ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Transfer cancelled successfully",
+            transfer
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in cancelTransfer: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to view transfers they sent or received
+  async getMyTransfers(req, res) {
+    const { error, value } = this.transferHistorySchema.validate(req.query);
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      const { direction, status, page, limit } = value;
+
+      const sides = {
+        sent: [{ sender: req.user.id }],
+        received: [{ recipient: req.user.id }],
+        all: [{ sender: req.user.id }, { recipient: req.user.id }],
+      };
+
+      // Only completed transfers are visible to the recipient
+      const query = {
+        $or: sides[direction].map((side) =>
+          side.recipient
+            ? { ...side, status: TRANSFER_STATUSES.COMPLETED }
+            : side
+        ),
+      };
+      if (status) {
+        query.status = status;
+      }
+
+      const total = await WalletTransfer.countDocuments(query);
+
+      const transfers = await WalletTransfer.find(query)
+        .populate("sender", "name referralCode")
+        .populate("recipient", "name referralCode")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Transfers retrieved successfully",
+          {
+            transfers,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyTransfers: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to view the transfer policy
+  async getTransferPolicy(req, res) {
+    try {
+      const policy = await walletTransferService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Transfer policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getTransferPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to update the transfer policy
+  async updateTransferPolicy(req, res) {
+    try {
+      const { error, value } = this.transferPolicySchema.validate(req.body);
+      if (error) {
+        logger.warn(
+          `Validation error during transfer policy update: ${error.details[0].message}`
+        );
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(error.details[0].message)
+          );
+      }
+
+      const policy = await walletTransferService.updatePolicy(
+        value,
+        req.user.id
+      );
+
+      logger.info(`Transfer policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Transfer policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateTransferPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+}
+
+// Export the controller instance
+module.exports = new WalletTransferController();
@@ -3,9 +3,11 @@ const {
   User,
   PinManagement,
   ReferralTracking,
-  Wallet,
 } = require("../models/DataBaseModel");
-const PackageModel = require("../models/PackageModel");
+const commissionDistributionService = require("../services/CommissionDistributionService");
+const referralTreeService = require("../services/ReferralTreeService");
+const levelService = require("../services/LevelService");
+const rankService = require("../services/RankService");
 const baseResponse = require("../../response/BaseResponse");
 const { StatusCodes } = require("http-status-codes");
 const JwtTokenUtil = require("../../middleware/JwtTokenUtil");
@@ -31,6 +33,7 @@ class AuthController {
       "string.email": "Invalid email format.",
     }),
     password: Joi.string().min(6).required(),
+    placementLeg: Joi.string().optional(), // Referral code of the sponsor's direct member to place under
   });
 
   // Login Validation Schema
@@ -88,104 +91,149 @@ class AuthController {
         .send(baseResponse.errorResponseWithMessage(error.details[0].message));
     }
 
-    const { referralCode, pin, name, mobileNumber, email, password } = value;
+    const {
+      referralCode,
+      pin,
+      name,
+      mobileNumber,
+      email,
+      password,
+      placementLeg,
+    } = value;
 
     // Start a database session
     const session = await mongoose.startSession();
-    session.startTransaction();
 
     try {
-      // Check for existing user
-      if (await User.exists({ $or: [{ mobileNumber }, { email }] })) {
-        throw new Error("User already exists with this mobile number or email");
-      }
+      let newUser;
+
+      // Retried from the start when a concurrent registration takes the same placement slot
+      await session.withTransaction(async () => {
+        // Check for existing user
+        if (await User.exists({ $or: [{ mobileNumber }, { email }] })) {
+          throw new Error(
+            "User already exists with this mobile number or email"
+          );
+        }
+
+        // Validate referral code
+        const referrer = await User.findOne({ referralCode });
+        if (!referrer) throw new Error("Invalid referral code");
 
-      // Validate referral code
-      const referrer = await User.findOne({ referralCode });
-      if (!referrer) throw new Error("Invalid referral code");
+        const isValid = referrer.validTill && referrer.validTill > new Date();
 
-      const isValid = referrer.validTill && referrer.validTill > new Date();
+        if (!isValid) {
+          logger.error(
+            `User validity expired. ValidTill: ${
+              referrer.validTill
+            }, CurrentTime: ${new Date()}`
+          );
+          throw new Error("User Validity Expired");
+        }
 
-      if (!isValid) {
-        logger.error(
-          `User validity expired. ValidTill: ${
+        logger.info(
+          `User is valid. ValidTill: ${
             referrer.validTill
           }, CurrentTime: ${new Date()}`
         );
-        throw new Error("User Validity Expired");
-      }
-
-      logger.info(
-        `User is valid. ValidTill: ${
-          referrer.validTill
-        }, CurrentTime: ${new Date()}`
-      );
 
-      let pinDetails;
+        let pinDetails;
 
-      const query = { pinCode: pin };
-      if (referrer.userType !== "Admin") {
-        query.assignedTo = referrer._id;
-      }
+        const query = { pinCode: pin };
+        if (referrer.userType !== "Admin") {
+          query.assignedTo = referrer._id;
+        }
 
-      pinDetails = await PinManagement.findOne(query);
+        pinDetails = await PinManagement.findOne(query);
 
-      // Validate pin
+        // Validate pin
 
-      if (!pinDetails || pinDetails.status === "used") {
-        throw new Error("Invalid or used pin");
-      }
+        if (
+          !pinDetails ||
+          pinDetails.status === "used" ||
+          pinDetails.status === "refunded"
+        ) {
+          throw new Error("Invalid or used pin");
+        }
 
-      // Hash the password
-      const hashedPassword = await bcrypt.hash(
-        password,
-        await bcrypt.genSalt(10)
-      );
+        // Hash the password
+        const hashedPassword = await bcrypt.hash(
+          password,
+          await bcrypt.genSalt(10)
+        );
 
-      // Determine referral parent
-      const referralParent = await this.getReferralParent(referrer);
-
-      const validTill = new Date();
-      validTill.setDate(validTill.getDate() + 35); // Add 35 days to the current date
-
-      // Create the new user
-      const newUser = new User({
-        name,
-        mobileNumber,
-        email,
-        password: hashedPassword,
-        referralCode: mobileNumber,
-        parentReferralCode: referralParent.referralCode,
-        validTill: validTill,
-        status: "active",
-      });
+        // Determine referral parent
+        const referralParent = await referralTreeService.getReferralParent(
+          referrer,
+          session,
+          { leg: placementLeg, packageId: pinDetails.packageId }
+        );
+        await referralTreeService.claimSlot(
+          referralParent,
+          session,
+          pinDetails.packageId
+        );
+        const ancestors = await referralTreeService.getChildAncestry(
+          referralParent,
+          session
+        );
 
-      // Save user and referral tracking
-      await newUser.save({ session });
-      await ReferralTracking.create(
-        [{ referrer: referralParent._id, referred: newUser._id }],
-        { session }
-      );
+        const validTill = new Date();
+        validTill.setDate(validTill.getDate() + 35); // Add 35 days to the current date
+
+        // Create the new user
+        newUser = new User({
+          name,
+          mobileNumber,
+          email,
+          password: hashedPassword,
+          referralCode: mobileNumber,
+          parentReferralCode: referralParent.referralCode,
+          ancestors,
+          depth: ancestors.length,
+          sponsorReferralCode: referrer.referralCode,
+          registrationPin: pinDetails._id,
+          currentPackage: pinDetails.packageId,
+          validTill: validTill,
+          status: "active",
+        });
+
+        // Save user and referral tracking
+        await newUser.save({ session });
+        await ReferralTracking.create(
+          [{ referrer: referralParent._id, referred: newUser._id }],
+          { session }
+        );
 
-      // Update referral levels and wallet
-      await this.updateReferralLevelsAndWallet(
-        referralParent,
-        referrer,
-        pinDetails,
-        session
-      );
+        // Update referral levels and wallet
+        await this.updateReferralLevelsAndWallet(
+          referralParent,
+          referrer,
+          pinDetails,
+          newUser,
+          session
+        );
 
-      // Update pin status
-      await PinManagement.updateOne(
-        { _id: pinDetails._id },
-        { $set: { status: "used", updatedAt: new Date() } },
-        { session }
-      );
+        // Update pin status
+        await PinManagement.updateOne(
+          { _id: pinDetails._id },
+          { $set: { status: "used", usedAt: new Date() } },
+          { session }
+        );
+      });
 
-      // Commit transaction
-      await session.commitTransaction();
       logger.info(`User registered successfully: ${newUser._id}`);
 
+      // The new member grows every upline team; the evaluateRanks job
+      // promotes them, and promotions never undo the registration
+      await rankService
+        .queueUpline(newUser)
+        .catch((rankError) =>
+          logger.error(
+            `Queueing rank evaluation after registration of ${newUser._id} failed: ${rankError.message}`
+          )
+        );
+
       return res.status(201).send(
         baseResponse.successResponseWithMessage(
           "User registered successfully",
@@ -198,7 +246,6 @@ class AuthController {
       );
     } catch (error) {
       logger.error(`Error during registration: ${error.message}`);
-      await session.abortTransaction();
       return res
         .status(400)
         .send(baseResponse.errorResponseWithMessage(error.message));
@@ -214,20 +261,23 @@ class AuthController {
     referralParent,
     referrer,
     pinDetails,
+    newUser,
     session
   ) {
     // Recalculate levels
-    const updatedLevelParent = await this.calculateUserLevel(
-      referralParent._id
+    const updatedLevelParent = await levelService.calculateUserLevel(
+      referralParent._id,
+      session
     );
-    const updatedLevelReferrer = await this.calculateReferreUserLevel(
-      referrer._id
+    const updatedLevelReferrer = await levelService.calculateUserLevel(
+      referrer._id,
+      session
     );
 
-    // Update referral parent's level and rank
+    // Update referral parent's level
     await User.findByIdAndUpdate(
       referralParent._id,
-      { $set: { level: updatedLevelParent, rank: updatedLevelParent } },
+      { $set: { level: updatedLevelParent } },
       { session }
     );
 
@@ -235,10 +285,10 @@ class AuthController {
       `Updated referral parent level: ${referralParent._id} to Level ${updatedLevelParent}`
     );
 
-    // Update referrer's level and rank
+    // Update referrer's level
     await User.findByIdAndUpdate(
       referrer._id,
-      { $set: { level: updatedLevelReferrer, rank: updatedLevelReferrer } },
+      { $set: { level: updatedLevelReferrer } },
       { session }
     );
 
@@ -246,209 +296,13 @@ class AuthController {
       `Updated referrer level: ${referrer._id} to Level ${updatedLevelReferrer}`
     );
 
-    // Update wallet and other metrics
-    await this.updateReferrerWallet(
-      referralParent._id,
-      referrer,
-      pinDetails,
-      updatedLevelReferrer,
-      updatedLevelParent,
+    // Pay the sponsor and every eligible ancestor up the upline
+    await commissionDistributionService.distributeRegistration(
+      { newUser, sponsor: referrer, pinDetails },
       session
     );
   }
 
-  // Helper Method: Determine referral parent
-  async getReferralParent(referrer) {
-    const referrerChildren = await ReferralTracking.find({
-      referrer: referrer._id,
-    });
-    if (referrerChildren.length >= 5) {
-      const eligibleChild = await User.aggregate([
-        {
-          $lookup: {
-            from: "referraltrackings",
-            localField: "_id",
-            foreignField: "referrer",
-            as: "referralDetails",
-          },
-        },
-        {
-          $match: {
-            _id: { $in: referrerChildren.map((child) => child.referred) },
-            "referralDetails.5": { $exists: false }, // Users with fewer than 5 referrals
-          },
-        },
-        { $limit: 1 },
-      ]);
-
-      if (eligibleChild.length > 0) {
-        return eligibleChild[0];
-      } else {
-        return referrer; // Fallback explicitly stated
-      }
-    } else {
-      return referrer; // Referrer has fewer than 5 children
-    }
-  }
-
-  async updateReferrerWallet(
-    referrerId,
-    referral,
-    pinDetails,
-    updatedLevelReferral,
-    updatedLevel,
-    session
-  ) {
-    const packageDetails = await PackageModel.findOne({
-      _id: pinDetails.packageId,
-    });
-    let income = 0;
-    let indirectIncome = 0;
-
-    const levelIncomeMap = {
-      60: {
-        1: 4,
-        2: 3,
-        3: 2,
-        4: 1,
-        5: 1,
-        6: 1,
-        7: 1,
-        8: 0.5,
-        9: 0.3,
-        default: 0.2,
-      },
-      200: {
-        1: 10,
-        2: 6,
-        3: 4,
-        4: 1.5,
-        5: 1.5,
-        6: 1.5,
-        7: 1.5,
-        8: 1,
-        9: 0.6,
-        default: 0.4,
-      },
-      1300: {
-        1: 64,
-        2: 48,
-        3: 34,
-        4: 20,
-        5: 20,
-        6: 20,
-        7: 20,
-        8: 10,
-        9: 8,
-        default: 2,
-      },
-    };
-
-    const productPrice = Number(packageDetails.productPrice);
-
-    const packageIncome = levelIncomeMap[productPrice] || {};
-    income =
-      (packageIncome[updatedLevel] || packageIncome.default) +
-      packageDetails.directIncome +
-      packageDetails.cashback;
-
-    if (referrerId !== referral._id) {
-      indirectIncome =
-        updatedLevel === updatedLevelReferral
-          ? packageIncome[updatedLevelReferral] || packageIncome.default
-          : 0;
-    }
-
-    const updateWallet = async (userId, incomeField, amount) => {
-      const wallet = await Wallet.findOne({ user: userId });
-      if (!wallet) {
-        const newWallet = new Wallet({ user: userId, [incomeField]: amount });
-        await newWallet.save({ session });
-      } else {
-        await Wallet.findOneAndUpdate(
-          { user: userId },
-          {
-            $inc: { [incomeField]: amount },
-            $set: { updatedAt: new Date() },
-          },
-          { session }
-        );
-      }
-    };
-
-    if (referrerId === referral._id) {
-      await updateWallet(referrerId, "directReferralIncome", income);
-    } else {
-      await updateWallet(
-        referral._id,
-        "indirectReferralIncome",
-        indirectIncome
-      );
-    }
-  }
-
-  // calculate user level function
-  async calculateUserLevel(userId) {
-    // Fetch direct and indirect referrals in parallel for better performance
-    const [directReferrals, indirectReferrals] = await Promise.all([
-      ReferralTracking.countDocuments({ referrer: userId }),
-      ReferralTracking.countDocuments({
-        referrer: { $ne: userId },
-        referred: userId,
-      }),
-    ]);
-
-    logger.info(`${directReferrals} directReferrals`);
-    logger.info(`${indirectReferrals} indirectReferrals`);
-
-    const totalCount = directReferrals + indirectReferrals;
-    logger.info(`${totalCount} totalCount`);
-
-    // Determine the level based on the thresholds
-    if (totalCount >= 9765625) return 10;
-    if (totalCount >= 1953125) return 9;
-    if (totalCount >= 390625) return 8;
-    if (totalCount >= 78125) return 7;
-    if (totalCount >= 15625) return 6;
-    if (totalCount >= 3125) return 5;
-    if (totalCount >= 625) return 4;
-    if (totalCount >= 125) return 3;
-    if (totalCount >= 25) return 2;
-
-    return 1; // Default level
-  }
-
-  // calculate user referre level
-  async calculateReferreUserLevel(userId) {
-    // Fetch direct and indirect referrals in parallel for better performance
-    const [directReferrals, indirectReferrals] = await Promise.all([
-      ReferralTracking.countDocuments({ referrer: userId }),
-      ReferralTracking.countDocuments({
-        referrer: { $ne: userId },
-        referred: userId,
-      }),
-    ]);
-
-    logger.info(`${directReferrals} directReferrals`);
-    logger.info(`${indirectReferrals} indirectReferrals`);
-
-    const totalCount = directReferrals + indirectReferrals;
-    logger.info(`${totalCount} totalCount`);
-
-    // Determine the level based on the thresholds
-    if (totalCount >= 9765625) return 10;
-    if (totalCount >= 1953125) return 9;
-    if (totalCount >= 390625) return 8;
-    if (totalCount >= 78125) return 7;
-    if (totalCount >= 15625) return 6;
-    if (totalCount >= 3125) return 5;
-    if (totalCount >= 625) return 4;
-    if (totalCount >= 125) return 3;
-    if (totalCount >= 25) return 2;
-
-    return 1; // Default level
-  }
-
   // Login Method
   async loginUser(req, res) {
     logger.info("Received request for user login.");
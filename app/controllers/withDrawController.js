@@ -5,17 +5,92 @@ const logger = require("../../utils/logger");
 const Joi = require("joi");
 const baseResponse = require("../../response/BaseResponse");
 const { StatusCodes } = require("http-status-codes");
+const walletService = require("../services/WalletService");
+const withdrawalPolicyService = require("../services/WithdrawalPolicyService");
+const withdrawalPayoutService = require("../services/WithdrawalPayoutService");
+const walletTransferService = require("../services/WalletTransferService");
+const {
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const { WITHDRAWAL_STATUSES } = require("../../constants/withdrawalConstant");
 
 class WithDrawController {
   // Login Validation Schema
   withDrawSchema = Joi.object({
-    userId: Joi.string().required(),
+    userId: Joi.string().hex().length(24), // Admins only; the requester when left out
     amountRequested: Joi.number().min(1).required(),
   });
 
+  // Withdrawal Policy Validation Schema (all fields optional for partial updates)
+  withdrawalPolicySchema = Joi.object({
+    minimumAmount: Joi.number().min(0),
+    minimumBalance: Joi.number().min(0),
+    tdsRateWithPan: Joi.number().min(0).max(100),
+    tdsRateWithoutPan: Joi.number().min(0).max(100),
+    tdsWithoutPanFrom: Joi.date().allow(null), // null keeps everyone on the PAN rate
+    feePercentage: Joi.number().min(0).max(100),
+    flatFee: Joi.number().min(0),
+    dailyCap: Joi.number().min(0).allow(null),
+    weeklyCap: Joi.number().min(0).allow(null),
+    monthlyCap: Joi.number().min(0).allow(null),
+    allowedDays: Joi.array()
+      .items(Joi.number().integer().min(0).max(6))
+      .unique()
+      .min(1),
+    allowedHours: Joi.object({
+      from: Joi.number().integer().min(0).max(23).required(),
+      to: Joi.number()
+        .integer()
+        .min(1)
+        .max(24)
+        .greater(Joi.ref("from"))
+        .required(),
+    }),
+    timezone: Joi.string().custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return value;
+      } catch (err) {
+        return helpers.message("Invalid timezone");
+      }
+    }),
+    maxPendingRequests: Joi.number().integer().min(1).allow(null),
+    requireBankDetails: Joi.boolean(),
+  }).min(1);
+
+  // Payout Status Validation Schema
+  payoutStatusSchema = Joi.object({
+    withdrawalRequestId: Joi.string().required(),
+    status: Joi.string()
+      .valid("processing", "paid", "failed", "reversed")
+      .required(),
+    utrReference: Joi.string().max(50),
+    payoutDate: Joi.date(),
+    failureReason: Joi.string().max(255),
+  });
+
+  // Own Withdrawal Requests Query Validation Schema
+  myWithdrawalRequestsSchema = Joi.object({
+    status: Joi.string().valid(...Object.values(WITHDRAWAL_STATUSES)),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    startDate: Joi.date(),
+    endDate: Joi.date().min(Joi.ref("startDate")),
+  });
+
+  // Withdrawal Cancellation Validation Schema
+  cancelWithdrawalSchema = Joi.object({
+    reason: Joi.string().max(255),
+  });
+
   constructor() {
     this.createWithdrawalRequest = this.createWithdrawalRequest.bind(this);
     this.approveOrDenyWithdrawal = this.approveOrDenyWithdrawal.bind(this);
+    this.updateWithdrawalPolicy = this.updateWithdrawalPolicy.bind(this);
+    this.updatePayoutStatus = this.updatePayoutStatus.bind(this);
+    this.cancelWithdrawalRequest = this.cancelWithdrawalRequest.bind(this);
+    this.getMyWithdrawalRequests = this.getMyWithdrawalRequests.bind(this);
   }
 
   // Method to create withdrawal request
@@ -37,7 +112,26 @@ class WithDrawController {
           );
       }
 
-      const { userId, amountRequested } = value; // Use validated input
+      // Members withdraw their own money; only an admin files for someone else
+      if (
+        value.userId &&
+        value.userId !== String(req.user.id) &&
+        req.user.userType !== "Admin"
+      ) {
+        logger.warn(
+          `User ${req.user.id} attempted a withdrawal request for user ${value.userId}`
+        );
+        return res
+          .status(403)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              "You can only request withdrawals from your own wallet"
+            )
+          );
+      }
+
+      const { amountRequested } = value; // Use validated input
+      const userId = value.userId || req.user.id;
 
       // Start the transaction
       session.startTransaction();
@@ -48,26 +142,55 @@ class WithDrawController {
         throw new Error("Wallet not found");
       }
 
-      const totalBalance =
-        wallet.directReferralIncome + wallet.indirectReferralIncome;
-      if (totalBalance < 100) {
-        throw new Error("Minimum balance of 100 required for withdrawal");
+      // Evaluate the admin-configured withdrawal policy
+      const policyResult = await withdrawalPolicyService.evaluate(
+        { userId, amountRequested, wallet },
+        session
+      );
+
+      if (!policyResult.passed) {
+        logger.warn(
+          `Withdrawal policy rule ${policyResult.rule} failed for user ${userId}: ${policyResult.message}`
+        );
+        await session.abortTransaction();
+        return res.status(400).json(
+          baseResponse.errorResponseWithData(StatusCodes.BAD_REQUEST, {
+            rule: policyResult.rule,
+            message: policyResult.message,
+          })
+        );
       }
 
-      // Calculate deductions
-      const deductionAmount = amountRequested * 0.08;
-      const netAmount = amountRequested - deductionAmount;
+      // Pending requests already reserve part of the balance
+      const accounts = await walletTransferService.getWithdrawableAccounts(
+        session
+      );
+      if (
+        amountRequested > walletService.getAvailableBalance(wallet, accounts)
+      ) {
+        throw new Error(
+          "Requested amount exceeds the available balance in wallet"
+        );
+      }
+
+      // Deductions as calculated by the policy
+      const { deductionAmount, netAmount, deductions } = policyResult;
 
       // Create the withdrawal request
       const withdrawalRequest = new WithdrawalRequest({
         user: userId,
         amountRequested,
         deductionAmount,
+        deductions,
         netAmount,
+        fundsHeld: true,
       });
 
       await withdrawalRequest.save({ session });
 
+      // Reserve the requested amount until the request is approved or denied
+      await walletService.holdFunds(userId, amountRequested, session, accounts);
+
       // Commit the transaction
       await session.commitTransaction();
 
@@ -114,56 +237,59 @@ class WithDrawController {
           );
       }
 
-      const withdrawalRequest = await WithdrawalRequest.findById(
-        withdrawalRequestId
-      )
-        .populate("user")
-        .session(session);
-
-      if (!withdrawalRequest) {
-        throw new Error("Withdrawal request not found");
+      if (status !== "approved" && status !== "denied") {
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage("Invalid status provided")
+          );
       }
 
       // Start the session
       session.startTransaction();
 
-      // If approved, deduct the amount from the user's wallet
-      if (status === "approved") {
-        const wallet = await Wallet.findOne({
-          user: withdrawalRequest.user._id,
-        }).session(session);
-
-        if (!wallet) {
-          throw new Error("User wallet not found");
-        }
-
-        const totalBalance =
-          wallet.directReferralIncome + wallet.indirectReferralIncome;
+      // Only a request still pending is claimed, so a concurrent approval or
+      // denial cannot settle it twice; the request is returned as it was
+      const withdrawalRequest = await WithdrawalRequest.findOneAndUpdate(
+        { _id: withdrawalRequestId, status: "pending" },
+        { $set: { status, approvalDate: new Date(), fundsHeld: false } },
+        { session }
+      ).populate("user");
 
-        const totalDeductionAmount = withdrawalRequest.amountRequested;
-
-        if (totalBalance < totalDeductionAmount) {
-          throw new Error("Insufficient funds in wallet");
-        }
+      if (!withdrawalRequest) {
+        const existing = await WithdrawalRequest.findById(
+          withdrawalRequestId,
+          "status"
+        ).session(session);
+        throw new Error(
+          existing
+            ? `Withdrawal request is already ${existing.status}`
+            : "Withdrawal request not found"
+        );
+      }
 
-        // Deduct the net amount, first from directReferralIncome, then from indirectReferralIncome if necessary
-        if (wallet.directReferralIncome >= totalDeductionAmount) {
-          wallet.directReferralIncome -= totalDeductionAmount;
+      // If approved, deduct the amount from the user's wallet
+      if (status === "approved") {
+        // Debit through the ledger, direct income first, then indirect income
+        const debitEntry = {
+          userId: withdrawalRequest.user._id,
+          amount: withdrawalRequest.amountRequested,
+          sourceType: LEDGER_SOURCE_TYPES.WITHDRAWAL,
+          sourceId: withdrawalRequest._id,
+          contraAccount: CONTRA_ACCOUNTS.WITHDRAWAL_PAYABLE,
+          accounts: await walletTransferService.getWithdrawableAccounts(
+            session
+          ),
+          description: `Withdrawal request ${withdrawalRequest._id}`,
+        };
+
+        // Requests created before funds were reserved are debited directly
+        if (withdrawalRequest.fundsHeld) {
+          await walletService.settleHeldFunds(debitEntry, session);
         } else {
-          const remainingAmount =
-            totalDeductionAmount - wallet.directReferralIncome;
-          wallet.directReferralIncome = 0;
-          wallet.indirectReferralIncome -= remainingAmount;
+          await walletService.debitIncome(debitEntry, session);
         }
 
-        // Save the updated wallet
-        await wallet.save({ session });
-
-        // Update withdrawal request status and approval date
-        withdrawalRequest.status = "approved";
-        withdrawalRequest.approvalDate = new Date();
-        await withdrawalRequest.save({ session });
-
         // Commit the transaction
         await session.commitTransaction();
 
@@ -179,43 +305,308 @@ class WithDrawController {
           );
       }
 
-      // If denied, no deduction is made, just update the request status
-      if (status === "denied") {
-        withdrawalRequest.status = "denied";
-        withdrawalRequest.approvalDate = new Date();
-        await withdrawalRequest.save({ session });
+      // If denied, no deduction is made; return the reserved amount to the
+      // available balance
+      if (withdrawalRequest.fundsHeld) {
+        await walletService.releaseFunds(
+          withdrawalRequest.user._id,
+          withdrawalRequest.amountRequested,
+          session
+        );
+      }
 
-        // Commit the transaction
-        await session.commitTransaction();
+      // Commit the transaction
+      await session.commitTransaction();
 
-        logger.info(
-          `Withdrawal request ${withdrawalRequestId} denied for user ${withdrawalRequest.user._id}`
+      logger.info(
+        `Withdrawal request ${withdrawalRequestId} denied for user ${withdrawalRequest.user._id}`
+      );
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Withdrawal request denied and refunded"
+          )
         );
+    } catch (error) {
+      logger.error(`Error in approveOrDenyWithdrawal: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      // Always end the session
+      session.endSession();
+    }
+  }
+
+  // Method for a member to cancel their own pending withdrawal request
+  async cancelWithdrawalRequest(req, res) {
+    const { error, value } = this.cancelWithdrawalSchema.validate(
+      req.body || {}
+    );
+    if (error) {
+      logger.warn(
+        `Validation error during withdrawal cancellation: ${error.details[0].message}`
+      );
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { withdrawalRequestId } = req.params;
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const withdrawalRequest = await WithdrawalRequest.findOne({
+        _id: withdrawalRequestId,
+        user: req.user.id,
+      }).session(session);
+
+      if (!withdrawalRequest) {
+        await session.abortTransaction();
         return res
-          .status(200)
+          .status(404)
           .json(
-            baseResponse.successResponseWithMessage(
-              "Withdrawal request denied and refunded"
+            baseResponse.errorResponseWithMessage(
+              "Withdrawal request not found"
             )
           );
       }
 
-      // Invalid status
+      if (withdrawalRequest.status !== "pending") {
+        await session.abortTransaction();
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(
+              `Only pending requests can be cancelled; this request is ${withdrawalRequest.status}`
+            )
+          );
+      }
+
+      // Return the reserved amount to the available balance
+      if (withdrawalRequest.fundsHeld) {
+        await walletService.releaseFunds(
+          withdrawalRequest.user,
+          withdrawalRequest.amountRequested,
+          session
+        );
+      }
+
+      withdrawalRequest.fundsHeld = false;
+      withdrawalRequest.status = "cancelled";
+      withdrawalRequest.cancelledAt = new Date();
+      withdrawalRequest.cancellationReason = value.reason;
+      await withdrawalRequest.save({ session });
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Withdrawal request ${withdrawalRequestId} cancelled by user ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Withdrawal request cancelled successfully",
+            withdrawalRequest
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in cancelWithdrawalRequest: ${error.message}`);
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      return res.status(500).json(baseResponse.errorResponse(error));
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Method for admin to record the payout result of an approved withdrawal
+  async updatePayoutStatus(req, res) {
+    const { error, value } = this.payoutStatusSchema.validate(req.body);
+    if (error) {
+      logger.warn(
+        `Validation error during payout status update: ${error.details[0].message}`
+      );
       return res
         .status(400)
-        .json(baseResponse.errorResponseWithMessage("Invalid status provided"));
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    const { withdrawalRequestId, ...result } = value;
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const withdrawalRequest = await WithdrawalRequest.findById(
+        withdrawalRequestId
+      ).session(session);
+
+      if (!withdrawalRequest) {
+        throw new Error("Withdrawal request not found");
+      }
+
+      await withdrawalPayoutService.applyPayoutResult(
+        withdrawalRequest,
+        result,
+        session
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `Withdrawal request ${withdrawalRequestId} marked ${result.status} by admin ${req.user.id}`
+      );
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            `Withdrawal request marked ${result.status}`,
+            withdrawalRequest
+          )
+        );
     } catch (error) {
-      logger.error(`Error in approveOrDenyWithdrawal: ${error.message}`);
+      logger.error(`Error in updatePayoutStatus: ${error.message}`);
       if (session.inTransaction()) {
         await session.abortTransaction();
       }
       return res.status(500).json(baseResponse.errorResponse(error));
     } finally {
-      // Always end the session
       session.endSession();
     }
   }
 
+  // Method for admin to view the withdrawal policy
+  async getWithdrawalPolicy(req, res) {
+    try {
+      const policy = await withdrawalPolicyService.getPolicy();
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Withdrawal policy retrieved successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in getWithdrawalPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for admin to update the withdrawal policy
+  async updateWithdrawalPolicy(req, res) {
+    try {
+      const { error, value } = this.withdrawalPolicySchema.validate(req.body);
+      if (error) {
+        logger.warn(
+          `Validation error during withdrawal policy update: ${error.details[0].message}`
+        );
+        return res
+          .status(400)
+          .json(
+            baseResponse.errorResponseWithMessage(error.details[0].message)
+          );
+      }
+
+      const policy = await withdrawalPolicyService.updatePolicy(
+        value,
+        req.user.id
+      );
+
+      logger.info(`Withdrawal policy updated by admin ${req.user.id}`);
+
+      return res
+        .status(200)
+        .json(
+          baseResponse.successResponseWithMessage(
+            "Withdrawal policy updated successfully",
+            policy
+          )
+        );
+    } catch (error) {
+      logger.error(`Error in updateWithdrawalPolicy: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
+  // Method for a member to view their own withdrawal requests
+  async getMyWithdrawalRequests(req, res) {
+    const { error, value } = this.myWithdrawalRequestsSchema.validate(
+      req.query
+    );
+    if (error) {
+      return res
+        .status(400)
+        .json(baseResponse.errorResponseWithMessage(error.details[0].message));
+    }
+
+    try {
+      // Query parameters for filtering and pagination
+      const { status, page, limit, startDate, endDate } = value;
+
+      // Members only ever see their own requests
+      let query = { user: req.user.id };
+
+      if (status) {
+        query.status = status;
+      }
+
+      if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) {
+          query.createdAt.$gte = startDate;
+        }
+        if (endDate) {
+          query.createdAt.$lte = endDate;
+        }
+      }
+
+      const skip = (page - 1) * limit;
+
+      const total = await WithdrawalRequest.countDocuments(query);
+
+      const withdrawalRequests = await WithdrawalRequest.find(query)
+        .select(
+          "amountRequested deductionAmount deductions netAmount status approvalDate payoutDate utrReference failureReason cancelledAt cancellationReason createdAt"
+        )
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      logger.info(
+        `Retrieved ${withdrawalRequests.length} withdrawal requests for user ${req.user.id}`
+      );
+
+      return res.status(200).json(
+        baseResponse.successResponseWithMessage(
+          "Withdrawal requests retrieved successfully",
+          {
+            withdrawalRequests,
+            pagination: {
+              total,
+              page,
+              pages: Math.ceil(total / limit),
+              limit,
+            },
+          }
+        )
+      );
+    } catch (error) {
+      logger.error(`Error in getMyWithdrawalRequests: ${error.message}`);
+      return res.status(500).json(baseResponse.errorResponse(error));
+    }
+  }
+
   async getAllWithdrawalRequests(req, res) {
     try {
       // Check if user is admin
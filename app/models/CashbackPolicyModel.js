@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const { CASHBACK_USAGES } = require("../../constants/cashbackConstant");
+
+// Cashback Policy Model
+// A single document decides how package cashback reaches the member who
+// bought the package and what it can be spent on.
+const CashbackPolicySchema = new mongoose.Schema(
+  {
+    usage: {
+      type: String,
+      enum: Object.values(CASHBACK_USAGES),
+      default: CASHBACK_USAGES.WITHDRAWABLE,
+    },
+    instalments: {
+      type: Number,
+      default: 1, // Spread evenly over the validity period, the first at registration
+      min: 1,
+    },
+    registrantCashbackFrom: {
+      type: Date,
+      default: Date.now, // Earlier registrations paid cashback to the sponsor
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const CashbackPolicy = mongoose.model("CashbackPolicy", CashbackPolicySchema);
+
+module.exports = CashbackPolicy;
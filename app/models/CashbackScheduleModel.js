@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const {
+  CASHBACK_SCHEDULE_STATUSES,
+} = require("../../constants/cashbackConstant");
+
+// Cashback Schedule Model
+// Cashback owed to a member for one package purchase and when each part of
+// it is released to their wallet.
+const CashbackScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+    },
+    productName: {
+      type: String,
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    releasedAmount: {
+      type: Number,
+      default: 0,
+    },
+    instalments: [
+      {
+        _id: false,
+        number: {
+          type: Number,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        dueAt: {
+          type: Date,
+          required: true,
+        },
+        releasedAt: {
+          type: Date,
+          default: null,
+        },
+        ledgerEntry: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WalletTransaction",
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(CASHBACK_SCHEDULE_STATUSES),
+      default: CASHBACK_SCHEDULE_STATUSES.ACTIVE,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CashbackScheduleSchema.index({ user: 1, createdAt: -1 });
+CashbackScheduleSchema.index({ status: 1, "instalments.dueAt": 1 });
+
+const CashbackSchedule = mongoose.model(
+  "CashbackSchedule",
+  CashbackScheduleSchema
+);
+
+module.exports = CashbackSchedule;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const {
+  LEVEL_INCOME_TYPES,
+  PLAN_TYPES,
+} = require("../../constants/commissionConstant");
+
+// Commission Plan Model
+// Each package has a series of plan versions. A registration uses the latest
+// version whose effectiveFrom has passed, and its wallet credits record that
+// version so past payouts can be audited after the plan changes. Renewals
+// follow their own series of renewal plans.
+const CommissionPlanSchema = new mongoose.Schema(
+  {
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    planType: {
+      type: String,
+      enum: Object.values(PLAN_TYPES),
+      default: PLAN_TYPES.REGISTRATION,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    directIncome: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    cashback: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    levelIncomeType: {
+      type: String,
+      enum: Object.values(LEVEL_INCOME_TYPES),
+      default: LEVEL_INCOME_TYPES.AMOUNT,
+    },
+    levelIncomes: [
+      {
+        _id: false,
+        level: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        value: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    defaultLevelIncome: {
+      type: Number,
+      default: 0, // Used for levels without their own entry
+      min: 0,
+    },
+    notes: {
+      type: String,
+      maxlength: 255,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CommissionPlanSchema.index({ packageId: 1, version: 1 }, { unique: true });
+CommissionPlanSchema.index({ packageId: 1, effectiveFrom: -1 });
+
+const CommissionPlan = mongoose.model("CommissionPlan", CommissionPlanSchema);
+
+module.exports = CommissionPlan;
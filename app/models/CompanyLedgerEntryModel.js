@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const {
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+  COMPANY_ACCOUNTS,
+} = require("../../constants/walletConstant");
+
+// Company Ledger Entry Model
+// Income the company kept instead of crediting a member wallet, balanced
+// against the expense account it would otherwise have been paid from.
+const CompanyLedgerEntrySchema = new mongoose.Schema(
+  {
+    entryType: {
+      type: String,
+      enum: Object.values(ENTRY_TYPES),
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: Object.values(COMPANY_ACCOUNTS),
+      required: true,
+    },
+    contraAccount: {
+      type: String,
+      enum: Object.values(CONTRA_ACCOUNTS),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    sourceType: {
+      type: String,
+      enum: Object.values(LEDGER_SOURCE_TYPES),
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Member the income was meant for
+    },
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompanyLedgerEntry", // Entry this one cancels out
+    },
+    description: {
+      type: String,
+      maxlength: 255,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CompanyLedgerEntrySchema.index({ account: 1, createdAt: 1 });
+CompanyLedgerEntrySchema.index({ sourceType: 1, sourceId: 1 });
+
+const CompanyLedgerEntry = mongoose.model(
+  "CompanyLedgerEntry",
+  CompanyLedgerEntrySchema
+);
+
+module.exports = CompanyLedgerEntry;
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { LEVEL_THRESHOLD_MODES } = require("../../constants/placementConstant");
+
+// Compensation Structure Model
+// Defines the shape of the matrix: how many children each member can have,
+// how many levels there are and what each level takes. The document without
+// a package is the default; a package can have its own for the members who
+// register with it.
+const CompensationStructureSchema = new mongoose.Schema(
+  {
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      default: null, // Default structure
+    },
+    matrixWidth: {
+      type: Number,
+      default: 5, // Children per member
+      min: 2,
+    },
+    maxDepth: {
+      type: Number,
+      default: 10, // Highest level a member can reach
+      min: 1,
+    },
+    levelThresholdMode: {
+      type: String,
+      enum: Object.values(LEVEL_THRESHOLD_MODES),
+      default: LEVEL_THRESHOLD_MODES.DERIVED,
+    },
+    levelThresholds: [
+      {
+        _id: false,
+        level: {
+          type: Number,
+          required: true,
+          min: 2,
+        },
+        count: {
+          type: Number,
+          required: true, // Referrals needed to reach the level
+          min: 1,
+        },
+      },
+    ], // Only used in custom mode
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One structure per package, and one default
+CompensationStructureSchema.index({ packageId: 1 }, { unique: true });
+
+const CompensationStructure = mongoose.model(
+  "CompensationStructure",
+  CompensationStructureSchema
+);
+
+module.exports = CompensationStructure;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SPENDABLE_ACCOUNTS } = require("../../constants/walletConstant");
 
 // Users Model
 const UserSchema = new mongoose.Schema(
@@ -30,6 +31,27 @@ const UserSchema = new mongoose.Schema(
     parentReferralCode: {
       type: String,
     },
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User", // Placement ancestors, top of the tree first
+      },
+    ],
+    depth: {
+      type: Number,
+      default: 0, // Number of ancestors
+    },
+    sponsorReferralCode: {
+      type: String, // Member who referred this user; may differ from the placement parent
+    },
+    registrationPin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement", // Pin used to register
+    },
+    currentPackage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel", // Registration package, or the latest upgrade
+    },
     gender: {
       type: String,
       enum: ["M", "F"],
@@ -43,6 +65,12 @@ const UserSchema = new mongoose.Schema(
       type: String,
       maxlength: 100,
     },
+    panNumber: {
+      type: String,
+      uppercase: true,
+      maxlength: 10,
+      default: null, // Decides the TDS rate on withdrawals
+    },
     profilePhoto: {
       type: String,
       maxlength: 255,
@@ -60,12 +88,29 @@ const UserSchema = new mongoose.Schema(
     },
     rank: {
       type: Number,
-      default: 1,
+      default: 0, // Order of currentRank; 0 until a rank is achieved
+    },
+    currentRank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rank",
+      default: null,
+    },
+    rankAchievedAt: {
+      type: Date,
+      default: null,
+    },
+    rankEvaluationDue: {
+      type: Boolean,
+      default: false, // Set when the team changed; cleared by the evaluateRanks job
     },
     level: {
       type: Number,
       default: 1, // Default to level 1 on registration
     },
+    placementVersion: {
+      type: Number,
+      default: 0, // Bumped on every placement below this member so concurrent placements conflict
+    },
     validTill: {
       type: Date,
       default: null, // Default to null if not provided
@@ -80,6 +125,15 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// Downline queries: everyone below a member, optionally on one level
+UserSchema.index({ ancestors: 1, depth: 1 });
+
+// Members waiting for the evaluateRanks job
+UserSchema.index(
+  { rankEvaluationDue: 1 },
+  { partialFilterExpression: { rankEvaluationDue: true } }
+);
+
 // Referral Tracking Model
 const ReferralTrackingSchema = new mongoose.Schema(
   {
@@ -122,9 +176,12 @@ const PinManagementSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["available", "used", "transferred"],
+      enum: ["available", "used", "transferred", "refunded"],
       default: "available",
     },
+    usedAt: {
+      type: Date, // Unlike updatedAt, not moved by later changes to the pin
+    },
     validityDate: {
       type: Date,
     },
@@ -265,6 +322,22 @@ const WalletSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    rewardIncome: {
+      type: Number,
+      default: 0, // One-time rank bonuses
+    },
+    fundTransferBalance: {
+      type: Number,
+      default: 0, // Received from other members
+    },
+    cashbackBalance: {
+      type: Number,
+      default: 0, // Package cashback released to the member
+    },
+    onHold: {
+      type: Number,
+      default: 0, // Reserved by pending withdrawal requests
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -274,9 +347,18 @@ const WalletSchema = new mongoose.Schema(
       default: Date.now,
     },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true } }
 );
 
+// Balance that is not reserved by a pending withdrawal
+WalletSchema.virtual("available").get(function () {
+  const total = SPENDABLE_ACCOUNTS.reduce(
+    (sum, account) => sum + (this[account] || 0),
+    0
+  );
+  return Math.round((total - (this.onHold || 0)) * 100) / 100;
+});
+
 // Create Models
 const User = mongoose.model("User", UserSchema);
 const ReferralTracking = mongoose.model(
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { CAP_PERIODS } = require("../../constants/earningCapConstant");
+const { LEDGER_SOURCE_TYPES } = require("../../constants/walletConstant");
+
+// Earning Cap Flush Model
+// Income a member would have received above their cap. It never reaches the
+// member's wallet and is kept by the company.
+const EarningCapFlushSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: String,
+      required: true, // Wallet account the income was meant for
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    requestedAmount: {
+      type: Number,
+      required: true, // Full income before the cap
+    },
+    period: {
+      type: String,
+      enum: Object.values(CAP_PERIODS),
+      required: true, // Cap that was reached
+    },
+    cap: {
+      type: Number,
+      required: true,
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      default: null, // null when the default cap applied
+    },
+    sourceType: {
+      type: String,
+      enum: Object.values(LEDGER_SOURCE_TYPES),
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    description: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+EarningCapFlushSchema.index({ user: 1, createdAt: -1 });
+EarningCapFlushSchema.index({ sourceType: 1, sourceId: 1 });
+
+const EarningCapFlush = mongoose.model(
+  "EarningCapFlush",
+  EarningCapFlushSchema
+);
+
+module.exports = EarningCapFlush;
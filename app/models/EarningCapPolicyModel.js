@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Earning Cap Policy Model
+// A single document holds how much a member may earn per day and per month,
+// decided by the highest package they hold while their validity lasts.
+const EarningCapPolicySchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata", // Decides where days and months start
+    },
+    defaultDailyCap: {
+      type: Number,
+      default: null, // Members without an active package; null means no cap
+      min: 0,
+    },
+    defaultMonthlyCap: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    packageCaps: [
+      {
+        _id: false,
+        packageId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PackageModel",
+          required: true,
+        },
+        dailyCap: {
+          type: Number,
+          default: null, // null means no cap
+          min: 0,
+        },
+        monthlyCap: {
+          type: Number,
+          default: null,
+          min: 0,
+        },
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const EarningCapPolicy = mongoose.model(
+  "EarningCapPolicy",
+  EarningCapPolicySchema
+);
+
+module.exports = EarningCapPolicy;
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { UNPAID_SHARE_MODES } = require("../../constants/commissionConstant");
+
+// Level Income Policy Model
+// A single document decides how far up the upline level income is paid and
+// which ancestors are eligible for it.
+const LevelIncomePolicySchema = new mongoose.Schema(
+  {
+    maxDepth: {
+      type: Number,
+      default: 10, // Levels above the new member that earn a share
+      min: 1,
+    },
+    requireActive: {
+      type: Boolean,
+      default: true,
+    },
+    requireValidity: {
+      type: Boolean,
+      default: true, // validTill must not have passed
+    },
+    minimumDirectReferrals: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    unpaidShareMode: {
+      type: String,
+      enum: Object.values(UNPAID_SHARE_MODES),
+      default: UNPAID_SHARE_MODES.ROLL_UP,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const LevelIncomePolicy = mongoose.model(
+  "LevelIncomePolicy",
+  LevelIncomePolicySchema
+);
+
+module.exports = LevelIncomePolicy;
@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const {
+  UNPAID_SHARE_MODES,
+  SKIP_REASONS,
+} = require("../../constants/commissionConstant");
+
+// Level Income Skip Model
+// One document per ancestor that did not receive their level share for a
+// registration, renewal or upgrade, with where the share went instead.
+const LevelIncomeSkipSchema = new mongoose.Schema(
+  {
+    registeredUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // Member who registered, renewed or upgraded
+    },
+    renewal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Renewal",
+      default: null, // Set for shares of a renewal
+    },
+    upgrade: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageUpgrade",
+      default: null, // Set for shares of a package upgrade
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+    },
+    ancestor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    level: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: Object.values(SKIP_REASONS),
+      required: true,
+    },
+    disposition: {
+      type: String,
+      enum: Object.values(UNPAID_SHARE_MODES),
+      required: true,
+    },
+    rolledUpTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Set when another ancestor received the share
+    },
+    companyLedgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CompanyLedgerEntry",
+      default: null, // Set when the company kept the share
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LevelIncomeSkipSchema.index({ registeredUser: 1 });
+LevelIncomeSkipSchema.index({ disposition: 1, createdAt: 1 });
+
+const LevelIncomeSkip = mongoose.model(
+  "LevelIncomeSkip",
+  LevelIncomeSkipSchema
+);
+
+module.exports = LevelIncomeSkip;
@@ -22,6 +22,11 @@ const PackageSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  validityDays: {
+    type: Number,
+    default: 35, // Days of validity a pin of this package adds on renewal
+    min: 1,
+  },
 });
 
 module.exports = mongoose.model("PackageModel", PackageSchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Package Upgrade Model
+// A higher-package pin applied to an existing member. Together with the
+// registration pin these make up the member's package history.
+const PackageUpgradeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    upgradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // The member, their sponsor or an admin
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+      required: true,
+      unique: true,
+    },
+    fromPackage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      required: true,
+    },
+    fromProductName: {
+      type: String,
+    },
+    fromPrice: {
+      type: Number,
+      required: true,
+    },
+    toPackage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      required: true,
+    },
+    toProductName: {
+      type: String,
+    },
+    toPrice: {
+      type: Number,
+      required: true,
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan", // Plan of the new package the difference was taken from
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    previousCommissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+    },
+    previousCommissionPlanVersion: {
+      type: Number,
+    },
+    differentialIncome: {
+      type: Number,
+      default: 0, // Paid up the chain, before any earning cap
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PackageUpgradeSchema.index({ user: 1, createdAt: -1 });
+PackageUpgradeSchema.index({ createdAt: -1 });
+
+const PackageUpgrade = mongoose.model("PackageUpgrade", PackageUpgradeSchema);
+
+module.exports = PackageUpgrade;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// Payout Batch Model
+// One bank bulk-upload file; every withdrawal request in it carries the
+// batchId so it cannot be exported again.
+const PayoutBatchSchema = new mongoose.Schema(
+  {
+    batchId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    layout: {
+      type: String,
+      required: true,
+    },
+    paymentMode: {
+      type: String,
+      enum: ["NEFT", "IMPS"],
+      required: true,
+    },
+    withdrawalRequests: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WithdrawalRequest",
+      },
+    ],
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    skippedRequests: [
+      {
+        withdrawalRequest: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WithdrawalRequest",
+        },
+        reason: {
+          type: String,
+        },
+      },
+    ],
+    valueDate: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["exported", "partiallySettled", "settled"],
+      default: "exported",
+    },
+    paidCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    responseUploadedAt: {
+      type: Date,
+    },
+    fileName: {
+      type: String,
+    },
+    fileContent: {
+      type: String, // The file as exported, so downloads repeat it exactly
+    },
+    contentType: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PayoutBatch = mongoose.model("PayoutBatch", PayoutBatchSchema);
+
+module.exports = PayoutBatch;
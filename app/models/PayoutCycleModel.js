@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const {
+  PAYOUT_CYCLE_STATUSES,
+  PAYOUT_CYCLE_TRIGGERS,
+} = require("../../constants/payoutCycleConstant");
+
+// Amounts a closing handled, in total and per member
+const cycleTotalsFields = {
+  commissions: {
+    type: Number,
+    default: 0,
+  },
+  grossAmount: {
+    type: Number,
+    default: 0,
+  },
+  releasedAmount: {
+    type: Number,
+    default: 0,
+  },
+  flushedAmount: {
+    type: Number,
+    default: 0,
+  },
+  heldAmount: {
+    type: Number,
+    default: 0, // Carried forward to the next closing
+  },
+  forfeitedAmount: {
+    type: Number,
+    default: 0,
+  },
+};
+
+// Payout Cycle Model
+// One closing: every pending commission earned before periodEnd is released,
+// capped, held or forfeited. Re-running a closing works through whatever it
+// left pending and adds to its totals.
+const PayoutCycleSchema = new mongoose.Schema(
+  {
+    periodStart: {
+      type: Date,
+      default: null, // null for the first closing
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+      unique: true,
+    },
+    trigger: {
+      type: String,
+      enum: Object.values(PAYOUT_CYCLE_TRIGGERS),
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PAYOUT_CYCLE_STATUSES),
+      default: PAYOUT_CYCLE_STATUSES.RUNNING,
+    },
+    runs: {
+      type: Number,
+      default: 1,
+    },
+    totals: {
+      members: {
+        type: Number,
+        default: 0,
+      },
+      ...cycleTotalsFields,
+    },
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        ...cycleTotalsFields,
+        holdReason: {
+          type: String,
+        },
+      },
+    ],
+    failures: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        error: {
+          type: String,
+        },
+      },
+    ],
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Admin, for manual closings and re-runs
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PayoutCycleSchema.index({ "members.user": 1, periodEnd: -1 });
+
+const PayoutCycle = mongoose.model("PayoutCycle", PayoutCycleSchema);
+
+module.exports = PayoutCycle;
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const {
+  PAYOUT_CYCLE_FREQUENCIES,
+  INELIGIBLE_INCOME_ACTIONS,
+} = require("../../constants/payoutCycleConstant");
+
+// Payout Cycle Policy Model
+// A single document decides whether income waits for a closing, when
+// closings run and who is eligible to be paid at one.
+const PayoutCyclePolicySchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    frequency: {
+      type: String,
+      enum: Object.values(PAYOUT_CYCLE_FREQUENCIES),
+      default: PAYOUT_CYCLE_FREQUENCIES.DAILY,
+    },
+    closingWeekday: {
+      type: Number,
+      default: 1, // 0 = Sunday; only used by weekly closings
+      min: 0,
+      max: 6,
+    },
+    closingHour: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 23,
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata",
+    },
+    requireActive: {
+      type: Boolean,
+      default: true,
+    },
+    requireValidity: {
+      type: Boolean,
+      default: true, // validTill must not have passed at the closing
+    },
+    ineligibleIncomeAction: {
+      type: String,
+      enum: Object.values(INELIGIBLE_INCOME_ACTIONS),
+      default: INELIGIBLE_INCOME_ACTIONS.CARRY_FORWARD,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PayoutCyclePolicy = mongoose.model(
+  "PayoutCyclePolicy",
+  PayoutCyclePolicySchema
+);
+
+module.exports = PayoutCyclePolicy;
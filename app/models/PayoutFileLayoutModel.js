@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const {
+  PAYOUT_FILE_FORMATS,
+  PAYOUT_ROW_FIELDS,
+} = require("../../constants/payoutConstant");
+
+// Payout File Layout Model
+// A bank bulk-upload layout set up by an admin. One saved under the name of
+// a built-in layout takes its place.
+const PayoutFileLayoutSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    format: {
+      type: String,
+      enum: PAYOUT_FILE_FORMATS,
+      required: true,
+    },
+    extension: {
+      type: String,
+      required: true,
+    },
+    columns: [
+      {
+        _id: false,
+        header: {
+          type: String, // CSV layouts only
+        },
+        field: {
+          type: String,
+          enum: PAYOUT_ROW_FIELDS,
+          required: true,
+        },
+        width: {
+          type: Number, // Fixed-width layouts only
+          min: 1,
+        },
+        align: {
+          type: String,
+          enum: ["left", "right"],
+          default: "left",
+        },
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PayoutFileLayout = mongoose.model(
+  "PayoutFileLayout",
+  PayoutFileLayoutSchema
+);
+
+module.exports = PayoutFileLayout;
@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+const {
+  WALLET_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  HOLD_REASONS,
+  PENDING_COMMISSION_STATUSES,
+} = require("../../constants/payoutCycleConstant");
+
+// Pending Commission Model
+// Income earned by a member that waits for a payout cycle closing before it
+// is credited to their wallet. Holds everything the ledger entry will need.
+const PendingCommissionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: Object.values(WALLET_ACCOUNTS),
+      required: true,
+    },
+    contraAccount: {
+      type: String,
+      enum: Object.values(CONTRA_ACCOUNTS),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    sourceType: {
+      type: String,
+      enum: Object.values(LEDGER_SOURCE_TYPES),
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+    },
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan",
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    description: {
+      type: String,
+      maxlength: 255,
+    },
+    earnedAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(PENDING_COMMISSION_STATUSES),
+      default: PENDING_COMMISSION_STATUSES.PENDING,
+    },
+    holdReason: {
+      type: String,
+      enum: [...Object.values(HOLD_REASONS), null],
+      default: null, // Why the last closing did not release it
+    },
+    payoutCycle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayoutCycle", // Closing that released or forfeited it
+    },
+    releasedAmount: {
+      type: Number,
+      default: 0,
+    },
+    flushedAmount: {
+      type: Number,
+      default: 0, // Above the member's earning cap
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+    },
+    settledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PendingCommissionSchema.index({ status: 1, earnedAt: 1 });
+PendingCommissionSchema.index({ user: 1, status: 1, earnedAt: 1 });
+PendingCommissionSchema.index({ sourceType: 1, sourceId: 1 });
+PendingCommissionSchema.index({ payoutCycle: 1 });
+
+const PendingCommission = mongoose.model(
+  "PendingCommission",
+  PendingCommissionSchema
+);
+
+module.exports = PendingCommission;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Pin Purchase Model
+// A member buying pins for a package with wallet money. The wallet debit in
+// the ledger points back here through sourceId.
+const PinPurchaseSchema = new mongoose.Schema(
+  {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    unitPrice: {
+      type: Number,
+      required: true, // Package productPrice at the time of purchase
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+    pins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PinManagement",
+      },
+    ],
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PinPurchaseSchema.index({ buyer: 1, createdAt: -1 });
+
+const PinPurchase = mongoose.model("PinPurchase", PinPurchaseSchema);
+
+module.exports = PinPurchase;
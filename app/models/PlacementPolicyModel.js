@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { PLACEMENT_STRATEGIES } = require("../../constants/placementConstant");
+
+// Placement Policy Model
+// A single document decides where in the matrix new members are placed.
+const PlacementPolicySchema = new mongoose.Schema(
+  {
+    strategy: {
+      type: String,
+      enum: Object.values(PLACEMENT_STRATEGIES),
+      default: PLACEMENT_STRATEGIES.BFS,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PlacementPolicy = mongoose.model(
+  "PlacementPolicy",
+  PlacementPolicySchema
+);
+
+module.exports = PlacementPolicy;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Rank Achievement Model
+// Rank history: one document per rank a member has been promoted to, with
+// the figures that qualified them and the bonus paid.
+const RankAchievementSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rank: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Rank",
+      required: true,
+    },
+    rankName: {
+      type: String, // Name at the time of promotion
+    },
+    rankOrder: {
+      type: Number,
+    },
+    achievedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    bonusAmount: {
+      type: Number,
+      default: 0,
+    },
+    metrics: {
+      activeDirects: Number,
+      teamSize: Number,
+      teamBusinessVolume: Number,
+      personalPackagePrice: Number,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Each rank is achieved, and its bonus paid, only once per member
+RankAchievementSchema.index({ user: 1, rank: 1 }, { unique: true });
+RankAchievementSchema.index({ achievedAt: -1 });
+
+const RankAchievement = mongoose.model(
+  "RankAchievement",
+  RankAchievementSchema
+);
+
+module.exports = RankAchievement;
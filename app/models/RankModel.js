@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Rank Model
+// Admin-defined achievement ranks, separate from the referral-count level.
+// A member holding every criterion of a rank is promoted to it once.
+const RankSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      maxlength: 50,
+    },
+    order: {
+      type: Number,
+      required: true,
+      unique: true, // Higher orders are higher ranks
+      min: 1,
+    },
+    criteria: {
+      minActiveDirects: {
+        type: Number,
+        default: 0, // Sponsored members who are active and within validity
+        min: 0,
+      },
+      minTeamSize: {
+        type: Number,
+        default: 0, // Members anywhere below in the placement tree
+        min: 0,
+      },
+      minTeamBusinessVolume: {
+        type: Number,
+        default: 0, // Sum of the team's registration package prices
+        min: 0,
+      },
+      minPersonalPackagePrice: {
+        type: Number,
+        default: 0, // Price of the member's own registration package
+        min: 0,
+      },
+    },
+    bonusAmount: {
+      type: Number,
+      default: 0, // One-time reward credited on promotion
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Rank = mongoose.model("Rank", RankSchema);
+
+module.exports = Rank;
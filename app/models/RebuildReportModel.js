@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { REBUILD_REPORT_STATUSES } = require("../../constants/rebuildConstant");
+
+// Rebuild Report Model
+// Differences between the stored wallets/levels and the values obtained by
+// replaying the referral history. Corrections are only applied on
+// confirmation, and only while the data still produces the same report.
+const RebuildReportSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(REBUILD_REPORT_STATUSES),
+      default: REBUILD_REPORT_STATUSES.PENDING,
+    },
+    fingerprint: {
+      type: String,
+      required: true, // Hash of the corrections, compared before applying
+    },
+    walletCorrections: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        referralCode: String,
+        account: String,
+        current: Number,
+        expected: Number,
+        difference: Number,
+      },
+    ],
+    levelCorrections: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        referralCode: String,
+        currentLevel: Number,
+        expectedLevel: Number,
+      },
+    ],
+    warnings: [String],
+    summary: {
+      registrationsReplayed: { type: Number, default: 0 },
+      withdrawalsReplayed: { type: Number, default: 0 },
+      otherEntriesReplayed: { type: Number, default: 0 },
+      usersChecked: { type: Number, default: 0 },
+    },
+    triggeredFrom: {
+      type: String,
+      enum: ["cli", "admin"],
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    appliedAt: {
+      type: Date,
+      default: null,
+    },
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RebuildReport = mongoose.model("RebuildReport", RebuildReportSchema);
+
+module.exports = RebuildReport;
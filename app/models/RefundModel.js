@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+const {
+  WALLET_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  COMPANY_ACCOUNTS,
+} = require("../../constants/walletConstant");
+
+// Refund Model
+// A registration refunded within the cooling-off period and every piece of
+// income it produced that was taken back.
+const RefundSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true, // A registration is refunded once
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+      required: true,
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+    },
+    productName: {
+      type: String,
+    },
+    refundAmount: {
+      type: Number,
+      required: true, // Package price owed back to the member
+      min: 0,
+    },
+    reason: {
+      type: String,
+      maxlength: 255,
+    },
+    registeredAt: {
+      type: Date,
+      required: true,
+    },
+    placementParent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Parent whose slot the refund freed
+    },
+    reversals: [
+      {
+        _id: false,
+        ledgerEntry: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WalletTransaction", // The clawback entry
+        },
+        reversalOf: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WalletTransaction", // The income it took back
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        account: {
+          type: String,
+          enum: Object.values(WALLET_ACCOUNTS),
+        },
+        amount: {
+          type: Number,
+        },
+        sourceType: {
+          type: String,
+          enum: Object.values(LEDGER_SOURCE_TYPES),
+        },
+        accountBalanceAfter: {
+          type: Number, // Negative until future income recovers it
+        },
+      },
+    ],
+    companyReversals: [
+      {
+        _id: false,
+        ledgerEntry: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "CompanyLedgerEntry", // The reversal entry
+        },
+        reversalOf: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "CompanyLedgerEntry", // Retained or flushed income it took back
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        account: {
+          type: String,
+          enum: Object.values(COMPANY_ACCOUNTS),
+        },
+        amount: {
+          type: Number,
+        },
+        sourceType: {
+          type: String,
+          enum: Object.values(LEDGER_SOURCE_TYPES),
+        },
+      },
+    ],
+    cancelledCommissions: [
+      {
+        _id: false,
+        pendingCommission: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "PendingCommission",
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        account: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+        },
+      },
+    ],
+    cancelledCashback: {
+      type: Number,
+      default: 0, // Cashback instalments that will no longer be released
+    },
+    clawedBackAmount: {
+      type: Number,
+      default: 0,
+    },
+    cancelledCommissionAmount: {
+      type: Number,
+      default: 0,
+    },
+    companyReversedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RefundSchema.index({ createdAt: -1 });
+
+const Refund = mongoose.model("Refund", RefundSchema);
+
+module.exports = Refund;
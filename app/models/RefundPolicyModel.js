@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Refund Policy Model
+// A single document holds the cooling-off window in which a registration
+// can be refunded.
+const RefundPolicySchema = new mongoose.Schema(
+  {
+    coolingOffDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RefundPolicy = mongoose.model("RefundPolicy", RefundPolicySchema);
+
+module.exports = RefundPolicy;
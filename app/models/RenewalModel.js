@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Renewal Model
+// A pin applied to an existing member to extend their validity, and the
+// income the renewal paid up the chain.
+const RenewalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // Member whose validity was extended
+    },
+    renewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true, // The member, their sponsor or an admin
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+      required: true,
+      unique: true,
+    },
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PackageModel",
+      required: true,
+    },
+    productName: {
+      type: String,
+    },
+    packagePrice: {
+      type: Number,
+      required: true,
+    },
+    validityDays: {
+      type: Number,
+      required: true,
+    },
+    previousValidTill: {
+      type: Date,
+      default: null,
+    },
+    validTill: {
+      type: Date,
+      required: true,
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan", // Renewal plan that paid the income, if any
+      default: null,
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    renewalIncome: {
+      type: Number,
+      default: 0, // Paid up the chain, before any earning cap
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RenewalSchema.index({ user: 1, createdAt: -1 });
+RenewalSchema.index({ createdAt: -1 });
+
+const Renewal = mongoose.model("Renewal", RenewalSchema);
+
+module.exports = Renewal;
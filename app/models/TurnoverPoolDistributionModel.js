@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const {
+  POOL_SHARE_MODES,
+  POOL_DISTRIBUTION_STATUSES,
+} = require("../../constants/turnoverPoolConstant");
+
+// Turnover Pool Distribution Model
+// The month-end share-out of one pool. It is calculated as a list awaiting
+// admin approval and credited to the members' wallets once approved.
+const TurnoverPoolDistributionSchema = new mongoose.Schema(
+  {
+    pool: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TurnoverPool",
+      required: true,
+    },
+    poolName: {
+      type: String, // Name at the time of calculation
+    },
+    month: {
+      type: String,
+      required: true, // YYYY-MM
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true, // Exclusive
+    },
+    timezone: {
+      type: String, // Zone the month was measured in
+    },
+    turnover: {
+      type: Number,
+      default: 0, // Package price of every pin used in the month
+    },
+    pinsUsed: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      required: true,
+    },
+    poolAmount: {
+      type: Number,
+      default: 0,
+    },
+    shareMode: {
+      type: String,
+      enum: Object.values(POOL_SHARE_MODES),
+      required: true,
+    },
+    shares: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        rank: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Rank",
+        },
+        rankName: {
+          type: String,
+        },
+        weight: {
+          type: Number,
+          default: 1,
+        },
+        amount: {
+          type: Number,
+          default: 0,
+        },
+        ledgerEntry: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WalletTransaction", // Absent while held for a payout cycle or fully capped
+        },
+      },
+    ],
+    distributedAmount: {
+      type: Number,
+      default: 0, // Sum of the shares; rounding leftovers stay with the company
+    },
+    status: {
+      type: String,
+      enum: Object.values(POOL_DISTRIBUTION_STATUSES),
+      default: POOL_DISTRIBUTION_STATUSES.PENDING_APPROVAL,
+    },
+    calculatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Absent when calculated by the month-end job
+    },
+    calculatedAt: {
+      type: Date,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One share-out per pool and month
+TurnoverPoolDistributionSchema.index({ pool: 1, month: 1 }, { unique: true });
+TurnoverPoolDistributionSchema.index({ "shares.user": 1, month: -1 });
+TurnoverPoolDistributionSchema.index({ status: 1, month: -1 });
+
+const TurnoverPoolDistribution = mongoose.model(
+  "TurnoverPoolDistribution",
+  TurnoverPoolDistributionSchema
+);
+
+module.exports = TurnoverPoolDistribution;
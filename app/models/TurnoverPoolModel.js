@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { POOL_SHARE_MODES } = require("../../constants/turnoverPoolConstant");
+
+// Turnover Pool Model
+// A leadership pool: a percentage of each month's package turnover shared
+// among the members holding one of its qualifying ranks.
+const TurnoverPoolSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      maxlength: 50,
+    },
+    percentage: {
+      type: Number,
+      required: true, // Of the month's turnover
+      min: 0,
+      max: 100,
+    },
+    qualifyingRanks: [
+      {
+        _id: false,
+        rank: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Rank",
+          required: true,
+        },
+        weight: {
+          type: Number,
+          default: 1, // Shares per member holding this rank, in weighted mode
+          min: 0,
+        },
+      },
+    ],
+    shareMode: {
+      type: String,
+      enum: Object.values(POOL_SHARE_MODES),
+      default: POOL_SHARE_MODES.EQUAL,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TurnoverPool = mongoose.model("TurnoverPool", TurnoverPoolSchema);
+
+module.exports = TurnoverPool;
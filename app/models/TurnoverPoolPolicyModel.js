@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Turnover Pool Policy Model
+// A single document holds the time zone whose calendar months the turnover
+// pools are measured in.
+const TurnoverPoolPolicySchema = new mongoose.Schema(
+  {
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata", // Decides where months start
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const TurnoverPoolPolicy = mongoose.model(
+  "TurnoverPoolPolicy",
+  TurnoverPoolPolicySchema
+);
+
+module.exports = TurnoverPoolPolicy;
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const {
+  WALLET_ACCOUNTS,
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+
+// Wallet Transaction (ledger) Model
+// Every change to a Wallet balance is recorded here; the Wallet document is
+// only a cached sum of these entries.
+const WalletTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    entryType: {
+      type: String,
+      enum: Object.values(ENTRY_TYPES),
+      required: true,
+    },
+    account: {
+      type: String,
+      enum: Object.values(WALLET_ACCOUNTS),
+      required: true,
+    },
+    contraAccount: {
+      type: String,
+      enum: Object.values(CONTRA_ACCOUNTS),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    sourceType: {
+      type: String,
+      enum: Object.values(LEDGER_SOURCE_TYPES),
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    pin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PinManagement",
+    },
+    counterparty: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    commissionPlan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CommissionPlan", // Plan version that set the amount
+    },
+    commissionPlanVersion: {
+      type: Number,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction", // Entry this one cancels out
+    },
+    description: {
+      type: String,
+      maxlength: 255,
+    },
+    earnedAt: {
+      type: Date, // Set when income earned earlier is paid by a payout cycle
+    },
+    accountBalanceAfter: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WalletTransactionSchema.index({ user: 1, createdAt: 1 });
+WalletTransactionSchema.index({ sourceType: 1, sourceId: 1 });
+
+const WalletTransaction = mongoose.model(
+  "WalletTransaction",
+  WalletTransactionSchema
+);
+
+module.exports = WalletTransaction;
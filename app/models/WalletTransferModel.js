@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { TRANSFER_STATUSES } = require("../../constants/transferConstant");
+
+// Wallet Transfer Model
+// One document per member-to-member transfer. The ledger entries on both
+// wallets point back to it through sourceId and quote its reference.
+const WalletTransferSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    note: {
+      type: String,
+      maxlength: 255,
+    },
+    status: {
+      type: String,
+      enum: Object.values(TRANSFER_STATUSES),
+      default: TRANSFER_STATUSES.PENDING,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WalletTransferSchema.index({ sender: 1, createdAt: -1 });
+WalletTransferSchema.index({ recipient: 1, createdAt: -1 });
+
+const WalletTransfer = mongoose.model("WalletTransfer", WalletTransferSchema);
+
+module.exports = WalletTransfer;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const {
+  TRANSFER_RECEIVED_USAGES,
+} = require("../../constants/transferConstant");
+
+// Wallet Transfer Policy Model
+// A single document holds the rules for member-to-member wallet transfers.
+const WalletTransferPolicySchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    downlineOnly: {
+      type: Boolean,
+      default: true, // Recipient must be in the sender's downline
+    },
+    minimumAmount: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    maximumAmount: {
+      type: Number,
+      default: null, // null means no maximum per transfer
+    },
+    dailyLimit: {
+      type: Number,
+      default: null, // null means no daily limit
+    },
+    confirmationWindowMinutes: {
+      type: Number,
+      default: 10, // Time the sender has to confirm a transfer
+      min: 1,
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata", // Decides where the day starts for the daily limit
+    },
+    receivedUsage: {
+      type: String,
+      enum: Object.values(TRANSFER_RECEIVED_USAGES),
+      default: TRANSFER_RECEIVED_USAGES.PURCHASES_ONLY, // Keeps transfers from moving income around withdrawal limits
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const WalletTransferPolicy = mongoose.model(
+  "WalletTransferPolicy",
+  WalletTransferPolicySchema
+);
+
+module.exports = WalletTransferPolicy;
@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+
+// Withdrawal Policy Model
+// A single document holds the rules evaluated for every withdrawal request.
+const WithdrawalPolicySchema = new mongoose.Schema(
+  {
+    minimumAmount: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    minimumBalance: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
+    tdsRateWithPan: {
+      type: Number,
+      default: 5, // TDS % when the member has a PAN on file
+      min: 0,
+      max: 100,
+    },
+    tdsRateWithoutPan: {
+      type: Number,
+      default: 20, // TDS % when no PAN is on file
+      min: 0,
+      max: 100,
+    },
+    tdsWithoutPanFrom: {
+      type: Date,
+      default: null, // The no-PAN rate applies from here; the PAN rate before
+    },
+    feePercentage: {
+      type: Number,
+      default: 3, // Admin/processing charge %
+      min: 0,
+      max: 100,
+    },
+    flatFee: {
+      type: Number,
+      default: 0, // Admin/processing charge per request
+      min: 0,
+    },
+    dailyCap: {
+      type: Number,
+      default: null, // null means no cap
+    },
+    weeklyCap: {
+      type: Number,
+      default: null,
+    },
+    monthlyCap: {
+      type: Number,
+      default: null,
+    },
+    allowedDays: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday
+      default: [0, 1, 2, 3, 4, 5, 6],
+    },
+    allowedHours: {
+      from: {
+        type: Number,
+        default: 0, // Inclusive hour of day
+      },
+      to: {
+        type: Number,
+        default: 24, // Exclusive hour of day
+      },
+    },
+    timezone: {
+      type: String,
+      default: "Asia/Kolkata",
+    },
+    maxPendingRequests: {
+      type: Number,
+      default: null,
+    },
+    requireBankDetails: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const WithdrawalPolicy = mongoose.model(
+  "WithdrawalPolicy",
+  WithdrawalPolicySchema
+);
+
+module.exports = WithdrawalPolicy;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { WITHDRAWAL_STATUSES } = require("../../constants/withdrawalConstant");
 
 // Withdrawal Request Model
 const WithdrawalRequestSchema = new mongoose.Schema(
@@ -14,7 +15,7 @@ const WithdrawalRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "denied"],
+      enum: Object.values(WITHDRAWAL_STATUSES),
       default: "pending",
     },
     approvalDate: {
@@ -22,12 +23,59 @@ const WithdrawalRequestSchema = new mongoose.Schema(
     },
     deductionAmount: {
       type: Number,
-      default: 0,
+      default: 0, // Sum of the itemised deductions below
+    },
+    deductions: {
+      tdsRate: {
+        type: Number,
+      },
+      tdsAmount: {
+        type: Number,
+        default: 0,
+      },
+      adminChargeAmount: {
+        type: Number,
+        default: 0,
+      },
+      panNumber: {
+        type: String, // PAN on file when the request was made
+        default: null,
+      },
     },
     netAmount: {
       type: Number,
       default: 0,
     },
+    fundsHeld: {
+      type: Boolean,
+      default: false, // True while amountRequested is reserved on the wallet
+    },
+    payoutBatchId: {
+      type: String,
+      default: null, // Set once the request is exported in a bank payout file
+      index: true,
+    },
+    utrReference: {
+      type: String,
+      maxlength: 50, // Bank transaction reference of the payout
+    },
+    payoutDate: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+      maxlength: 255,
+    },
+    reversalDate: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      maxlength: 255,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
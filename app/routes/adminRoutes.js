@@ -0,0 +1,208 @@
+const express = require("express");
+const router = express.Router();
+const rebuildController = require("../controllers/RebuildController");
+const placementController = require("../controllers/PlacementController");
+const cashbackController = require("../controllers/CashbackController");
+const earningCapController = require("../controllers/EarningCapController");
+const payoutCycleController = require("../controllers/PayoutCycleController");
+const refundController = require("../controllers/RefundController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Route for admin to replay the referral history and report wallet/level differences
+router.post(
+  "/rebuild",
+  authMiddleware,
+  adminMiddleware,
+  rebuildController.createRebuildReport
+);
+
+router.get(
+  "/rebuild/:reportId",
+  authMiddleware,
+  adminMiddleware,
+  rebuildController.getRebuildReport
+);
+
+// Route for admin to confirm and apply the corrections of a rebuild report
+router.post(
+  "/rebuild/:reportId/apply",
+  authMiddleware,
+  adminMiddleware,
+  rebuildController.applyRebuildReport
+);
+
+// Routes for admin to view and choose the matrix placement strategy
+router.get(
+  "/placement-policy",
+  authMiddleware,
+  adminMiddleware,
+  placementController.getPlacementPolicy
+);
+
+router.put(
+  "/placement-policy",
+  authMiddleware,
+  adminMiddleware,
+  placementController.updatePlacementPolicy
+);
+
+// Routes for admin to view and change the matrix width, depth and level thresholds, by default or per package
+router.get(
+  "/compensation-structure",
+  authMiddleware,
+  adminMiddleware,
+  placementController.getCompensationStructure
+);
+
+router.put(
+  "/compensation-structure",
+  authMiddleware,
+  adminMiddleware,
+  placementController.updateCompensationStructure
+);
+
+router.delete(
+  "/compensation-structure/:packageId",
+  authMiddleware,
+  adminMiddleware,
+  placementController.removeCompensationStructure
+);
+
+// Route for admin to move a member, with their downline, under another parent
+router.post(
+  "/members/:userId/move",
+  authMiddleware,
+  adminMiddleware,
+  placementController.moveMember
+);
+
+// Routes for admin to view and change the cashback policy
+router.get(
+  "/cashback-policy",
+  authMiddleware,
+  adminMiddleware,
+  cashbackController.getCashbackPolicy
+);
+
+router.put(
+  "/cashback-policy",
+  authMiddleware,
+  adminMiddleware,
+  cashbackController.updateCashbackPolicy
+);
+
+// Route for admin to release cashback instalments that have fallen due
+router.post(
+  "/cashback/release",
+  authMiddleware,
+  adminMiddleware,
+  cashbackController.releaseDueCashback
+);
+
+// Routes for admin to view and change the earning caps per package
+router.get(
+  "/earning-cap-policy",
+  authMiddleware,
+  adminMiddleware,
+  earningCapController.getEarningCapPolicy
+);
+
+router.put(
+  "/earning-cap-policy",
+  authMiddleware,
+  adminMiddleware,
+  earningCapController.updateEarningCapPolicy
+);
+
+// Routes for admin to view and change when payout cycles close
+router.get(
+  "/payout-cycle-policy",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.getPayoutCyclePolicy
+);
+
+router.put(
+  "/payout-cycle-policy",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.updatePayoutCyclePolicy
+);
+
+// Routes for admin to preview, close and re-run payout cycles
+router.get(
+  "/payout-cycles/preview",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.previewClosing
+);
+
+router.post(
+  "/payout-cycles/close",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.closeCycle
+);
+
+router.get(
+  "/payout-cycles",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.getPayoutCycles
+);
+
+router.get(
+  "/payout-cycles/:cycleId",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.getPayoutCycle
+);
+
+router.post(
+  "/payout-cycles/:cycleId/rerun",
+  authMiddleware,
+  adminMiddleware,
+  payoutCycleController.rerunCycle
+);
+
+// Routes for admin to view and change the refund cooling-off period
+router.get(
+  "/refund-policy",
+  authMiddleware,
+  adminMiddleware,
+  refundController.getRefundPolicy
+);
+
+router.put(
+  "/refund-policy",
+  authMiddleware,
+  adminMiddleware,
+  refundController.updateRefundPolicy
+);
+
+// Routes for admin to refund a registration and review refunds
+router.post(
+  "/members/:userId/refund",
+  authMiddleware,
+  adminMiddleware,
+  refundController.refundRegistration
+);
+
+router.get(
+  "/refunds",
+  authMiddleware,
+  adminMiddleware,
+  refundController.getRefunds
+);
+
+router.get(
+  "/refunds/:refundId",
+  authMiddleware,
+  adminMiddleware,
+  refundController.getRefund
+);
+
+module.exports = router;
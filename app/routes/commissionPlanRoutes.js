@@ -0,0 +1,70 @@
+const express = require("express");
+const router = express.Router();
+const commissionPlanController = require("../controllers/CommissionPlanController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Routes for admin to view and update how level income is distributed
+router.get(
+  "/level-income-policy",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.getLevelIncomePolicy
+);
+
+router.put(
+  "/level-income-policy",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.updateLevelIncomePolicy
+);
+
+// Route for admin to dry-run registrations without writing anything
+router.post(
+  "/simulate",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.simulateRegistrations
+);
+
+// Route for admin to create a new commission plan version for a package
+router.post(
+  "/",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.createPlan
+);
+
+// Routes for admin to view commission plan versions
+router.get(
+  "/",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.getPlans
+);
+
+router.get(
+  "/:planId",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.getPlanById
+);
+
+// Routes for admin to change or remove a version that is not yet in effect
+router.put(
+  "/:planId",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.updatePlan
+);
+
+router.delete(
+  "/:planId",
+  authMiddleware,
+  adminMiddleware,
+  commissionPlanController.deletePlan
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const packageUpgradeController = require("../controllers/PackageUpgradeController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Route for a member to view their current package and package history
+router.get("/my", authMiddleware, packageUpgradeController.getMyPackage);
+
+// Route for a member or their sponsor to upgrade with a higher-package pin
+router.post("/", authMiddleware, packageUpgradeController.upgradeMember);
+
+// Route for admin to track package upgrades
+router.get(
+  "/",
+  authMiddleware,
+  adminMiddleware,
+  packageUpgradeController.getUpgrades
+);
+
+module.exports = router;
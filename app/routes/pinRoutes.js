@@ -16,5 +16,8 @@ router.get('/pins/:userId', authMiddleware, pinController.getAllPinsByUser);
 // Transfer a pin
 router.post('/transfer-pin', authMiddleware, pinController.transferPin);
 
+// Buy pins for a package with wallet balance
+router.post('/purchase', authMiddleware, pinController.purchasePins);
+
 
 module.exports = router;
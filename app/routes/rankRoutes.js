@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const rankController = require("../controllers/RankController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Route for a member to view their rank, progress and rank history
+router.get("/my", authMiddleware, rankController.getMyRank);
+
+// Route for admin to view rank promotions of all members
+router.get(
+  "/history",
+  authMiddleware,
+  adminMiddleware,
+  rankController.getRankHistory
+);
+
+// Route for admin to re-check members against the ranks
+router.post(
+  "/evaluate",
+  authMiddleware,
+  adminMiddleware,
+  rankController.evaluateRanks
+);
+
+// Routes to list ranks and for admin to define or change them
+router.get("/", authMiddleware, rankController.getRanks);
+
+router.post("/", authMiddleware, adminMiddleware, rankController.createRank);
+
+router.put(
+  "/:rankId",
+  authMiddleware,
+  adminMiddleware,
+  rankController.updateRank
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const renewalController = require("../controllers/RenewalController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Route for a member to view the renewals of their account
+router.get("/my", authMiddleware, renewalController.getMyRenewals);
+
+// Route for a member or their sponsor to renew validity with a pin
+router.post("/", authMiddleware, renewalController.renewMember);
+
+// Route for admin to track renewals
+router.get("/", authMiddleware, adminMiddleware, renewalController.getRenewals);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const turnoverPoolController = require("../controllers/TurnoverPoolController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Route for a member to view the pools they qualified for
+router.get("/my", authMiddleware, turnoverPoolController.getMyPools);
+
+// Routes for admin to calculate month-end share-outs and review them
+router.post(
+  "/distributions/calculate",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.calculateMonth
+);
+
+router.get(
+  "/distributions",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.getDistributions
+);
+
+router.get(
+  "/distributions/:distributionId",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.getDistribution
+);
+
+// Routes for admin to approve a share-out, crediting wallets, or reject it
+router.post(
+  "/distributions/:distributionId/approve",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.approveDistribution
+);
+
+router.post(
+  "/distributions/:distributionId/reject",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.rejectDistribution
+);
+
+// Routes for admin to view and change the time zone months are measured in
+router.get(
+  "/policy",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.getTurnoverPoolPolicy
+);
+
+router.put(
+  "/policy",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.updateTurnoverPoolPolicy
+);
+
+// Routes for admin to list, define and change turnover pools
+router.get(
+  "/",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.getPools
+);
+
+router.post(
+  "/",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.createPool
+);
+
+router.put(
+  "/:poolId",
+  authMiddleware,
+  adminMiddleware,
+  turnoverPoolController.updatePool
+);
+
+module.exports = router;
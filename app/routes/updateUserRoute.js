@@ -1,5 +1,7 @@
 const express = require("express");
 const UpdateUserService = require("../controllers/UpdateUserDetailsController"); // Adjust the path as necessary
+const BaseResponse = require("../../response/BaseResponse");
+const { StatusCodes } = require("http-status-codes");
 const router = express.Router();
 
 // Import the authMiddleware
@@ -39,10 +41,47 @@ router.get("/wallet/:userId", authMiddleware, async (req, res) => {
   return res.status(response.status).json(response);
 });
 
+// Route to fetch the wallet statement (json, csv or pdf via ?format=)
+router.get("/wallet/:userId/statement", authMiddleware, async (req, res) => {
+  const { userId } = req.params;
+
+  // Members may only read their own statement
+  if (req.user.userType !== "Admin" && String(req.user.id) !== userId) {
+    return res
+      .status(403)
+      .json(
+        BaseResponse.errorResponseWithData(
+          StatusCodes.FORBIDDEN,
+          "You do not have permission to perform this action"
+        )
+      );
+  }
+
+  const response = await UpdateUserService.getWalletStatement(
+    userId,
+    req.query
+  );
+
+  if (!response.response || !response.data || !response.data.fileName) {
+    return res.status(response.status).json(response);
+  }
+
+  const { fileName, contentType, content } = response.data;
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.status(response.status).send(content);
+});
+
 router.get("/total-count/:userId", authMiddleware, async (req, res) => {
   const { userId } = req.params;
   const response = await UpdateUserService.getTotalReferralCount(userId);
   return res.status(response.status).json(response);
 });
 
+router.get("/team/:userId", authMiddleware, async (req, res) => {
+  const { userId } = req.params;
+  const response = await UpdateUserService.getTeamSummary(userId);
+  return res.status(response.status).json(response);
+});
+
 module.exports = router;
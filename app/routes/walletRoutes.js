@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const walletTransferController = require("../controllers/WalletTransferController");
+const cashbackController = require("../controllers/CashbackController");
+const earningCapController = require("../controllers/EarningCapController");
+const payoutCycleController = require("../controllers/PayoutCycleController");
+
+// Import the authMiddleware
+const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
+
+// Routes for admin to view and update the transfer policy
+router.get(
+  "/transfer/policy",
+  authMiddleware,
+  adminMiddleware,
+  walletTransferController.getTransferPolicy
+);
+
+router.put(
+  "/transfer/policy",
+  authMiddleware,
+  adminMiddleware,
+  walletTransferController.updateTransferPolicy
+);
+
+// Route for a member to start a transfer to another member
+router.post(
+  "/transfer",
+  authMiddleware,
+  walletTransferController.createTransfer
+);
+
+// Route for the sender to confirm a pending transfer with their password
+router.post(
+  "/transfer/:transferId/confirm",
+  authMiddleware,
+  walletTransferController.confirmTransfer
+);
+
+// Route for the sender to cancel a pending transfer
+router.post(
+  "/transfer/:transferId/cancel",
+  authMiddleware,
+  walletTransferController.cancelTransfer
+);
+
+// Route for a member to view the transfers they sent or received
+router.get(
+  "/transfers",
+  authMiddleware,
+  walletTransferController.getMyTransfers
+);
+
+// Route for a member to view their package cashback and its instalments
+router.get("/cashback", authMiddleware, cashbackController.getMyCashback);
+
+// Route for a member to see how much of their earning cap is used
+router.get(
+  "/earning-cap",
+  authMiddleware,
+  earningCapController.getMyEarningCap
+);
+
+// Route for a member to see income waiting for the next payout cycle closing
+router.get(
+  "/pending-income",
+  authMiddleware,
+  payoutCycleController.getMyPendingIncome
+);
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const withDrawController = require("../controllers/withDrawController");
+const payoutController = require("../controllers/PayoutController");
+const deductionController = require("../controllers/DeductionController");
 
 // Import the authMiddleware
 const authMiddleware = require("../../middleware/authMiddleware");
+const adminMiddleware = require("../../middleware/adminMiddleware");
 
 // Route for creating a withdrawal request (only user needs to be authenticated)
 router.post(
@@ -19,6 +22,28 @@ router.post(
   withDrawController.approveOrDenyWithdrawal
 ); // Admin approves or denies a request
 
+// Route for a member to view their own withdrawal requests
+router.get(
+  "/withdrawal/my",
+  authMiddleware,
+  withDrawController.getMyWithdrawalRequests
+);
+
+// Route for a member to cancel their own pending withdrawal request
+router.post(
+  "/withdrawal/:withdrawalRequestId/cancel",
+  authMiddleware,
+  withDrawController.cancelWithdrawalRequest
+);
+
+// Route for admin to record a payout result (processing, paid, failed, reversed)
+router.post(
+  "/withdrawal/payout-status",
+  authMiddleware,
+  adminMiddleware,
+  withDrawController.updatePayoutStatus
+);
+
 // Route for admin to view all withdrawal requests
 router.get(
   "/withdrawal/requests",
@@ -26,4 +51,79 @@ router.get(
   withDrawController.getAllWithdrawalRequests
 );
 
+// Routes for admin to view and update the withdrawal policy
+router.get(
+  "/policy",
+  authMiddleware,
+  adminMiddleware,
+  withDrawController.getWithdrawalPolicy
+);
+
+router.put(
+  "/policy",
+  authMiddleware,
+  adminMiddleware,
+  withDrawController.updateWithdrawalPolicy
+);
+
+// Routes for admin to export approved withdrawals as bank bulk-payout files
+router.post(
+  "/payout/export",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.exportPayoutFile
+);
+
+router.get(
+  "/payout/batches",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.getPayoutBatches
+);
+
+router.get(
+  "/payout/batches/:batchId/file",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.downloadPayoutBatchFile
+);
+
+// Routes for admin to list and set up the bank file layouts
+router.get(
+  "/payout/layouts",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.getPayoutLayouts
+);
+
+router.put(
+  "/payout/layouts/:name",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.savePayoutLayout
+);
+
+// Route for admin to upload the bank response file of a payout batch
+router.post(
+  "/payout/batches/:batchId/response",
+  authMiddleware,
+  adminMiddleware,
+  payoutController.uploadBankResponse
+);
+
+// Route for a member to download their annual deduction certificate
+router.get(
+  "/deductions/certificate",
+  authMiddleware,
+  deductionController.getDeductionCertificate
+);
+
+// Route for admin to fetch the quarterly TDS report
+router.get(
+  "/deductions/tds-report",
+  authMiddleware,
+  adminMiddleware,
+  deductionController.getTdsReport
+);
+
 module.exports = router;
@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const CashbackPolicy = require("../models/CashbackPolicyModel");
+const CashbackSchedule = require("../models/CashbackScheduleModel");
+const walletService = require("./WalletService");
+const logger = require("../../utils/logger");
+const {
+  WALLET_ACCOUNTS,
+  SPENDABLE_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  CASHBACK_USAGES,
+  CASHBACK_SCHEDULE_STATUSES,
+  DEFAULT_CASHBACK_POLICY,
+} = require("../../constants/cashbackConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+/**
+ * CashbackService
+ * Pays package cashback to the member who bought the package, at once or in
+ * instalments over their validity period, into a separate cashback balance.
+ */
+class CashbackService {
+  /**
+   * Current cashback policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(CashbackPolicy, DEFAULT_CASHBACK_POLICY, session);
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      CashbackPolicy,
+      DEFAULT_CASHBACK_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Accounts withdrawals and transfers may draw on under the policy.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Array} Wallet accounts, in the order debits use them.
+   */
+  async getWithdrawableAccounts(session) {
+    const { usage } = await this.getPolicy(session);
+    return usage === CASHBACK_USAGES.WITHDRAWABLE
+      ? [...SPENDABLE_ACCOUNTS, WALLET_ACCOUNTS.CASHBACK_BALANCE]
+      : SPENDABLE_ACCOUNTS;
+  }
+
+  /**
+   * Split a cashback amount into instalments spread evenly from a start
+   * date up to the end of validity. The last instalment takes the rounding
+   * difference.
+   * @param {number} amount - Total cashback.
+   * @param {Date} from - Date of the first instalment.
+   * @param {Date} until - End of the validity period.
+   * @param {number} count - Number of instalments.
+   * @returns {Array} [{ number, amount, dueAt }]
+   */
+  buildInstalments(amount, from, until, count) {
+    const total = walletService.roundAmount(amount);
+    if (count <= 1 || !until || until <= from) {
+      return [{ number: 1, amount: total, dueAt: from }];
+    }
+
+    const interval = (until.getTime() - from.getTime()) / count;
+    const share = Math.floor((total * 100) / count) / 100;
+
+    return Array.from({ length: count }, (_, index) => ({
+      number: index + 1,
+      amount:
+        index === count - 1
+          ? walletService.roundAmount(total - share * (count - 1))
+          : share,
+      dueAt: new Date(from.getTime() + Math.round(interval * index)),
+    }));
+  }
+
+  /**
+   * Record the cashback of a registration and release what is already due.
+   * @param {Object} cashback - Cashback part of a registration distribution.
+   * @param {Object} params - { pinDetails, packageDetails, plan }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The schedule.
+   */
+  async createSchedule(
+    cashback,
+    { pinDetails, packageDetails, plan },
+    session
+  ) {
+    const [schedule] = await CashbackSchedule.create(
+      [
+        {
+          user: cashback.userId,
+          pin: pinDetails._id,
+          packageId: packageDetails._id,
+          productName: packageDetails.productName,
+          commissionPlan: plan._id,
+          commissionPlanVersion: plan.version,
+          totalAmount: cashback.amount,
+          instalments: cashback.instalments,
+        },
+      ],
+      { session }
+    );
+
+    await this.releaseDue(schedule, new Date(), session);
+    return schedule;
+  }
+
+  /**
+   * Credit every instalment of a schedule that is due and not yet released.
+   * @param {Object} schedule - Schedule document loaded in the session.
+   * @param {Date} now - Release everything due by this time.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {number} Amount released.
+   */
+  async releaseDue(schedule, now, session) {
+    let released = 0;
+
+    for (const instalment of schedule.instalments) {
+      if (instalment.releasedAt || instalment.dueAt > now) {
+        continue;
+      }
+
+      const entry = await walletService.credit(
+        {
+          userId: schedule.user,
+          account: WALLET_ACCOUNTS.CASHBACK_BALANCE,
+          amount: instalment.amount,
+          sourceType: LEDGER_SOURCE_TYPES.CASHBACK,
+          sourceId: schedule._id,
+          contraAccount: CONTRA_ACCOUNTS.CASHBACK_EXPENSE,
+          pin: schedule.pin,
+          commissionPlan: schedule.commissionPlan
+            ? {
+                _id: schedule.commissionPlan,
+                version: schedule.commissionPlanVersion,
+              }
+            : undefined,
+          description: `Cashback instalment ${instalment.number} of ${schedule.instalments.length} on ${schedule.productName}`,
+        },
+        session
+      );
+
+      instalment.releasedAt = now;
+      instalment.ledgerEntry = entry ? entry._id : undefined;
+      released = walletService.roundAmount(released + instalment.amount);
+    }
+
+    if (schedule.isModified("instalments")) {
+      schedule.releasedAmount = walletService.roundAmount(
+        schedule.releasedAmount + released
+      );
+      if (schedule.instalments.every((instalment) => instalment.releasedAt)) {
+        schedule.status = CASHBACK_SCHEDULE_STATUSES.COMPLETED;
+      }
+      await schedule.save({ session });
+    }
+
+    return released;
+  }
+
+  /**
+   * Release all instalments that have fallen due, one schedule per
+   * transaction. Meant to run daily.
+   * @param {Date} now - Release everything due by this time.
+   * @returns {Object} { schedules, amount }
+   */
+  async releaseDueInstalments(now = new Date()) {
+    const due = await CashbackSchedule.find(
+      {
+        status: CASHBACK_SCHEDULE_STATUSES.ACTIVE,
+        instalments: { $elemMatch: { releasedAt: null, dueAt: { $lte: now } } },
+      },
+      "_id"
+    );
+
+    let schedules = 0;
+    let amount = 0;
+
+    for (const { _id } of due) {
+      const session = await mongoose.startSession();
+      let released = 0;
+
+      try {
+        await session.withTransaction(async () => {
+          released = 0;
+          const schedule = await CashbackSchedule.findOne({
+            _id,
+            status: CASHBACK_SCHEDULE_STATUSES.ACTIVE,
+          }).session(session);
+          if (!schedule) {
+            return;
+          }
+
+          released = await this.releaseDue(schedule, now, session);
+        });
+
+        if (released > 0) {
+          schedules += 1;
+          amount = walletService.roundAmount(amount + released);
+        }
+      } catch (error) {
+        logger.error(
+          `Releasing cashback schedule ${_id} failed: ${error.message}`
+        );
+      } finally {
+        session.endSession();
+      }
+    }
+
+    logger.info(
+      `Released ${amount} of cashback from ${schedules} schedules due by ${now.toISOString()}`
+    );
+    return { schedules, amount };
+  }
+}
+
+module.exports = new CashbackService();
@@ -0,0 +1,661 @@
+const { ReferralTracking } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const LevelIncomePolicy = require("../models/LevelIncomePolicyModel");
+const LevelIncomeSkip = require("../models/LevelIncomeSkipModel");
+const walletService = require("./WalletService");
+const commissionPlanService = require("./CommissionPlanService");
+const referralTreeService = require("./ReferralTreeService");
+const compensationStructureService = require("./CompensationStructureService");
+const cashbackService = require("./CashbackService");
+const logger = require("../../utils/logger");
+const {
+  WALLET_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+  COMPANY_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  DEFAULT_LEVEL_INCOME_POLICY,
+  LEVEL_INCOME_TYPES,
+  PLAN_TYPES,
+  UNPAID_SHARE_MODES,
+  SKIP_REASONS,
+} = require("../../constants/commissionConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+/**
+ * CommissionDistributionService
+ * Works out who earns what from a registration: direct income for the
+ * sponsor, cashback for the new member, and a level share for every eligible
+ * ancestor up the upline. Building the distribution and posting it are
+ * separate steps. Renewals pay the same way under the package's renewal plan.
+ */
+class CommissionDistributionService {
+  /**
+   * Current level income policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(
+      LevelIncomePolicy,
+      DEFAULT_LEVEL_INCOME_POLICY,
+      session
+    );
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      LevelIncomePolicy,
+      DEFAULT_LEVEL_INCOME_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Why an ancestor cannot receive a level share, if they cannot.
+   * @param {Object} ancestor - User document.
+   * @param {Object} policy - Level income policy.
+   * @param {Date} at - Time of the registration.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {number} directReferrals - Optional count of the ancestor's direct
+   * referrals by then, when the caller has it; otherwise it is counted.
+   * @returns {string|null} One of SKIP_REASONS, or null when eligible.
+   */
+  async getIneligibilityReason(ancestor, policy, at, session, directReferrals) {
+    if (policy.requireActive && ancestor.status !== "active") {
+      return SKIP_REASONS.INACTIVE;
+    }
+
+    if (
+      policy.requireValidity &&
+      !(ancestor.validTill && ancestor.validTill > at)
+    ) {
+      return SKIP_REASONS.VALIDITY_EXPIRED;
+    }
+
+    if (policy.minimumDirectReferrals > 0) {
+      // Only referrals made by the time of the registration count
+      const referrals =
+        directReferrals !== undefined
+          ? directReferrals
+          : await ReferralTracking.countDocuments({
+              referrer: ancestor._id,
+              createdAt: { $lte: at },
+            }).session(session || null);
+      if (referrals < policy.minimumDirectReferrals) {
+        return SKIP_REASONS.INSUFFICIENT_DIRECT_REFERRALS;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Level shares up a member's upline for a registration or renewal, with
+   * the shares skipped for ineligible ancestors.
+   * @param {Object} params - { member, plan, packagePrice, policy, at, label,
+   * registrationPackageId, upline, directReferralCounts, pastReasons }; the
+   * structure of the member's registration package sets the depth, and is
+   * looked up from their registration pin unless the package is given. A dry
+   * run passes the upline it has worked out and a Map of each ancestor's
+   * direct referrals by id. A replay passes the decisions recorded when the income was paid as a Map
+   * of ancestor id to skip reason, or null for paid; those are not judged again.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} { credits, skips }
+   */
+  async buildLevelCredits(
+    {
+      member,
+      plan,
+      packagePrice,
+      policy,
+      at,
+      label,
+      registrationPackageId,
+      upline: knownUpline,
+      directReferralCounts,
+      pastReasons,
+    },
+    session
+  ) {
+    const credits = [];
+    const skips = [];
+
+    let upline = knownUpline;
+    if (!upline) {
+      // Nobody earns from deeper than the matrix goes
+      const structure = registrationPackageId
+        ? await compensationStructureService.getStructure(
+            session,
+            registrationPackageId
+          )
+        : await compensationStructureService.getMemberStructure(
+            member,
+            session
+          );
+      upline = await referralTreeService.getUpline(
+        member,
+        Math.min(policy.maxDepth, structure.maxDepth),
+        session
+      );
+    }
+
+    // Shares of skipped ancestors waiting for the next eligible ancestor
+    let carried = [];
+
+    for (const [index, ancestor] of upline.entries()) {
+      const level = index + 1;
+      const amount = commissionPlanService.getLevelIncome(
+        plan,
+        level,
+        packagePrice
+      );
+      const reason =
+        pastReasons && pastReasons.has(String(ancestor._id))
+          ? pastReasons.get(String(ancestor._id))
+          : await this.getIneligibilityReason(
+              ancestor,
+              policy,
+              at,
+              session,
+              directReferralCounts
+                ? directReferralCounts.get(String(ancestor._id)) || 0
+                : undefined
+            );
+
+      if (reason) {
+        const skip = {
+          ancestor: ancestor._id,
+          level,
+          amount,
+          reason,
+          disposition: policy.unpaidShareMode,
+          rolledUpTo: null,
+        };
+        skips.push(skip);
+        if (policy.unpaidShareMode === UNPAID_SHARE_MODES.ROLL_UP) {
+          carried.push(skip);
+        }
+        continue;
+      }
+
+      credits.push({
+        userId: ancestor._id,
+        account: WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+        amount,
+        kind: "levelIncome",
+        level,
+        description: `Level ${level} income from ${label}`,
+      });
+
+      carried.forEach((skip) => {
+        skip.rolledUpTo = ancestor._id;
+        credits.push({
+          userId: ancestor._id,
+          account: WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+          amount: skip.amount,
+          kind: "rolledUpLevelIncome",
+          level: skip.level,
+          description: `Level ${skip.level} income rolled up to level ${level} from ${label}`,
+        });
+      });
+      carried = [];
+    }
+
+    // Nobody above was eligible, so the company keeps these shares
+    carried.forEach((skip) => {
+      skip.disposition = UNPAID_SHARE_MODES.COMPANY;
+    });
+
+    return { credits, skips };
+  }
+
+  /**
+   * Work out the credits and skipped shares of a registration without
+   * writing anything.
+   * @param {Object} params - { newUser, sponsor, pinDetails, at, context }.
+   * context may hold what the caller has already read: { packageDetails,
+   * plan, policy, cashbackPolicy, upline, directReferralCounts, pastReasons }.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} { packageDetails, plan, policy, credits, skips, cashback }
+   */
+  async buildRegistrationDistribution(
+    { newUser, sponsor, pinDetails, at = new Date(), context = {} },
+    session
+  ) {
+    const packageDetails =
+      context.packageDetails ||
+      (await PackageModel.findById(pinDetails.packageId).session(
+        session || null
+      ));
+    if (!packageDetails) {
+      throw new Error("Package of the pin not found");
+    }
+
+    const plan =
+      context.plan ||
+      (await commissionPlanService.getPlanForPackage(
+        packageDetails,
+        at,
+        session
+      ));
+    const policy = context.policy || (await this.getPolicy(session));
+    const packagePrice = Number(packageDetails.productPrice);
+    const registration = `registration of ${newUser.name} (${newUser.referralCode})`;
+
+    const credits = [
+      {
+        userId: sponsor._id,
+        account: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+        amount: plan.directIncome,
+        kind: "directIncome",
+        description: `Direct income from ${registration} with ${packageDetails.productName}`,
+      },
+    ];
+
+    const cashbackPolicy =
+      context.cashbackPolicy || (await cashbackService.getPolicy(session));
+    let cashback = null;
+    if (at < cashbackPolicy.registrantCashbackFrom) {
+      // Registrations from before cashback moved to the buyer keep paying the sponsor
+      credits.push({
+        userId: sponsor._id,
+        account: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+        amount: plan.cashback,
+        kind: "cashback",
+        description: `Cashback on ${registration} with ${packageDetails.productName}`,
+      });
+    } else if (plan.cashback > 0) {
+      cashback = {
+        userId: newUser._id,
+        amount: walletService.roundAmount(plan.cashback),
+        instalments: cashbackService.buildInstalments(
+          plan.cashback,
+          at,
+          newUser.validTill,
+          cashbackPolicy.instalments
+        ),
+      };
+    }
+
+    const levels = await this.buildLevelCredits(
+      {
+        member: newUser,
+        plan,
+        packagePrice,
+        policy,
+        at,
+        label: registration,
+        registrationPackageId: packageDetails._id,
+        upline: context.upline,
+        directReferralCounts: context.directReferralCounts,
+        pastReasons: context.pastReasons,
+      },
+      session
+    );
+    credits.push(...levels.credits);
+
+    return {
+      packageDetails,
+      plan,
+      policy,
+      credits,
+      skips: levels.skips,
+      cashback,
+    };
+  }
+
+  // Credit every payee of a renewal or upgrade
+  async postCredits(
+    credits,
+    { sourceType, sourceId, member, pinDetails, plan },
+    session
+  ) {
+    for (const credit of credits) {
+      await walletService.credit(
+        {
+          userId: credit.userId,
+          account: credit.account,
+          amount: credit.amount,
+          sourceType,
+          sourceId,
+          contraAccount: CONTRA_ACCOUNTS.COMMISSION_EXPENSE,
+          counterparty: member._id,
+          pin: pinDetails._id,
+          commissionPlan: plan,
+          description: credit.description,
+        },
+        session
+      );
+    }
+  }
+
+  /**
+   * Log and store the level shares that were not paid to their ancestor.
+   * Shares no other ancestor received are posted to the company ledger.
+   * @param {Array} skips - Skipped shares from buildLevelCredits.
+   * @param {Object} params - { member, pinDetails, plan, renewal, upgrade }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   */
+  async recordSkips(
+    skips,
+    { member, pinDetails, plan, renewal, upgrade },
+    session
+  ) {
+    if (skips.length === 0) {
+      return;
+    }
+
+    skips.forEach((skip) =>
+      logger.info(
+        `Level ${skip.level} share of ${skip.amount} for ancestor ${
+          skip.ancestor
+        } skipped (${skip.reason}); ${
+          skip.rolledUpTo
+            ? `rolled up to ${skip.rolledUpTo}`
+            : "kept by the company"
+        }`
+      )
+    );
+
+    let source = {
+      sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+      sourceId: member._id,
+    };
+    if (renewal) {
+      source = {
+        sourceType: LEDGER_SOURCE_TYPES.RENEWAL,
+        sourceId: renewal._id,
+      };
+    } else if (upgrade) {
+      source = {
+        sourceType: LEDGER_SOURCE_TYPES.UPGRADE,
+        sourceId: upgrade._id,
+      };
+    }
+
+    const companyEntries = [];
+    for (const skip of skips) {
+      companyEntries.push(
+        skip.rolledUpTo
+          ? null
+          : await walletService.postCompanyEntry(
+              {
+                ...source,
+                account: COMPANY_ACCOUNTS.RETAINED_LEVEL_INCOME,
+                amount: skip.amount,
+                contraAccount: CONTRA_ACCOUNTS.COMMISSION_EXPENSE,
+                userId: skip.ancestor,
+                counterparty: member._id,
+                pin: pinDetails._id,
+                commissionPlan: plan,
+                description: `Level ${skip.level} share kept by the company (${skip.reason})`,
+              },
+              session
+            )
+      );
+    }
+
+    await LevelIncomeSkip.insertMany(
+      skips.map((skip, index) => ({
+        ...skip,
+        companyLedgerEntry: companyEntries[index]
+          ? companyEntries[index]._id
+          : null,
+        registeredUser: member._id,
+        renewal: renewal ? renewal._id : null,
+        upgrade: upgrade ? upgrade._id : null,
+        pin: pinDetails._id,
+        commissionPlan: plan._id,
+        commissionPlanVersion: plan.version,
+      })),
+      { session }
+    );
+  }
+
+  /**
+   * Post the credits of a distribution, schedule its cashback and record its
+   * skipped shares.
+   * @param {Object} distribution - Result of buildRegistrationDistribution.
+   * @param {Object} params - { newUser, pinDetails }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The distribution.
+   */
+  async applyRegistrationDistribution(
+    distribution,
+    { newUser, pinDetails },
+    session
+  ) {
+    const { packageDetails, plan, credits, skips, cashback } = distribution;
+
+    for (const credit of credits) {
+      await walletService.credit(
+        {
+          userId: credit.userId,
+          account: credit.account,
+          amount: credit.amount,
+          sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+          sourceId: newUser._id,
+          contraAccount: CONTRA_ACCOUNTS.COMMISSION_EXPENSE,
+          counterparty: newUser._id,
+          pin: pinDetails._id,
+          commissionPlan: plan,
+          description: credit.description,
+        },
+        session
+      );
+    }
+
+    if (cashback) {
+      await cashbackService.createSchedule(
+        cashback,
+        { pinDetails, packageDetails, plan },
+        session
+      );
+    }
+
+    await this.recordSkips(
+      skips,
+      { member: newUser, pinDetails, plan },
+      session
+    );
+
+    return distribution;
+  }
+
+  /**
+   * Pay all income arising from a registration.
+   * @param {Object} params - { newUser, sponsor, pinDetails }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The applied distribution.
+   */
+  async distributeRegistration({ newUser, sponsor, pinDetails }, session) {
+    const distribution = await this.buildRegistrationDistribution(
+      { newUser, sponsor, pinDetails, at: newUser.createdAt },
+      session
+    );
+    return this.applyRegistrationDistribution(
+      distribution,
+      { newUser, pinDetails },
+      session
+    );
+  }
+
+  /**
+   * Pay the income of a validity renewal under the package's renewal plan:
+   * direct income to the member's sponsor and level shares up their upline.
+   * Nothing is paid when the package has no renewal plan in force.
+   * @param {Object} params - { member, sponsor, pinDetails, packageDetails, renewal }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} { plan, credits, skips }
+   */
+  async distributeRenewal(
+    { member, sponsor, pinDetails, packageDetails, renewal },
+    session
+  ) {
+    const at = renewal.createdAt;
+    const plan = await commissionPlanService.getPlanForPackage(
+      packageDetails,
+      at,
+      session,
+      PLAN_TYPES.RENEWAL
+    );
+    if (!plan) {
+      return { plan: null, credits: [], skips: [] };
+    }
+
+    const policy = await this.getPolicy(session);
+    const label = `renewal of ${member.name} (${member.referralCode})`;
+    const credits = sponsor
+      ? [
+          {
+            userId: sponsor._id,
+            account: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+            amount: plan.directIncome,
+            kind: "directIncome",
+            description: `Direct income from ${label} with ${packageDetails.productName}`,
+          },
+        ]
+      : [];
+
+    const levels = await this.buildLevelCredits(
+      {
+        member,
+        plan,
+        packagePrice: Number(packageDetails.productPrice),
+        policy,
+        at,
+        label,
+      },
+      session
+    );
+    credits.push(...levels.credits);
+
+    await this.postCredits(
+      credits,
+      {
+        sourceType: LEDGER_SOURCE_TYPES.RENEWAL,
+        sourceId: renewal._id,
+        member,
+        pinDetails,
+        plan,
+      },
+      session
+    );
+    await this.recordSkips(
+      levels.skips,
+      { member, pinDetails, plan, renewal },
+      session
+    );
+
+    return { plan, credits, skips: levels.skips };
+  }
+
+  /**
+   * Pay the income of a package upgrade: each payee gets only what the new
+   * package's plan pays above the old package's plan, never less than
+   * nothing. Ancestors are judged for eligibility as for a registration.
+   * @param {Object} params - { member, sponsor, pinDetails, fromPackage, toPackage, upgrade }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} { plan, previousPlan, credits, skips }
+   */
+  async distributeUpgrade(
+    { member, sponsor, pinDetails, fromPackage, toPackage, upgrade },
+    session
+  ) {
+    const at = upgrade.createdAt;
+    const previousPlan = await commissionPlanService.getPlanForPackage(
+      fromPackage,
+      at,
+      session
+    );
+    const plan = await commissionPlanService.getPlanForPackage(
+      toPackage,
+      at,
+      session
+    );
+    const policy = await this.getPolicy(session);
+    const structure = await compensationStructureService.getMemberStructure(
+      member,
+      session
+    );
+    const depth = Math.min(policy.maxDepth, structure.maxDepth);
+
+    // Level income of the new plan less that of the old one, as fixed amounts
+    const differentialPlan = {
+      levelIncomeType: LEVEL_INCOME_TYPES.AMOUNT,
+      levelIncomes: Array.from({ length: depth }, (_, index) => ({
+        level: index + 1,
+        value: Math.max(
+          commissionPlanService.getLevelIncome(
+            plan,
+            index + 1,
+            Number(toPackage.productPrice)
+          ) -
+            commissionPlanService.getLevelIncome(
+              previousPlan,
+              index + 1,
+              Number(fromPackage.productPrice)
+            ),
+          0
+        ),
+      })),
+      defaultLevelIncome: 0,
+    };
+
+    const label = `upgrade of ${member.name} (${member.referralCode}) from ${fromPackage.productName} to ${toPackage.productName}`;
+    const directIncome = walletService.roundAmount(
+      Math.max(plan.directIncome - previousPlan.directIncome, 0)
+    );
+    const credits =
+      sponsor && directIncome > 0
+        ? [
+            {
+              userId: sponsor._id,
+              account: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+              amount: directIncome,
+              kind: "directIncome",
+              description: `Direct income from ${label}`,
+            },
+          ]
+        : [];
+
+    const levels = await this.buildLevelCredits(
+      { member, plan: differentialPlan, packagePrice: 0, policy, at, label },
+      session
+    );
+    credits.push(...levels.credits.filter((credit) => credit.amount > 0));
+
+    await this.postCredits(
+      credits,
+      {
+        sourceType: LEDGER_SOURCE_TYPES.UPGRADE,
+        sourceId: upgrade._id,
+        member,
+        pinDetails,
+        plan,
+      },
+      session
+    );
+    await this.recordSkips(
+      levels.skips.filter((skip) => skip.amount > 0),
+      { member, pinDetails, plan, upgrade },
+      session
+    );
+
+    return { plan, previousPlan, credits, skips: levels.skips };
+  }
+}
+
+module.exports = new CommissionDistributionService();
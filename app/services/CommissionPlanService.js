@@ -0,0 +1,152 @@
+const CommissionPlan = require("../models/CommissionPlanModel");
+const walletService = require("./WalletService");
+const {
+  LEVEL_INCOME_TYPES,
+  PLAN_TYPES,
+  LEGACY_LEVEL_INCOME,
+} = require("../../constants/commissionConstant");
+
+// Plans written before renewal plans existed have no planType
+const planTypeQuery = (planType) =>
+  planType === PLAN_TYPES.REGISTRATION
+    ? { $in: [PLAN_TYPES.REGISTRATION, null] }
+    : planType;
+
+/**
+ * CommissionPlanService
+ * Resolves which commission plan version applies to a registration and
+ * works out the income it pays.
+ */
+class CommissionPlanService {
+  /**
+   * Fields of version 1 of a package's plan, built from the package and the
+   * level income that used to be hard-coded.
+   * @param {Object} packageDetails - PackageModel document.
+   * @returns {Object} Plan fields.
+   */
+  buildBaselinePlan(packageDetails) {
+    const legacy = LEGACY_LEVEL_INCOME[Number(packageDetails.productPrice)] || {
+      levels: {},
+      default: 0,
+    };
+
+    return {
+      packageId: packageDetails._id,
+      version: 1,
+      effectiveFrom: new Date(0),
+      directIncome: packageDetails.directIncome || 0,
+      cashback: Number(packageDetails.cashback) || 0,
+      levelIncomeType: LEVEL_INCOME_TYPES.AMOUNT,
+      levelIncomes: Object.entries(legacy.levels).map(([level, value]) => ({
+        level: Number(level),
+        value,
+      })),
+      defaultLevelIncome: legacy.default,
+      notes: "Baseline from the package and the former level income table",
+    };
+  }
+
+  /**
+   * Create the baseline plan of a package, the first time a package without
+   * any plan is used.
+   * @param {Object} packageDetails - PackageModel document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object|null} The created plan, or null when plans already exist.
+   */
+  async ensureBaselinePlan(packageDetails, session) {
+    const existing = await CommissionPlan.countDocuments({
+      packageId: packageDetails._id,
+      planType: planTypeQuery(PLAN_TYPES.REGISTRATION),
+    }).session(session || null);
+    if (existing > 0) {
+      return null;
+    }
+
+    const [plan] = await CommissionPlan.create(
+      [this.buildBaselinePlan(packageDetails)],
+      { session: session || null }
+    );
+    return plan;
+  }
+
+  /**
+   * The plan version in force for a package at a point in time.
+   * @param {Object} packageDetails - PackageModel document.
+   * @param {Date} at - Time of the registration or renewal.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {string} planType - One of PLAN_TYPES.
+   * @returns {Object|null} The commission plan; null for a renewal without a renewal plan.
+   */
+  async getPlanForPackage(
+    packageDetails,
+    at = new Date(),
+    session,
+    planType = PLAN_TYPES.REGISTRATION
+  ) {
+    await this.ensureBaselinePlan(packageDetails, session);
+    return this.findPlanForPackage(packageDetails, at, session, planType);
+  }
+
+  /**
+   * Like getPlanForPackage, but never writes: a package without any plan
+   * gets an unsaved baseline plan.
+   * @param {Object} packageDetails - PackageModel document.
+   * @param {Date} at - Time of the registration or renewal.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {string} planType - One of PLAN_TYPES.
+   * @returns {Object|null} The commission plan; null for a renewal without a renewal plan.
+   */
+  async findPlanForPackage(
+    packageDetails,
+    at = new Date(),
+    session,
+    planType = PLAN_TYPES.REGISTRATION
+  ) {
+    const plan = await CommissionPlan.findOne({
+      packageId: packageDetails._id,
+      planType: planTypeQuery(planType),
+      effectiveFrom: { $lte: at },
+    })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .session(session || null);
+    if (plan || planType !== PLAN_TYPES.REGISTRATION) {
+      return plan;
+    }
+
+    const existing = await CommissionPlan.exists({
+      packageId: packageDetails._id,
+      planType: planTypeQuery(PLAN_TYPES.REGISTRATION),
+    }).session(session || null);
+    return existing
+      ? null
+      : new CommissionPlan(this.buildBaselinePlan(packageDetails));
+  }
+
+  // Next free version number for a package
+  async getNextVersion(packageId, session) {
+    const latest = await CommissionPlan.findOne({ packageId })
+      .sort({ version: -1 })
+      .session(session || null);
+    return latest ? latest.version + 1 : 1;
+  }
+
+  /**
+   * Level income a plan pays for a level.
+   * @param {Object} plan - Commission plan.
+   * @param {number} level - Level of the earning member.
+   * @param {number} packagePrice - Price the percentages apply to.
+   * @returns {number}
+   */
+  getLevelIncome(plan, level, packagePrice) {
+    const entry = plan.levelIncomes.find((item) => item.level === level);
+    const value = entry ? entry.value : plan.defaultLevelIncome;
+
+    return walletService.roundAmount(
+      plan.levelIncomeType === LEVEL_INCOME_TYPES.PERCENTAGE
+        ? (packagePrice * value) / 100
+        : value
+    );
+  }
+}
+
+module.exports = new CommissionPlanService();
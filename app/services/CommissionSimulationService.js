@@ -0,0 +1,362 @@
+const mongoose = require("mongoose");
+const { User, ReferralTracking } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const PlacementPolicy = require("../models/PlacementPolicyModel");
+const LevelIncomePolicy = require("../models/LevelIncomePolicyModel");
+const CashbackPolicy = require("../models/CashbackPolicyModel");
+const walletService = require("./WalletService");
+const referralTreeService = require("./ReferralTreeService");
+const commissionPlanService = require("./CommissionPlanService");
+const commissionDistributionService = require("./CommissionDistributionService");
+const compensationStructureService = require("./CompensationStructureService");
+const { WALLET_ACCOUNTS } = require("../../constants/walletConstant");
+const {
+  DEFAULT_PLACEMENT_POLICY,
+} = require("../../constants/placementConstant");
+const {
+  DEFAULT_LEVEL_INCOME_POLICY,
+} = require("../../constants/commissionConstant");
+const { DEFAULT_CASHBACK_POLICY } = require("../../constants/cashbackConstant");
+const { findSingleton } = require("../../utils/singletonDocument");
+
+/**
+ * CommissionSimulationService
+ * Dry-runs registrations: placement and income are worked out with the same
+ * code as a real registration, but the simulated members only live in
+ * memory, so nothing is ever written.
+ */
+class CommissionSimulationService {
+  /**
+   * Simulate a batch of registrations in order. Later entries see the
+   * members placed by earlier ones, and may name them as sponsor through
+   * their alias.
+   * @param {Array} registrations - [{ sponsorReferralCode, packageId, alias, count }];
+   * with a count above 1 the aliases become alias-1, alias-2 and so on.
+   * @param {Date} at - Optional time to simulate at, e.g. when a new plan version starts.
+   * @returns {Object} { registrations, totals } or { error } for an entry that cannot be simulated.
+   */
+  async simulate(registrations, at = new Date()) {
+    // Policies not yet stored are simulated with their defaults
+    const settings = {
+      placementPolicy: await findSingleton(
+        PlacementPolicy,
+        DEFAULT_PLACEMENT_POLICY
+      ),
+      levelIncomePolicy: await findSingleton(
+        LevelIncomePolicy,
+        DEFAULT_LEVEL_INCOME_POLICY
+      ),
+      cashbackPolicy: await findSingleton(
+        CashbackPolicy,
+        DEFAULT_CASHBACK_POLICY
+      ),
+    };
+    // Simulated members by id, and the simulated children of each parent
+    const overlay = { users: new Map(), children: new Map() };
+    const packages = new Map();
+
+    const results = [];
+    const payees = new Map();
+    const runId = Date.now().toString(36).toUpperCase();
+    let sequence = 0;
+
+    for (const registration of registrations) {
+      const count = registration.count || 1;
+
+      for (let i = 0; i < count; i++) {
+        sequence += 1;
+        const mobileNumber = `SIM${runId}${sequence}`;
+        let referralCode = mobileNumber;
+        if (registration.alias) {
+          referralCode =
+            count === 1 ? registration.alias : `${registration.alias}-${i + 1}`;
+        }
+
+        const result = await this.simulateOne(
+          { ...registration, referralCode, mobileNumber, sequence, at },
+          { settings, overlay, packages }
+        );
+        if (result.error) {
+          return { error: result.error };
+        }
+        results.push(result);
+
+        result.credits.forEach((credit) => {
+          const key = String(credit.userId);
+          const payee = payees.get(key) || {
+            userId: credit.userId,
+            referralCode: credit.referralCode,
+            name: credit.name,
+            amount: 0,
+          };
+          payee.amount = walletService.roundAmount(
+            payee.amount + credit.amount
+          );
+          payees.set(key, payee);
+        });
+      }
+    }
+
+    const sum = (key) =>
+      walletService.roundAmount(
+        results.reduce((total, result) => total + result[key], 0)
+      );
+
+    return {
+      registrations: results,
+      totals: {
+        registrations: results.length,
+        packageRevenue: sum("packagePrice"),
+        totalPaid: sum("totalPaid"),
+        retainedByCompany: sum("retainedByCompany"),
+        payees: [...payees.values()].sort((a, b) => b.amount - a.amount),
+      },
+    };
+  }
+
+  // Stored or simulated member with a referral code
+  async findMember(referralCode, overlay) {
+    const simulated = [...overlay.users.values()].find(
+      (user) => user.referralCode === referralCode
+    );
+    return simulated || User.findOne({ referralCode });
+  }
+
+  // Package with the plan it would pay under and the structure its members
+  // are placed by, read once per package
+  async loadPackage(packageId, at, packages) {
+    if (!packages.has(packageId)) {
+      const packageDetails = mongoose.isValidObjectId(packageId)
+        ? await PackageModel.findById(packageId)
+        : null;
+      packages.set(packageId, {
+        packageDetails,
+        plan:
+          packageDetails &&
+          (await commissionPlanService.findPlanForPackage(packageDetails, at)),
+        structure:
+          packageDetails &&
+          (await compensationStructureService.findStructure(
+            null,
+            packageDetails._id
+          )),
+      });
+    }
+    return packages.get(packageId);
+  }
+
+  /**
+   * Direct referrals of each ancestor by a point in time, counting members
+   * simulated so far.
+   * @param {Array} upline - Stored and simulated ancestors.
+   * @param {Date} at - Time of the registration.
+   * @param {Object} overlay - Simulated members.
+   * @returns {Map} Count by ancestor id.
+   */
+  async countDirectReferrals(upline, at, overlay) {
+    const stored = upline.filter(
+      (ancestor) => !overlay.users.has(String(ancestor._id))
+    );
+    const counts = await ReferralTracking.aggregate([
+      {
+        $match: {
+          referrer: { $in: stored.map((ancestor) => ancestor._id) },
+          createdAt: { $lte: at },
+        },
+      },
+      { $group: { _id: "$referrer", referrals: { $sum: 1 } } },
+    ]);
+
+    const byId = new Map(
+      counts.map(({ _id, referrals }) => [String(_id), referrals])
+    );
+    upline.forEach((ancestor) => {
+      const id = String(ancestor._id);
+      byId.set(
+        id,
+        (byId.get(id) || 0) + (overlay.children.get(id) || []).length
+      );
+    });
+    return byId;
+  }
+
+  // Place one hypothetical member and work out who would be paid
+  async simulateOne(
+    {
+      sponsorReferralCode,
+      packageId,
+      referralCode,
+      mobileNumber,
+      sequence,
+      at,
+    },
+    { settings, overlay, packages }
+  ) {
+    if (await this.findMember(referralCode, overlay)) {
+      return { error: `Referral code ${referralCode} is already in use` };
+    }
+
+    const sponsor = await this.findMember(sponsorReferralCode, overlay);
+    if (!sponsor) {
+      return { error: `Sponsor ${sponsorReferralCode} not found` };
+    }
+
+    const { packageDetails, plan, structure } = await this.loadPackage(
+      packageId,
+      at,
+      packages
+    );
+    if (!packageDetails) {
+      return { error: `Package ${packageId} not found` };
+    }
+    if (!plan) {
+      return {
+        error: `Package ${
+          packageDetails.productName
+        } has no commission plan in force at ${at.toISOString()}`,
+      };
+    }
+
+    const parent = await referralTreeService.getReferralParent(sponsor, null, {
+      overlay,
+      policy: settings.placementPolicy,
+      structure,
+    });
+    const parentId = String(parent._id);
+    const storedChildren = overlay.users.has(parentId)
+      ? 0
+      : await ReferralTracking.countDocuments({ referrer: parent._id });
+    const position =
+      storedChildren + (overlay.children.get(parentId) || []).length + 1;
+    const ancestors = await referralTreeService.getChildAncestry(parent);
+
+    // Never saved: the member only exists in the overlay
+    const newUser = new User({
+      name: `Simulated member ${sequence}`,
+      mobileNumber,
+      referralCode,
+      parentReferralCode: parent.referralCode,
+      ancestors,
+      depth: ancestors.length,
+      validTill: new Date(at.getTime() + 35 * 24 * 60 * 60 * 1000),
+      status: "active",
+      createdAt: at,
+    });
+    overlay.users.set(String(newUser._id), newUser);
+    overlay.children.set(parentId, [
+      ...(overlay.children.get(parentId) || []),
+      newUser._id,
+    ]);
+
+    const upline = await referralTreeService.getUpline(
+      newUser,
+      Math.min(settings.levelIncomePolicy.maxDepth, structure.maxDepth),
+      null,
+      overlay
+    );
+    const distribution =
+      await commissionDistributionService.buildRegistrationDistribution({
+        newUser,
+        sponsor,
+        pinDetails: { packageId: packageDetails._id },
+        at,
+        context: {
+          packageDetails,
+          plan,
+          policy: settings.levelIncomePolicy,
+          cashbackPolicy: settings.cashbackPolicy,
+          upline,
+          directReferralCounts: await this.countDirectReferrals(
+            upline,
+            at,
+            overlay
+          ),
+        },
+      });
+
+    const recipientIds = [
+      ...distribution.credits.map((credit) => credit.userId),
+      ...distribution.skips.map((skip) => skip.ancestor),
+    ];
+    const recipients = await User.find(
+      {
+        _id: {
+          $in: recipientIds.filter((id) => !overlay.users.has(String(id))),
+        },
+      },
+      "name referralCode"
+    );
+    const byId = new Map(recipients.map((user) => [String(user._id), user]));
+    const describe = (userId) => {
+      const user =
+        byId.get(String(userId)) || overlay.users.get(String(userId));
+      return {
+        referralCode: user ? user.referralCode : null,
+        name: user ? user.name : null,
+      };
+    };
+
+    const credits = distribution.credits
+      .filter((credit) => credit.amount > 0)
+      .map((credit) => ({
+        userId: credit.userId,
+        ...describe(credit.userId),
+        account: credit.account,
+        kind: credit.kind,
+        level: credit.level,
+        amount: walletService.roundAmount(credit.amount),
+        description: credit.description,
+      }));
+    if (distribution.cashback) {
+      credits.push({
+        userId: newUser._id,
+        referralCode,
+        name: newUser.name,
+        account: WALLET_ACCOUNTS.CASHBACK_BALANCE,
+        kind: "cashback",
+        amount: distribution.cashback.amount,
+        instalments: distribution.cashback.instalments.length,
+        description: `Cashback on ${packageDetails.productName}`,
+      });
+    }
+    const skips = distribution.skips.map((skip) => ({
+      ...skip,
+      ...describe(skip.ancestor),
+    }));
+
+    return {
+      referralCode,
+      sponsor: {
+        referralCode: sponsor.referralCode,
+        name: sponsor.name,
+      },
+      placement: {
+        parentReferralCode: parent.referralCode,
+        parentName: parent.name,
+        position,
+        spillover: String(parent._id) !== String(sponsor._id),
+      },
+      package: {
+        id: packageDetails._id,
+        productName: packageDetails.productName,
+      },
+      commissionPlan: {
+        id: distribution.plan._id,
+        version: distribution.plan.version,
+      },
+      packagePrice: Number(packageDetails.productPrice) || 0,
+      credits,
+      skips,
+      totalPaid: walletService.roundAmount(
+        credits.reduce((total, credit) => total + credit.amount, 0)
+      ),
+      retainedByCompany: walletService.roundAmount(
+        skips
+          .filter((skip) => !skip.rolledUpTo)
+          .reduce((total, skip) => total + skip.amount, 0)
+      ),
+    };
+  }
+}
+
+module.exports = new CommissionSimulationService();
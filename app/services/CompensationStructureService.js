@@ -0,0 +1,226 @@
+const { PinManagement, ReferralTracking } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const CompensationStructure = require("../models/CompensationStructureModel");
+const {
+  LEVEL_THRESHOLD_MODES,
+  DEFAULT_COMPENSATION_STRUCTURE,
+} = require("../../constants/placementConstant");
+const {
+  getSingleton,
+  findSingleton,
+} = require("../../utils/singletonDocument");
+
+/**
+ * CompensationStructureService
+ * Holds the matrix width, depth and level thresholds that placement and
+ * level calculation both read. Members fall under the structure of the
+ * package they registered with, or the default one when it has none.
+ */
+class CompensationStructureService {
+  /**
+   * Compensation structure of a package, or the default one, created from
+   * the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {string} packageId - Optional registration package.
+   * @returns {Object} The structure document.
+   */
+  async getStructure(session, packageId) {
+    const own =
+      packageId &&
+      (await CompensationStructure.findOne({ packageId }).session(
+        session || null
+      ));
+    return (
+      own ||
+      getSingleton(
+        CompensationStructure,
+        DEFAULT_COMPENSATION_STRUCTURE,
+        session,
+        { packageId: null }
+      )
+    );
+  }
+
+  /**
+   * Same as getStructure, but never writes: a default structure not yet
+   * stored comes back unsaved. For read-only callers such as dry runs.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {string} packageId - Optional registration package.
+   * @returns {Object} The structure document.
+   */
+  async findStructure(session, packageId) {
+    const own =
+      packageId &&
+      (await CompensationStructure.findOne({ packageId }).session(
+        session || null
+      ));
+    return (
+      own ||
+      findSingleton(
+        CompensationStructure,
+        DEFAULT_COMPENSATION_STRUCTURE,
+        session,
+        { packageId: null }
+      )
+    );
+  }
+
+  /**
+   * Structures packages have of their own.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Map} Structure by package id.
+   */
+  async getPackageStructures(session) {
+    const structures = await CompensationStructure.find({
+      packageId: { $ne: null },
+    }).session(session || null);
+    return new Map(
+      structures.map((structure) => [String(structure.packageId), structure])
+    );
+  }
+
+  /**
+   * Package a member registered with, from their registration pin.
+   * @param {Object} member - User document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {ObjectId|null} Null for members without a registration pin.
+   */
+  async getRegistrationPackageId(member, session) {
+    if (!member.registrationPin) {
+      return null;
+    }
+    const pin = await PinManagement.findById(
+      member.registrationPin,
+      "packageId"
+    ).session(session || null);
+    return pin ? pin.packageId : null;
+  }
+
+  /**
+   * Structure a member falls under, from the package they registered with.
+   * @param {Object} member - User document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The structure document.
+   */
+  async getMemberStructure(member, session) {
+    return this.getStructure(
+      session,
+      await this.getRegistrationPackageId(member, session)
+    );
+  }
+
+  /**
+   * Referrals needed for each level above 1, highest level first.
+   * @param {Object} structure - Compensation structure.
+   * @returns {Array} [{ level, count }]
+   */
+  getLevelThresholds(structure) {
+    if (structure.levelThresholdMode === LEVEL_THRESHOLD_MODES.CUSTOM) {
+      return structure.levelThresholds
+        .map(({ level, count }) => ({ level, count }))
+        .filter(({ level }) => level <= structure.maxDepth)
+        .sort((a, b) => b.level - a.level);
+    }
+
+    const thresholds = [];
+    for (let level = structure.maxDepth; level >= 2; level--) {
+      thresholds.push({ level, count: structure.matrixWidth ** level });
+    }
+    return thresholds;
+  }
+
+  /**
+   * Why a structure cannot be saved, if it cannot.
+   * @param {Object} structure - Structure fields after the change.
+   * @returns {string|null} The problem, or null when valid.
+   */
+  async getValidationError(structure) {
+    if (structure.levelThresholdMode === LEVEL_THRESHOLD_MODES.CUSTOM) {
+      const thresholds = [...structure.levelThresholds].sort(
+        (a, b) => a.level - b.level
+      );
+      const expectedLevels = structure.maxDepth - 1;
+      if (
+        thresholds.length !== expectedLevels ||
+        thresholds.some(({ level }, index) => level !== index + 2)
+      ) {
+        return `Custom thresholds must list every level from 2 to ${structure.maxDepth} once`;
+      }
+      if (
+        thresholds.some(
+          ({ count }, index) =>
+            index > 0 && count <= thresholds[index - 1].count
+        )
+      ) {
+        return "Each level must need more referrals than the level below it";
+      }
+    }
+
+    // A package's own structure only decides where its new members go;
+    // members already placed must still fit the default one
+    if (structure.packageId) {
+      return null;
+    }
+    const [widest] = await ReferralTracking.aggregate([
+      { $group: { _id: "$referrer", children: { $sum: 1 } } },
+      { $sort: { children: -1 } },
+      { $limit: 1 },
+    ]);
+    if (widest && widest.children > structure.matrixWidth) {
+      return `A member already has ${widest.children} children, more than a width of ${structure.matrixWidth} allows`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Save admin changes to the default structure or to a package's own. A
+   * package without one starts from the default structure.
+   * @param {Object} changes - Validated structure fields.
+   * @param {string} adminId - Admin making the change.
+   * @param {string} packageId - Optional package the structure is for.
+   * @returns {Object} { structure } or { error } when the result is invalid.
+   */
+  async updateStructure(changes, adminId, packageId) {
+    let structure = await this.getStructure();
+    if (packageId) {
+      if (!(await PackageModel.exists({ _id: packageId }))) {
+        return { error: "Package not found" };
+      }
+      structure =
+        (await CompensationStructure.findOne({ packageId })) ||
+        new CompensationStructure({
+          packageId,
+          matrixWidth: structure.matrixWidth,
+          maxDepth: structure.maxDepth,
+          levelThresholdMode: structure.levelThresholdMode,
+          levelThresholds: structure.levelThresholds,
+        });
+    }
+    structure.set({ ...changes, updatedBy: adminId });
+
+    const error = await this.getValidationError(structure);
+    if (error) {
+      return { error };
+    }
+
+    return { structure: await structure.save() };
+  }
+
+  /**
+   * Remove a package's own structure; its members fall back to the default.
+   * @param {string} packageId - Package.
+   * @returns {Object} { structure } as removed, or { error } when it has none.
+   */
+  async removeStructure(packageId) {
+    const structure = await CompensationStructure.findOneAndDelete({
+      packageId,
+    });
+    if (!structure) {
+      return { error: "The package has no structure of its own" };
+    }
+    return { structure };
+  }
+}
+
+module.exports = new CompensationStructureService();
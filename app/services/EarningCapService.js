@@ -0,0 +1,347 @@
+const mongoose = require("mongoose");
+const { User, PinManagement } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const EarningCapPolicy = require("../models/EarningCapPolicyModel");
+const EarningCapFlush = require("../models/EarningCapFlushModel");
+const PackageUpgrade = require("../models/PackageUpgradeModel");
+const logger = require("../../utils/logger");
+const { getZonedParts, zonedMidnight } = require("../../utils/dateUtil");
+const {
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+} = require("../../constants/walletConstant");
+const {
+  CAPPED_ACCOUNTS,
+  CAP_PERIODS,
+  DEFAULT_EARNING_CAP_POLICY,
+} = require("../../constants/earningCapConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+// Same rounding as WalletService, which depends on this service
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * EarningCapService
+ * Limits how much income a member can receive per day and per month,
+ * based on the highest package they hold. Income above a cap is recorded
+ * as flushed to the company instead of being credited.
+ */
+class EarningCapService {
+  /**
+   * Current earning cap policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(EarningCapPolicy, DEFAULT_EARNING_CAP_POLICY, session);
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      EarningCapPolicy,
+      DEFAULT_EARNING_CAP_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Package a member held at a time while their validity lasts: the latest
+   * upgrade made by then, else the registration package.
+   * @param {string} userId - Member.
+   * @param {Date} at - Time to judge validity and the package at.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object|null} Package document, or null without an active package.
+   */
+  async getActivePackage(userId, at, session) {
+    const user = await User.findById(
+      userId,
+      "registrationPin currentPackage validTill status"
+    ).session(session || null);
+    if (
+      !user ||
+      user.status !== "active" ||
+      !(user.validTill && user.validTill > at)
+    ) {
+      return null;
+    }
+
+    const upgrade = await PackageUpgrade.findOne({
+      user: user._id,
+      createdAt: { $lte: at },
+    })
+      .sort({ createdAt: -1 })
+      .session(session || null);
+    let packageId = upgrade ? upgrade.toPackage : null;
+    if (!packageId && user.registrationPin) {
+      const pin = await PinManagement.findById(
+        user.registrationPin,
+        "packageId"
+      ).session(session || null);
+      packageId = pin ? pin.packageId : null;
+    }
+    packageId = packageId || user.currentPackage;
+
+    return packageId
+      ? PackageModel.findById(packageId).session(session || null)
+      : null;
+  }
+
+  // Caps for a package, falling back to the defaults when it has none of its own
+  getCaps(policy, packageDetails) {
+    const packageCap =
+      packageDetails &&
+      policy.packageCaps.find(
+        (cap) => String(cap.packageId) === String(packageDetails._id)
+      );
+
+    return packageCap
+      ? {
+          packageId: packageDetails._id,
+          dailyCap: packageCap.dailyCap,
+          monthlyCap: packageCap.monthlyCap,
+        }
+      : {
+          packageId: null,
+          dailyCap: policy.defaultDailyCap,
+          monthlyCap: policy.defaultMonthlyCap,
+        };
+  }
+
+  // Day and month containing a time, as [start, end) in the policy's zone
+  getPeriods(at, timezone) {
+    const { year, month, day } = getZonedParts(at, timezone);
+    return {
+      [CAP_PERIODS.DAILY]: {
+        start: zonedMidnight(year, month, day, timezone),
+        end: zonedMidnight(year, month, day + 1, timezone),
+      },
+      [CAP_PERIODS.MONTHLY]: {
+        start: zonedMidnight(year, month, 1, timezone),
+        end: zonedMidnight(year, month + 1, 1, timezone),
+      },
+    };
+  }
+
+  // Capped income credited to a member for what they earned in a period,
+  // less what has since been reversed, e.g. by a refund. Income paid by a
+  // payout cycle counts towards the day it was earned.
+  async getEarnedIn(userId, { start, end }, session) {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const capped = (prefix) => ({
+      [`${prefix}account`]: { $in: CAPPED_ACCOUNTS },
+      [`${prefix}entryType`]: ENTRY_TYPES.CREDIT,
+      [`${prefix}sourceType`]: { $ne: LEDGER_SOURCE_TYPES.ADJUSTMENT },
+      $expr: {
+        $and: [
+          {
+            $gte: [
+              { $ifNull: [`$${prefix}earnedAt`, `$${prefix}createdAt`] },
+              start,
+            ],
+          },
+          {
+            $lt: [
+              { $ifNull: [`$${prefix}earnedAt`, `$${prefix}createdAt`] },
+              end,
+            ],
+          },
+        ],
+      },
+    });
+
+    const [credited] = await WalletTransaction.aggregate([
+      { $match: { user, reversalOf: null, ...capped("") } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session || null);
+
+    // Reversals count against the period of the credit they cancel
+    const [reversed] = await WalletTransaction.aggregate([
+      {
+        $match: {
+          user,
+          entryType: ENTRY_TYPES.DEBIT,
+          reversalOf: { $ne: null },
+        },
+      },
+      {
+        $lookup: {
+          from: WalletTransaction.collection.name,
+          localField: "reversalOf",
+          foreignField: "_id",
+          as: "original",
+        },
+      },
+      { $unwind: "$original" },
+      { $match: capped("original.") },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session || null);
+
+    return roundAmount(
+      Math.max(
+        (credited ? credited.total : 0) - (reversed ? reversed.total : 0),
+        0
+      )
+    );
+  }
+
+  /**
+   * A member's caps and how much of them is used.
+   * @param {string} userId - Member.
+   * @param {Object} options - { at, policy, extraEarned: { daily, monthly } not yet in the ledger }
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} { enabled, package, dailyCap, monthlyCap, earnedToday, earnedThisMonth, remainingToday, remainingThisMonth }
+   */
+  async getStatus(
+    userId,
+    { at = new Date(), policy, extraEarned = {} } = {},
+    session
+  ) {
+    const capPolicy = policy || (await this.getPolicy(session));
+    const packageDetails = await this.getActivePackage(userId, at, session);
+    const { dailyCap, monthlyCap } = this.getCaps(capPolicy, packageDetails);
+    const periods = this.getPeriods(at, capPolicy.timezone);
+
+    const [earnedToday, earnedThisMonth] = await Promise.all(
+      [CAP_PERIODS.DAILY, CAP_PERIODS.MONTHLY].map(async (period) =>
+        roundAmount(
+          (await this.getEarnedIn(userId, periods[period], session)) +
+            (extraEarned[period] || 0)
+        )
+      )
+    );
+    const remaining = (cap, earned) =>
+      cap === null || cap === undefined
+        ? null
+        : roundAmount(Math.max(cap - earned, 0));
+
+    return {
+      enabled: capPolicy.enabled,
+      package: packageDetails
+        ? {
+            id: packageDetails._id,
+            productName: packageDetails.productName,
+            productPrice: packageDetails.productPrice,
+          }
+        : null,
+      dailyCap,
+      monthlyCap,
+      earnedToday,
+      earnedThisMonth,
+      remainingToday: remaining(dailyCap, earnedToday),
+      remainingThisMonth: remaining(monthlyCap, earnedThisMonth),
+    };
+  }
+
+  /**
+   * Work out how much of an income credit is within the member's caps,
+   * without writing anything. Income is judged against the day and month it
+   * was earned in (entry.earnedAt, else now).
+   * @param {Object} entry - Credit entry as passed to WalletService.credit.
+   * @param {Object} options - { policy, extraEarned } as for getStatus.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} { amount, allowed, flushed, binding, status }
+   */
+  async checkCap(entry, { policy, extraEarned } = {}, session) {
+    const amount = roundAmount(entry.amount);
+    const uncapped = { amount, allowed: amount, flushed: 0, binding: null };
+    if (
+      !(amount > 0) ||
+      !CAPPED_ACCOUNTS.includes(entry.account) ||
+      entry.reversalOf ||
+      entry.sourceType === LEDGER_SOURCE_TYPES.ADJUSTMENT
+    ) {
+      return uncapped;
+    }
+
+    const capPolicy = policy || (await this.getPolicy(session));
+    if (!capPolicy.enabled) {
+      return uncapped;
+    }
+
+    const status = await this.getStatus(
+      entry.userId,
+      { at: entry.earnedAt || new Date(), policy: capPolicy, extraEarned },
+      session
+    );
+    const limits = [
+      {
+        period: CAP_PERIODS.DAILY,
+        cap: status.dailyCap,
+        remaining: status.remainingToday,
+      },
+      {
+        period: CAP_PERIODS.MONTHLY,
+        cap: status.monthlyCap,
+        remaining: status.remainingThisMonth,
+      },
+    ].filter((limit) => limit.remaining !== null);
+    if (limits.length === 0) {
+      return { ...uncapped, status };
+    }
+
+    const binding = limits.reduce((lowest, limit) =>
+      limit.remaining < lowest.remaining ? limit : lowest
+    );
+    const allowed = roundAmount(Math.min(amount, binding.remaining));
+    const flushed = roundAmount(amount - allowed);
+    if (flushed <= 0) {
+      return { ...uncapped, status };
+    }
+
+    return { amount, allowed, flushed, binding, status };
+  }
+
+  /**
+   * Part of an income credit a member may still receive. Whatever is above
+   * their cap is recorded as flushed in the caller's session.
+   * @param {Object} entry - Credit entry as passed to WalletService.credit.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {number} Amount to credit.
+   */
+  async applyCap(entry, session) {
+    const { amount, allowed, flushed, binding, status } = await this.checkCap(
+      entry,
+      {},
+      session
+    );
+    if (flushed <= 0) {
+      return amount;
+    }
+
+    await EarningCapFlush.create(
+      [
+        {
+          user: entry.userId,
+          account: entry.account,
+          amount: flushed,
+          requestedAmount: amount,
+          period: binding.period,
+          cap: binding.cap,
+          packageId: status.package ? status.package.id : null,
+          sourceType: entry.sourceType,
+          sourceId: entry.sourceId,
+          description: entry.description,
+        },
+      ],
+      { session }
+    );
+
+    logger.info(
+      `Flushed ${flushed} of ${amount} ${entry.account} for user ${entry.userId}: ${binding.period} cap of ${binding.cap} reached`
+    );
+    return allowed;
+  }
+}
+
+module.exports = new EarningCapService();
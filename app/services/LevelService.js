@@ -0,0 +1,54 @@
+const { User, ReferralTracking } = require("../models/DataBaseModel");
+const compensationStructureService = require("./CompensationStructureService");
+const logger = require("../../utils/logger");
+
+/**
+ * LevelService
+ * Works out a member's level from the number of referrals they have,
+ * using the thresholds of the compensation structure of the package they
+ * registered with.
+ */
+class LevelService {
+  // Level for a referral count under a compensation structure
+  getLevelForCount(totalCount, structure) {
+    const threshold = compensationStructureService
+      .getLevelThresholds(structure)
+      .find(({ count }) => totalCount >= count);
+    return threshold ? threshold.level : 1; // Default level
+  }
+
+  /**
+   * Current level of a user.
+   * @param {string} userId - Member.
+   * @param {ClientSession} session - Optional Mongo session, so referrals
+   * added in the surrounding transaction are counted.
+   * @returns {number}
+   */
+  async calculateUserLevel(userId, session) {
+    // Fetch direct and indirect referrals in parallel for better performance
+    const [directReferrals, indirectReferrals] = await Promise.all([
+      ReferralTracking.countDocuments({ referrer: userId }).session(
+        session || null
+      ),
+      ReferralTracking.countDocuments({
+        referrer: { $ne: userId },
+        referred: userId,
+      }).session(session || null),
+    ]);
+
+    const totalCount = directReferrals + indirectReferrals;
+    logger.info(
+      `User ${userId} has ${directReferrals} direct and ${indirectReferrals} indirect referrals (${totalCount} total)`
+    );
+
+    const user = await User.findById(userId, "registrationPin").session(
+      session || null
+    );
+    const structure = user
+      ? await compensationStructureService.getMemberStructure(user, session)
+      : await compensationStructureService.getStructure(session);
+    return this.getLevelForCount(totalCount, structure);
+  }
+}
+
+module.exports = new LevelService();
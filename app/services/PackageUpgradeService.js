@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const { User, PinManagement } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const PackageUpgrade = require("../models/PackageUpgradeModel");
+const walletService = require("./WalletService");
+const renewalService = require("./RenewalService");
+const commissionDistributionService = require("./CommissionDistributionService");
+const logger = require("../../utils/logger");
+
+/**
+ * PackageUpgradeService
+ * Moves an existing member to a higher package with an unused pin, paying
+ * the upline only the difference between the two packages' income.
+ */
+class PackageUpgradeService {
+  /**
+   * Package a member holds now: the one recorded on them, else the package
+   * of their registration pin for members registered before it was recorded.
+   * @param {Object} member - User document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object|null} Package document.
+   */
+  async getCurrentPackage(member, session) {
+    let packageId = member.currentPackage;
+    if (!packageId && member.registrationPin) {
+      const pin = await PinManagement.findById(
+        member.registrationPin,
+        "packageId"
+      ).session(session || null);
+      packageId = pin ? pin.packageId : null;
+    }
+
+    return packageId
+      ? PackageModel.findById(packageId).session(session || null)
+      : null;
+  }
+
+  /**
+   * A member's package history, oldest first: the registration package
+   * followed by every upgrade.
+   * @param {Object} member - User document.
+   * @returns {Array} [{ type, packageId, productName, productPrice, pin, at }]
+   */
+  async getHistory(member) {
+    const upgrades = await PackageUpgrade.find({ user: member._id }).sort({
+      createdAt: 1,
+    });
+    const registrationPin = member.registrationPin
+      ? await PinManagement.findById(member.registrationPin, "packageId")
+      : null;
+    const registrationPackage = registrationPin
+      ? await PackageModel.findById(registrationPin.packageId)
+      : null;
+
+    const history = upgrades.map((upgrade) => ({
+      type: "upgrade",
+      packageId: upgrade.toPackage,
+      productName: upgrade.toProductName,
+      productPrice: upgrade.toPrice,
+      pin: upgrade.pin,
+      at: upgrade.createdAt,
+    }));
+    if (registrationPackage) {
+      history.unshift({
+        type: "registration",
+        packageId: registrationPackage._id,
+        productName: registrationPackage.productName,
+        productPrice: Number(registrationPackage.productPrice),
+        pin: registrationPin._id,
+        at: member.createdAt,
+      });
+    }
+    return history;
+  }
+
+  /**
+   * Apply a higher-package pin to a member: mark it used, switch the
+   * member's package and pay the differential income. Validity is left as
+   * it is.
+   * @param {Object} params - { member, requester, pinCode }
+   * @returns {Object} { upgrade } or { error } when the pin cannot be used.
+   */
+  async upgrade({ member, requester, pinCode }) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        const current = await User.findById(member._id).session(session);
+        const fromPackage = await this.getCurrentPackage(current, session);
+        if (!fromPackage) {
+          result = { error: "The member has no package to upgrade from" };
+          return;
+        }
+
+        // Check the pin's package before using the pin up
+        const usablePin = await PinManagement.findOne(
+          renewalService.getUsablePinQuery(pinCode, requester)
+        ).session(session);
+        if (!usablePin) {
+          result = { error: "Invalid or used pin" };
+          return;
+        }
+        const toPackage = await PackageModel.findById(
+          usablePin.packageId
+        ).session(session);
+        if (!toPackage) {
+          throw new Error("Package of the pin not found");
+        }
+        if (
+          Number(toPackage.productPrice) <= Number(fromPackage.productPrice)
+        ) {
+          result = {
+            error: `The pin's package must be priced above the current package ${fromPackage.productName}`,
+          };
+          return;
+        }
+
+        const pinDetails = await renewalService.claimPin(
+          pinCode,
+          requester,
+          session
+        );
+        if (!pinDetails) {
+          result = { error: "Invalid or used pin" };
+          return;
+        }
+
+        await User.updateOne(
+          { _id: current._id },
+          { $set: { currentPackage: toPackage._id } },
+          { session }
+        );
+
+        const [upgrade] = await PackageUpgrade.create(
+          [
+            {
+              user: current._id,
+              upgradedBy: requester._id,
+              pin: pinDetails._id,
+              fromPackage: fromPackage._id,
+              fromProductName: fromPackage.productName,
+              fromPrice: Number(fromPackage.productPrice),
+              toPackage: toPackage._id,
+              toProductName: toPackage.productName,
+              toPrice: Number(toPackage.productPrice),
+              createdAt: new Date(),
+            },
+          ],
+          { session }
+        );
+
+        const { plan, previousPlan, credits } =
+          await commissionDistributionService.distributeUpgrade(
+            {
+              member: current,
+              sponsor: await renewalService.getSponsor(current, session),
+              pinDetails,
+              fromPackage,
+              toPackage,
+              upgrade,
+            },
+            session
+          );
+
+        upgrade.set({
+          commissionPlan: plan._id,
+          commissionPlanVersion: plan.version,
+          previousCommissionPlan: previousPlan._id,
+          previousCommissionPlanVersion: previousPlan.version,
+          differentialIncome: walletService.roundAmount(
+            credits.reduce((sum, credit) => sum + credit.amount, 0)
+          ),
+        });
+        await upgrade.save({ session });
+
+        result = { upgrade };
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (result.upgrade) {
+      logger.info(
+        `Member ${member._id} upgraded by ${requester._id} from ${result.upgrade.fromProductName} to ${result.upgrade.toProductName}; differential income ${result.upgrade.differentialIncome}`
+      );
+    }
+    return result;
+  }
+}
+
+module.exports = new PackageUpgradeService();
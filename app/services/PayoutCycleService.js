@@ -0,0 +1,456 @@
+const mongoose = require("mongoose");
+const { User } = require("../models/DataBaseModel");
+const PayoutCycle = require("../models/PayoutCycleModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const walletService = require("./WalletService");
+const pendingCommissionService = require("./PendingCommissionService");
+const earningCapService = require("./EarningCapService");
+const logger = require("../../utils/logger");
+const { getZonedParts, zonedMidnight } = require("../../utils/dateUtil");
+const {
+  PAYOUT_CYCLE_FREQUENCIES,
+  INELIGIBLE_INCOME_ACTIONS,
+  HOLD_REASONS,
+  PENDING_COMMISSION_STATUSES,
+  PAYOUT_CYCLE_STATUSES,
+  PAYOUT_CYCLE_TRIGGERS,
+  STALE_CLOSING_MS,
+} = require("../../constants/payoutCycleConstant");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Zero totals of a closing or of one member in it
+const emptyTotals = () => ({
+  commissions: 0,
+  grossAmount: 0,
+  releasedAmount: 0,
+  flushedAmount: 0,
+  heldAmount: 0,
+  forfeitedAmount: 0,
+});
+
+/**
+ * PayoutCycleService
+ * Closes payout cycles: pending income earned before a cut-off is checked
+ * against the eligibility rules and earning caps, then credited to the
+ * members' wallets, carried forward or forfeited.
+ */
+class PayoutCycleService {
+  /**
+   * Scheduled closings either side of a time.
+   * @param {Object} policy - Payout cycle policy.
+   * @param {Date} now - Reference time.
+   * @returns {Object} { previous, next } closing times.
+   */
+  getClosingTimes(policy, now = new Date()) {
+    const { timezone, closingHour, closingWeekday } = policy;
+    const { year, month, day, weekday } = getZonedParts(now, timezone);
+    const step = policy.frequency === PAYOUT_CYCLE_FREQUENCIES.WEEKLY ? 7 : 1;
+    const closingOn = (offset) =>
+      new Date(
+        zonedMidnight(year, month, day + offset, timezone).getTime() +
+          closingHour * HOUR_MS
+      );
+
+    let offset = step === 7 ? -((weekday - closingWeekday + 7) % 7) : 0;
+    if (closingOn(offset) > now) {
+      offset -= step;
+    }
+
+    return { previous: closingOn(offset), next: closingOn(offset + step) };
+  }
+
+  // Why a member's income cannot be released at a closing, if it cannot
+  getHoldReason(user, policy, at) {
+    if (policy.requireActive && (!user || user.status !== "active")) {
+      return HOLD_REASONS.INACTIVE;
+    }
+    if (
+      policy.requireValidity &&
+      !(user && user.validTill && user.validTill > at)
+    ) {
+      return HOLD_REASONS.VALIDITY_EXPIRED;
+    }
+    return null;
+  }
+
+  // Pending commissions of a member that a closing up to periodEnd covers
+  findDuePending(userId, periodEnd, session) {
+    return PendingCommission.find({
+      user: userId,
+      status: PENDING_COMMISSION_STATUSES.PENDING,
+      earnedAt: { $lt: periodEnd },
+    })
+      .sort({ earnedAt: 1, _id: 1 })
+      .session(session || null);
+  }
+
+  // Members with pending commissions earned before periodEnd
+  findDueMembers(periodEnd) {
+    return PendingCommission.distinct("user", {
+      status: PENDING_COMMISSION_STATUSES.PENDING,
+      earnedAt: { $lt: periodEnd },
+    });
+  }
+
+  // Wallet credit entry that releases a pending commission
+  toCreditEntry(pending) {
+    return {
+      userId: pending.user,
+      account: pending.account,
+      amount: pending.amount,
+      sourceType: pending.sourceType,
+      sourceId: pending.sourceId,
+      contraAccount: pending.contraAccount,
+      counterparty: pending.counterparty,
+      pin: pending.pin,
+      commissionPlan: pending.commissionPlan
+        ? {
+            _id: pending.commissionPlan,
+            version: pending.commissionPlanVersion,
+          }
+        : undefined,
+      description: pending.description,
+      earnedAt: pending.earnedAt,
+      pendingCommission: pending._id,
+    };
+  }
+
+  // Add one commission's outcome to a set of totals
+  addToTotals(totals, pending, outcome) {
+    totals.commissions += 1;
+    totals.grossAmount = walletService.roundAmount(
+      totals.grossAmount + pending.amount
+    );
+    Object.entries(outcome).forEach(([field, amount]) => {
+      totals[field] = walletService.roundAmount(totals[field] + amount);
+    });
+  }
+
+  /**
+   * Work out what a closing up to periodEnd would do, without writing
+   * anything. Caps are projected in the order the income was earned.
+   * @param {Date} periodEnd - Cut-off; defaults to now.
+   * @returns {Object} { periodStart, periodEnd, totals, members }
+   */
+  async previewClosing(periodEnd = new Date()) {
+    const policy = await pendingCommissionService.getPolicy();
+    const capPolicy = await earningCapService.getPolicy();
+    const lastCycle = await PayoutCycle.findOne({
+      periodEnd: { $lt: periodEnd },
+    }).sort({ periodEnd: -1 });
+
+    const totals = { members: 0, ...emptyTotals() };
+    const members = [];
+
+    for (const userId of await this.findDueMembers(periodEnd)) {
+      const user = await User.findById(userId, "status validTill");
+      const holdReason = this.getHoldReason(user, policy, periodEnd);
+      const memberTotals = { user: userId, ...emptyTotals(), holdReason };
+      // Income this preview already released, per cap period
+      const projected = new Map();
+
+      for (const pending of await this.findDuePending(userId, periodEnd)) {
+        let outcome;
+        if (holdReason) {
+          outcome =
+            policy.ineligibleIncomeAction === INELIGIBLE_INCOME_ACTIONS.FORFEIT
+              ? { forfeitedAmount: pending.amount }
+              : { heldAmount: pending.amount };
+        } else {
+          const periods = earningCapService.getPeriods(
+            pending.earnedAt,
+            capPolicy.timezone
+          );
+          const periodKey = (period) =>
+            `${period}:${periods[period].start.getTime()}`;
+          const extraEarned = {};
+          Object.keys(periods).forEach((period) => {
+            extraEarned[period] = projected.get(periodKey(period)) || 0;
+          });
+
+          const { allowed, flushed } = await earningCapService.checkCap(
+            this.toCreditEntry(pending),
+            { policy: capPolicy, extraEarned }
+          );
+          Object.keys(periods).forEach((period) => {
+            projected.set(
+              periodKey(period),
+              walletService.roundAmount(extraEarned[period] + allowed)
+            );
+          });
+          outcome = { releasedAmount: allowed, flushedAmount: flushed };
+        }
+
+        this.addToTotals(memberTotals, pending, outcome);
+        this.addToTotals(totals, pending, outcome);
+      }
+
+      members.push(memberTotals);
+    }
+
+    totals.members = members.length;
+    return {
+      periodStart: lastCycle ? lastCycle.periodEnd : null,
+      periodEnd,
+      totals,
+      members,
+    };
+  }
+
+  /**
+   * Release, hold or forfeit one member's pending commissions for a closing.
+   * @param {Object} cycle - Payout cycle being closed.
+   * @param {string} userId - Member.
+   * @param {Object} policy - Payout cycle policy.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   */
+  async closeMember(cycle, userId, policy, session) {
+    const user = await User.findById(userId, "status validTill").session(
+      session
+    );
+    const holdReason = this.getHoldReason(user, policy, cycle.periodEnd);
+    const forfeit =
+      policy.ineligibleIncomeAction === INELIGIBLE_INCOME_ACTIONS.FORFEIT;
+
+    for (const pending of await this.findDuePending(
+      userId,
+      cycle.periodEnd,
+      session
+    )) {
+      pending.payoutCycle = cycle._id;
+
+      if (holdReason) {
+        pending.holdReason = holdReason;
+        if (forfeit) {
+          pending.status = PENDING_COMMISSION_STATUSES.FORFEITED;
+          pending.settledAt = new Date();
+        }
+        await pending.save({ session });
+        continue;
+      }
+
+      const entry = await walletService.credit(
+        this.toCreditEntry(pending),
+        session
+      );
+      const releasedAmount = entry ? entry.amount : 0;
+
+      pending.set({
+        status: PENDING_COMMISSION_STATUSES.RELEASED,
+        holdReason: null,
+        releasedAmount,
+        flushedAmount: walletService.roundAmount(
+          pending.amount - releasedAmount
+        ),
+        ledgerEntry: entry ? entry._id : undefined,
+        settledAt: new Date(),
+      });
+      await pending.save({ session });
+    }
+  }
+
+  // Recompute a closing's totals from the commissions it handled
+  async summarizeCycle(cycle) {
+    const rows = await PendingCommission.aggregate([
+      { $match: { payoutCycle: cycle._id } },
+      {
+        $group: {
+          _id: "$user",
+          commissions: { $sum: 1 },
+          grossAmount: { $sum: "$amount" },
+          releasedAmount: { $sum: "$releasedAmount" },
+          flushedAmount: { $sum: "$flushedAmount" },
+          heldAmount: {
+            $sum: {
+              $cond: [
+                { $eq: ["$status", PENDING_COMMISSION_STATUSES.PENDING] },
+                "$amount",
+                0,
+              ],
+            },
+          },
+          forfeitedAmount: {
+            $sum: {
+              $cond: [
+                { $eq: ["$status", PENDING_COMMISSION_STATUSES.FORFEITED] },
+                "$amount",
+                0,
+              ],
+            },
+          },
+          holdReason: { $max: "$holdReason" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const totals = { members: rows.length, ...emptyTotals() };
+    const members = rows.map(({ _id, holdReason, ...amounts }) => {
+      Object.keys(emptyTotals()).forEach((field) => {
+        amounts[field] = walletService.roundAmount(amounts[field]);
+        totals[field] = walletService.roundAmount(
+          totals[field] + amounts[field]
+        );
+      });
+      return { user: _id, ...amounts, holdReason: holdReason || undefined };
+    });
+
+    return { totals, members };
+  }
+
+  /**
+   * Work through every member with pending commissions due at a closing,
+   * one transaction per member, then record the totals.
+   * @param {Object} cycle - Payout cycle marked running.
+   * @returns {Object} The finished payout cycle.
+   */
+  async runClosing(cycle) {
+    const policy = await pendingCommissionService.getPolicy();
+    const failures = [];
+
+    for (const userId of await this.findDueMembers(cycle.periodEnd)) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() =>
+          this.closeMember(cycle, userId, policy, session)
+        );
+      } catch (error) {
+        logger.error(
+          `Closing payout cycle ${cycle._id} for user ${userId} failed: ${error.message}`
+        );
+        failures.push({ user: userId, error: error.message });
+      } finally {
+        session.endSession();
+      }
+    }
+
+    const { totals, members } = await this.summarizeCycle(cycle);
+    cycle.set({
+      totals,
+      members,
+      failures,
+      status:
+        failures.length > 0
+          ? PAYOUT_CYCLE_STATUSES.FAILED
+          : PAYOUT_CYCLE_STATUSES.COMPLETED,
+      completedAt: new Date(),
+    });
+    await cycle.save();
+
+    logger.info(
+      `Payout cycle ${cycle._id} up to ${cycle.periodEnd.toISOString()} ${
+        cycle.status
+      }: released ${totals.releasedAmount}, flushed ${
+        totals.flushedAmount
+      }, held ${totals.heldAmount}, forfeited ${totals.forfeitedAmount} for ${
+        totals.members
+      } members`
+    );
+    return cycle;
+  }
+
+  /**
+   * Open a new closing up to a cut-off and run it.
+   * @param {Date} periodEnd - Commissions earned before this are covered.
+   * @param {Object} options - { trigger, adminId }
+   * @returns {Object} { cycle } or { error } when the cut-off is already closed.
+   */
+  async closeCycle(
+    periodEnd,
+    { trigger = PAYOUT_CYCLE_TRIGGERS.MANUAL, adminId } = {}
+  ) {
+    const lastCycle = await PayoutCycle.findOne().sort({ periodEnd: -1 });
+    if (lastCycle && lastCycle.periodEnd >= periodEnd) {
+      return {
+        error: `A closing up to ${lastCycle.periodEnd.toISOString()} already exists; re-run it instead`,
+      };
+    }
+
+    let cycle;
+    try {
+      cycle = await PayoutCycle.create({
+        periodStart: lastCycle ? lastCycle.periodEnd : null,
+        periodEnd,
+        trigger,
+        triggeredBy: adminId,
+        startedAt: new Date(),
+      });
+    } catch (error) {
+      // Another closing for the same cut-off started first
+      if (error.code === 11000) {
+        return { error: "This closing is already running" };
+      }
+      throw error;
+    }
+
+    return { cycle: await this.runClosing(cycle) };
+  }
+
+  /**
+   * Run a closing again, e.g. after it failed for some members or once held
+   * members become eligible. Totals are recomputed, not added twice.
+   * @param {string} cycleId - Payout cycle.
+   * @param {string} adminId - Admin asking for the re-run.
+   * @returns {Object} { cycle } or { error }.
+   */
+  async rerunCycle(cycleId, adminId) {
+    const cycle = await PayoutCycle.findOneAndUpdate(
+      {
+        _id: cycleId,
+        $or: [
+          { status: { $ne: PAYOUT_CYCLE_STATUSES.RUNNING } },
+          { startedAt: { $lt: new Date(Date.now() - STALE_CLOSING_MS) } },
+        ],
+      },
+      {
+        $set: {
+          status: PAYOUT_CYCLE_STATUSES.RUNNING,
+          startedAt: new Date(),
+          triggeredBy: adminId,
+        },
+        $inc: { runs: 1 },
+      },
+      { new: true }
+    );
+    if (!cycle) {
+      return (await PayoutCycle.exists({ _id: cycleId }))
+        ? { error: "This closing is already running" }
+        : { error: "Payout cycle not found" };
+    }
+
+    return { cycle: await this.runClosing(cycle) };
+  }
+
+  /**
+   * Close the latest scheduled cycle if it has not been closed yet. Meant to
+   * run often, e.g. hourly from cron; the policy decides when closings fall.
+   * @param {Date} now - Reference time.
+   * @returns {Object|null} The closed cycle, or null when none was due.
+   */
+  async closeDueCycle(now = new Date()) {
+    const policy = await pendingCommissionService.getPolicy();
+    const { previous } = this.getClosingTimes(policy, now);
+
+    const lastCycle = await PayoutCycle.findOne().sort({ periodEnd: -1 });
+    if (lastCycle && lastCycle.periodEnd >= previous) {
+      return null;
+    }
+    // Keep releasing what was pending when cycles were switched off
+    if (
+      !policy.enabled &&
+      !(await PendingCommission.exists({
+        status: PENDING_COMMISSION_STATUSES.PENDING,
+      }))
+    ) {
+      return null;
+    }
+
+    const { cycle } = await this.closeCycle(previous, {
+      trigger: PAYOUT_CYCLE_TRIGGERS.SCHEDULED,
+    });
+    return cycle || null;
+  }
+}
+
+module.exports = new PayoutCycleService();
@@ -0,0 +1,179 @@
+const PayoutFileLayout = require("../models/PayoutFileLayoutModel");
+const { toCsv } = require("../../utils/csvWriter");
+const { getZonedParts } = require("../../utils/dateUtil");
+const { PAYOUT_FILE_LAYOUTS } = require("../../constants/payoutConstant");
+
+/**
+ * PayoutFileService
+ * Turns approved withdrawal requests into a bank bulk-upload file in one of
+ * the layouts admins have saved, or a built-in one from
+ * constants/payoutConstant.js.
+ */
+class PayoutFileService {
+  // Built-in layout by name, or null
+  getBuiltInLayout(layoutName) {
+    return Object.prototype.hasOwnProperty.call(PAYOUT_FILE_LAYOUTS, layoutName)
+      ? { name: layoutName, ...PAYOUT_FILE_LAYOUTS[layoutName] }
+      : null;
+  }
+
+  /**
+   * Layout an export can use: one saved by an admin, else a built-in one.
+   * @param {string} layoutName - Name of the layout.
+   * @returns {Object|null} The layout, or null when there is none by that name.
+   */
+  async getLayout(layoutName) {
+    return (
+      (await PayoutFileLayout.findOne({ name: layoutName })) ||
+      this.getBuiltInLayout(layoutName)
+    );
+  }
+
+  /**
+   * Every layout an export can use, by name.
+   * @returns {Array} Saved layouts and the built-in ones not replaced by them.
+   */
+  async getLayouts() {
+    const saved = await PayoutFileLayout.find({}).sort({ name: 1 });
+    const savedNames = new Set(saved.map((layout) => layout.name));
+    const builtIn = Object.keys(PAYOUT_FILE_LAYOUTS)
+      .filter((name) => !savedNames.has(name))
+      .map((name) => ({ ...this.getBuiltInLayout(name), builtIn: true }));
+
+    return [...saved.map((layout) => layout.toObject()), ...builtIn].sort(
+      (a, b) => a.name.localeCompare(b.name)
+    );
+  }
+
+  /**
+   * Create or replace a layout. Batches already exported keep their file.
+   * @param {string} name - Name of the layout.
+   * @param {Object} fields - Validated { format, extension, columns }.
+   * @param {string} adminId - Admin saving it.
+   * @returns {Object} The saved layout.
+   */
+  async saveLayout(name, fields, adminId) {
+    return PayoutFileLayout.findOneAndUpdate(
+      { name },
+      { $set: { ...fields, name, updatedBy: adminId } },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+
+  // Value date as YYYYMMDD in Indian time
+  formatValueDate(date) {
+    const { year, month, day } = getZonedParts(date, "Asia/Kolkata");
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${year}${pad(month + 1)}${pad(day)}`;
+  }
+
+  /**
+   * One payout row per withdrawal request.
+   * @param {Array} requests - Withdrawal requests with `user` populated.
+   * @param {Map} bankDetailsByUser - User id string to BankDetails document.
+   * @param {Object} options - { paymentMode, batchId, valueDate }
+   * @returns {Array} Payout rows keyed by layout field.
+   */
+  buildRows(requests, bankDetailsByUser, { paymentMode, batchId, valueDate }) {
+    const debitAccount = process.env.PAYOUT_DEBIT_ACCOUNT || "";
+
+    return requests.map((request, index) => {
+      const bankDetails = bankDetailsByUser.get(String(request.user._id));
+      if (!bankDetails) {
+        throw new Error(`Bank details not found for request ${request._id}`);
+      }
+
+      return {
+        serialNumber: index + 1,
+        paymentMode,
+        beneficiaryName: bankDetails.accountHolderName,
+        accountNumber: bankDetails.accountNumber,
+        ifscCode: (bankDetails.ifscCode || "").toUpperCase(),
+        bankName: bankDetails.bankName || "",
+        amount: request.netAmount.toFixed(2),
+        debitAccount,
+        valueDate: this.formatValueDate(valueDate),
+        reference: String(request._id),
+        narration: `${batchId} ${request.user.referralCode || ""}`.trim(),
+      };
+    });
+  }
+
+  // Value of a row in a fixed-width column, before padding
+  getFixedWidthText(value) {
+    return String(value === null || value === undefined ? "" : value).replace(
+      /[\r\n]/g,
+      " "
+    );
+  }
+
+  /**
+   * Why a payout row cannot be written in a layout, if it cannot. A value
+   * cut to fit its column could pay the wrong account or name, so values
+   * longer than their column are refused.
+   * @param {Object} layout - Layout from getLayout.
+   * @param {Object} row - Row from buildRows.
+   * @returns {string|null} The problem, or null when the row fits.
+   */
+  getRowError(layout, row) {
+    if (layout.format !== "fixed") {
+      return null;
+    }
+
+    const column = layout.columns.find(
+      ({ field, width }) => this.getFixedWidthText(row[field]).length > width
+    );
+    return column
+      ? `${column.field} is longer than the ${column.width} characters the ${layout.name} layout allows`
+      : null;
+  }
+
+  // Pad a value to a fixed-width column
+  toFixedWidthValue(value, column) {
+    const text = this.getFixedWidthText(value);
+    if (text.length > column.width) {
+      throw new Error(
+        `${column.field} is longer than its ${column.width} character column`
+      );
+    }
+    return column.align === "right"
+      ? text.padStart(column.width, " ")
+      : text.padEnd(column.width, " ");
+  }
+
+  /**
+   * Render payout rows in a layout.
+   * @param {Object} layout - Layout from getLayout.
+   * @param {Array} rows - Rows from buildRows.
+   * @returns {Object} { content, extension, contentType }
+   */
+  buildFile(layout, rows) {
+    if (layout.format === "csv") {
+      return {
+        content: toCsv(
+          layout.columns.map((column) => ({
+            header: column.header,
+            key: column.field,
+          })),
+          rows
+        ),
+        extension: layout.extension,
+        contentType: "text/csv",
+      };
+    }
+
+    const lines = rows.map((row) =>
+      layout.columns
+        .map((column) => this.toFixedWidthValue(row[column.field], column))
+        .join("")
+    );
+
+    return {
+      content: lines.join("\r\n"),
+      extension: layout.extension,
+      contentType: "text/plain",
+    };
+  }
+}
+
+module.exports = new PayoutFileService();
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+const PayoutCyclePolicy = require("../models/PayoutCyclePolicyModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const logger = require("../../utils/logger");
+const { LEDGER_SOURCE_TYPES } = require("../../constants/walletConstant");
+const {
+  DEFERRED_ACCOUNTS,
+  PENDING_COMMISSION_STATUSES,
+  DEFAULT_PAYOUT_CYCLE_POLICY,
+} = require("../../constants/payoutCycleConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+// Same rounding as WalletService, which depends on this service
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * PendingCommissionService
+ * Holds back income credits while payout cycles are enabled, so they only
+ * reach the wallet when a closing releases them.
+ */
+class PendingCommissionService {
+  /**
+   * Current payout cycle policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(
+      PayoutCyclePolicy,
+      DEFAULT_PAYOUT_CYCLE_POLICY,
+      session
+    );
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      PayoutCyclePolicy,
+      DEFAULT_PAYOUT_CYCLE_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Record an income credit as pending when payout cycles are enabled.
+   * @param {Object} entry - Credit entry as passed to WalletService.credit.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object|null} The pending commission, or null if the credit should be posted now.
+   */
+  async defer(entry, session) {
+    const amount = roundAmount(entry.amount);
+    if (
+      !(amount > 0) ||
+      !DEFERRED_ACCOUNTS.includes(entry.account) ||
+      entry.reversalOf ||
+      entry.sourceType === LEDGER_SOURCE_TYPES.ADJUSTMENT
+    ) {
+      return null;
+    }
+
+    const policy = await this.getPolicy(session);
+    if (!policy.enabled) {
+      return null;
+    }
+
+    const [pending] = await PendingCommission.create(
+      [
+        {
+          user: entry.userId,
+          account: entry.account,
+          contraAccount: entry.contraAccount,
+          amount,
+          sourceType: entry.sourceType,
+          sourceId: entry.sourceId,
+          pin: entry.pin,
+          counterparty: entry.counterparty,
+          commissionPlan: entry.commissionPlan
+            ? entry.commissionPlan._id
+            : undefined,
+          commissionPlanVersion: entry.commissionPlan
+            ? entry.commissionPlan.version
+            : undefined,
+          description: entry.description,
+          earnedAt: entry.earnedAt || new Date(),
+        },
+      ],
+      { session }
+    );
+
+    logger.info(
+      `Deferred ${amount} ${entry.account} for user ${entry.userId} to the next payout cycle (${entry.sourceType} ${entry.sourceId})`
+    );
+    return pending;
+  }
+
+  /**
+   * Income a member has earned that no closing has released yet.
+   * @param {string} userId - Member.
+   * @returns {Object} { total, byAccount: { [account]: amount } }
+   */
+  async getPendingTotals(userId) {
+    const rows = await PendingCommission.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          status: PENDING_COMMISSION_STATUSES.PENDING,
+        },
+      },
+      { $group: { _id: "$account", total: { $sum: "$amount" } } },
+    ]);
+
+    const byAccount = {};
+    rows.forEach((row) => {
+      byAccount[row._id] = roundAmount(row.total);
+    });
+    return {
+      total: roundAmount(rows.reduce((sum, row) => sum + row.total, 0)),
+      byAccount,
+    };
+  }
+}
+
+module.exports = new PendingCommissionService();
@@ -0,0 +1,322 @@
+const mongoose = require("mongoose");
+const { User, PinManagement } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const Rank = require("../models/RankModel");
+const RankAchievement = require("../models/RankAchievementModel");
+const PackageUpgrade = require("../models/PackageUpgradeModel");
+const walletService = require("./WalletService");
+const referralTreeService = require("./ReferralTreeService");
+const logger = require("../../utils/logger");
+const {
+  WALLET_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+
+/**
+ * RankService
+ * Measures a member against the admin-defined ranks and promotes them,
+ * paying each rank's one-time bonus.
+ */
+class RankService {
+  // Price of each package, keyed by package id
+  async getPackagePrices(packageIds) {
+    const packages = await PackageModel.find(
+      { _id: { $in: [...new Set(packageIds.map(String))] } },
+      "productPrice"
+    );
+    return new Map(
+      packages.map((item) => [String(item._id), Number(item.productPrice) || 0])
+    );
+  }
+
+  // Package price of each registration pin, keyed by pin id
+  async getPinPrices(pinIds) {
+    if (pinIds.length === 0) {
+      return new Map();
+    }
+
+    const pins = await PinManagement.find(
+      { _id: { $in: pinIds } },
+      "packageId"
+    );
+    const prices = await this.getPackagePrices(
+      pins.map((pin) => pin.packageId)
+    );
+
+    return new Map(
+      pins.map((pin) => [String(pin._id), prices.get(pin.packageId) || 0])
+    );
+  }
+
+  /**
+   * Figures a member is ranked on. Team totals are added up in the
+   * database rather than by loading the team.
+   * @param {Object} user - User document.
+   * @param {Date} now - Time to judge validity at.
+   * @returns {Object} { activeDirects, teamSize, teamBusinessVolume, personalPackagePrice }
+   */
+  async getMetrics(user, now = new Date()) {
+    // Members registered before sponsors were recorded count under their parent
+    const activeDirects = await User.countDocuments({
+      $or: [
+        { sponsorReferralCode: user.referralCode },
+        { sponsorReferralCode: null, parentReferralCode: user.referralCode },
+      ],
+      status: "active",
+      validTill: { $gt: now },
+    });
+
+    const teamSize = await referralTreeService.getTeamSize(user._id);
+    const team = await referralTreeService.getTeamFilter(user);
+    const teamPins = await User.aggregate([
+      { $match: { ...team, registrationPin: { $ne: null } } },
+      {
+        $lookup: {
+          from: PinManagement.collection.name,
+          localField: "registrationPin",
+          foreignField: "_id",
+          as: "pin",
+        },
+      },
+      { $unwind: "$pin" },
+      // A refunded registration is no longer business
+      { $match: { "pin.status": { $ne: "refunded" } } },
+      { $group: { _id: "$pin.packageId", pins: { $sum: 1 } } },
+    ]);
+    const prices = await this.getPackagePrices(teamPins.map((row) => row._id));
+
+    // An upgrade adds the step up to the business of the package it replaces,
+    // so each member counts once at the package they hold now
+    const [upgrades] = await User.aggregate([
+      { $match: team },
+      {
+        $lookup: {
+          from: PackageUpgrade.collection.name,
+          localField: "_id",
+          foreignField: "user",
+          as: "upgrade",
+        },
+      },
+      { $unwind: "$upgrade" },
+      {
+        $group: {
+          _id: null,
+          total: {
+            $sum: { $subtract: ["$upgrade.toPrice", "$upgrade.fromPrice"] },
+          },
+        },
+      },
+    ]);
+    const latestUpgrade = await PackageUpgrade.findOne(
+      { user: user._id },
+      "toPrice"
+    ).sort({ createdAt: -1 });
+    const ownPinPrice = user.registrationPin
+      ? (await this.getPinPrices([user.registrationPin])).get(
+          String(user.registrationPin)
+        ) || 0
+      : 0;
+
+    return {
+      activeDirects,
+      teamSize,
+      teamBusinessVolume: walletService.roundAmount(
+        teamPins.reduce(
+          (total, row) => total + row.pins * (prices.get(String(row._id)) || 0),
+          upgrades ? upgrades.total : 0
+        )
+      ),
+      personalPackagePrice: latestUpgrade ? latestUpgrade.toPrice : ownPinPrice,
+    };
+  }
+
+  // Whether the figures meet every criterion of a rank
+  qualifies(rank, metrics) {
+    const { criteria } = rank;
+    return (
+      metrics.activeDirects >= criteria.minActiveDirects &&
+      metrics.teamSize >= criteria.minTeamSize &&
+      metrics.teamBusinessVolume >= criteria.minTeamBusinessVolume &&
+      metrics.personalPackagePrice >= criteria.minPersonalPackagePrice
+    );
+  }
+
+  // Order of the rank a member holds; 0 when they have none
+  getCurrentOrder(user) {
+    return user.currentRank ? user.rank : 0;
+  }
+
+  /**
+   * Record a promotion, move the member to the rank and pay its bonus.
+   * @param {Object} user - User document.
+   * @param {Object} rank - Rank reached.
+   * @param {Object} metrics - Figures that qualified the member.
+   * @returns {Object|null} The achievement, or null if it was already recorded.
+   */
+  async promote(user, rank, metrics) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const achievedAt = new Date();
+      const [achievement] = await RankAchievement.create(
+        [
+          {
+            user: user._id,
+            rank: rank._id,
+            rankName: rank.name,
+            rankOrder: rank.order,
+            achievedAt,
+            bonusAmount: rank.bonusAmount,
+            metrics,
+          },
+        ],
+        { session }
+      );
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            currentRank: rank._id,
+            rank: rank.order,
+            rankAchievedAt: achievedAt,
+          },
+        },
+        { session }
+      );
+
+      await walletService.credit(
+        {
+          userId: user._id,
+          account: WALLET_ACCOUNTS.REWARD_INCOME,
+          amount: rank.bonusAmount,
+          sourceType: LEDGER_SOURCE_TYPES.RANK_BONUS,
+          sourceId: achievement._id,
+          contraAccount: CONTRA_ACCOUNTS.REWARD_EXPENSE,
+          description: `Rank bonus for achieving ${rank.name}`,
+        },
+        session
+      );
+
+      await session.commitTransaction();
+
+      logger.info(
+        `User ${user._id} promoted to rank ${rank.name} (${rank.order}) with bonus ${rank.bonusAmount}`
+      );
+      return achievement;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      // Another evaluation already recorded this rank
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Promote a member to every active rank above their current one that
+   * they now qualify for, lowest first.
+   * @param {string} userId - Member.
+   * @returns {Array} The new achievements.
+   */
+  async evaluateUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return [];
+    }
+
+    const ranks = await Rank.find({
+      isActive: true,
+      order: { $gt: this.getCurrentOrder(user) },
+    }).sort({ order: 1 });
+    if (ranks.length === 0) {
+      return [];
+    }
+
+    const metrics = await this.getMetrics(user);
+    const achievements = [];
+    for (const rank of ranks) {
+      if (!this.qualifies(rank, metrics)) {
+        continue;
+      }
+      const achievement = await this.promote(user, rank, metrics);
+      if (achievement) {
+        achievements.push(achievement);
+      }
+    }
+
+    return achievements;
+  }
+
+  /**
+   * Mark a member's upline for rank evaluation by the evaluateRanks job.
+   * Registrations and upgrades only mark; evaluating a deep upline is left
+   * out of the request.
+   * @param {Object} member - Member whose team figures changed.
+   * @param {Object} options - { includeMember }: mark the member as well.
+   * @returns {number} Number of members marked.
+   */
+  async queueUpline(member, { includeMember = false } = {}) {
+    const upline = await referralTreeService.getUpline(member, Infinity);
+    const userIds = upline.map((ancestor) => ancestor._id);
+    if (includeMember) {
+      userIds.push(member._id);
+    }
+
+    const result = await User.updateMany(
+      { _id: { $in: userIds } },
+      { $set: { rankEvaluationDue: true } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Evaluate every member marked for rank evaluation. Each mark is cleared
+   * before the member is evaluated, so a change meanwhile marks them again.
+   * @returns {Object} { evaluated, promotions, failed }
+   */
+  async evaluateQueued() {
+    let evaluated = 0;
+    let promotions = 0;
+    const failed = [];
+
+    for (;;) {
+      const user = await User.findOneAndUpdate(
+        { rankEvaluationDue: true, _id: { $nin: failed } },
+        { $set: { rankEvaluationDue: false } },
+        { projection: { _id: 1 } }
+      );
+      if (!user) {
+        break;
+      }
+
+      try {
+        promotions += (await this.evaluateUser(user._id)).length;
+        evaluated += 1;
+      } catch (error) {
+        logger.error(`Rank evaluation of ${user._id} failed: ${error.message}`);
+        failed.push(user._id);
+      }
+    }
+
+    // Left marked for the next run
+    if (failed.length > 0) {
+      await User.updateMany(
+        { _id: { $in: failed } },
+        { $set: { rankEvaluationDue: true } }
+      );
+    }
+
+    return { evaluated, promotions, failed: failed.length };
+  }
+}
+
+module.exports = new RankService();
@@ -0,0 +1,629 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const {
+  User,
+  Wallet,
+  PinManagement,
+  ReferralTracking,
+} = require("../models/DataBaseModel");
+const WithdrawalRequest = require("../models/WithdrwalModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const RebuildReport = require("../models/RebuildReportModel");
+const EarningCapFlush = require("../models/EarningCapFlushModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const Refund = require("../models/RefundModel");
+const LevelIncomeSkip = require("../models/LevelIncomeSkipModel");
+const walletService = require("./WalletService");
+const levelService = require("./LevelService");
+const compensationStructureService = require("./CompensationStructureService");
+const commissionDistributionService = require("./CommissionDistributionService");
+const logger = require("../../utils/logger");
+const {
+  WALLET_ACCOUNTS,
+  SPENDABLE_ACCOUNTS,
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  DEDUCTED_WITHDRAWAL_STATUSES,
+} = require("../../constants/withdrawalConstant");
+const {
+  PENDING_COMMISSION_STATUSES,
+} = require("../../constants/payoutCycleConstant");
+const {
+  REBUILD_REPORT_STATUSES,
+  PIN_MATCH_WINDOW_MS,
+} = require("../../constants/rebuildConstant");
+
+// Ledger sources recomputed by the replay instead of copied from the ledger
+const RECOMPUTED_SOURCE_TYPES = [
+  LEDGER_SOURCE_TYPES.REGISTRATION,
+  LEDGER_SOURCE_TYPES.WITHDRAWAL,
+  LEDGER_SOURCE_TYPES.ADJUSTMENT,
+];
+
+/**
+ * RebuildService
+ * Replays every registration and withdrawal in chronological order with the
+ * current income logic, compares the result with the stored wallets and
+ * levels, and applies the differences as adjustment entries on request.
+ * Level income eligibility is taken from what was recorded at the time.
+ */
+class RebuildService {
+  /**
+   * Work out the sponsor and pin of every registration. Newer users store
+   * both; older ones are recovered from their registration ledger entries or,
+   * failing that, from the used pin marked used closest to their sign-up.
+   * @param {Array} trackings - ReferralTracking documents, oldest first.
+   * @param {Map} usersById - User documents keyed by id.
+   * @param {Array} warnings - Collects registrations that could not be resolved.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Array} [{ user, sponsor, pin, at }]
+   */
+  async resolveRegistrations(trackings, usersById, warnings, session) {
+    const usersByCode = new Map(
+      [...usersById.values()].map((user) => [user.referralCode, user])
+    );
+    const pinsById = new Map(
+      (
+        await PinManagement.find({ status: "used" }).session(session || null)
+      ).map((pin) => [String(pin._id), pin])
+    );
+
+    const ledgerByUser = new Map();
+    const entries = await WalletTransaction.find({
+      sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+      reversalOf: null,
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session || null);
+    entries.forEach((entry) => {
+      const key = String(entry.sourceId);
+      if (!ledgerByUser.has(key)) {
+        ledgerByUser.set(key, []);
+      }
+      ledgerByUser.get(key).push(entry);
+    });
+
+    const claimedPins = new Set(
+      [...usersById.values()]
+        .filter((user) => user.registrationPin)
+        .map((user) => String(user.registrationPin))
+    );
+    entries.forEach((entry) => entry.pin && claimedPins.add(String(entry.pin)));
+
+    // Refunded registrations no longer earn anyone income
+    const refundedUsers = new Set(
+      (await Refund.distinct("user").session(session || null)).map((userId) =>
+        String(userId)
+      )
+    );
+
+    const registrations = [];
+    for (const tracking of trackings) {
+      const user = usersById.get(String(tracking.referred));
+      if (!user || refundedUsers.has(String(user._id))) {
+        continue;
+      }
+
+      const ledger = ledgerByUser.get(String(user._id)) || [];
+      const ledgerPin = ledger.find((entry) => entry.pin);
+      let pin =
+        pinsById.get(String(user.registrationPin)) ||
+        (ledgerPin && pinsById.get(String(ledgerPin.pin)));
+
+      if (!pin) {
+        pin = this.matchPinByTime(user, pinsById, claimedPins);
+      }
+
+      if (!pin) {
+        warnings.push(
+          `No pin found for registration of ${user.referralCode}; its income was not replayed`
+        );
+        continue;
+      }
+
+      // Sponsor income used to be credited before any level income
+      const sponsorEntry =
+        ledger.find(
+          (entry) => entry.account === WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME
+        ) || ledger[0];
+      const sponsor =
+        usersByCode.get(user.sponsorReferralCode) ||
+        (sponsorEntry && usersById.get(String(sponsorEntry.user))) ||
+        (pin.assignedTo && usersById.get(String(pin.assignedTo))) ||
+        usersById.get(String(tracking.referrer));
+
+      if (!user.sponsorReferralCode && !sponsorEntry && !pin.assignedTo) {
+        warnings.push(
+          `Sponsor of ${user.referralCode} unknown; the placement parent was used`
+        );
+      }
+
+      registrations.push({
+        user,
+        sponsor,
+        pin,
+        at: user.createdAt || tracking.createdAt,
+      });
+    }
+
+    return registrations;
+  }
+
+  /**
+   * Level income eligibility decided when each registration was paid: the
+   * ancestors who earned a level share, whether it reached the wallet or was
+   * held by a payout cycle or the earning cap, and those who were skipped.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Map} Per registered user id, a Map of ancestor id to the skip
+   * reason, or null when the ancestor was paid.
+   */
+  async loadRecordedEligibility(session) {
+    const recorded = new Map();
+    const record = (registeredUser, ancestor, reason) => {
+      const key = String(registeredUser);
+      if (!recorded.has(key)) {
+        recorded.set(key, new Map());
+      }
+      recorded.get(key).set(String(ancestor), reason);
+    };
+
+    const skips = await LevelIncomeSkip.find(
+      { renewal: null, upgrade: null },
+      "registeredUser ancestor reason"
+    ).session(session || null);
+    skips.forEach((skip) =>
+      record(skip.registeredUser, skip.ancestor, skip.reason)
+    );
+
+    const earned = {
+      sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+      account: WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+    };
+    const paid = [
+      ...(await WalletTransaction.find(
+        { ...earned, entryType: ENTRY_TYPES.CREDIT, reversalOf: null },
+        "user sourceId"
+      ).session(session || null)),
+      ...(await PendingCommission.find(earned, "user sourceId").session(
+        session || null
+      )),
+      ...(await EarningCapFlush.find(earned, "user sourceId").session(
+        session || null
+      )),
+    ];
+    paid.forEach((item) => record(item.sourceId, item.user, null));
+
+    return recorded;
+  }
+
+  // Unclaimed used pin marked used closest to a user's sign-up
+  matchPinByTime(user, pinsById, claimedPins) {
+    let best = null;
+    let bestGap = PIN_MATCH_WINDOW_MS;
+
+    pinsById.forEach((pin, id) => {
+      if (claimedPins.has(id)) {
+        return;
+      }
+      const gap = Math.abs((pin.usedAt || pin.updatedAt) - user.createdAt);
+      if (gap <= bestGap) {
+        best = pin;
+        bestGap = gap;
+      }
+    });
+
+    if (best) {
+      claimedPins.add(String(best._id));
+    }
+    return best;
+  }
+
+  // Take an amount from the spendable accounts the way debitIncome does
+  applyDebit(balances, amount) {
+    let remaining = walletService.roundAmount(amount);
+    for (const account of SPENDABLE_ACCOUNTS) {
+      const portion = Math.min(Math.max(balances[account] || 0, 0), remaining);
+      balances[account] = walletService.roundAmount(
+        (balances[account] || 0) - portion
+      );
+      remaining = walletService.roundAmount(remaining - portion);
+    }
+    // Whatever could not be covered shows up as a negative first account
+    if (remaining > 0) {
+      balances[SPENDABLE_ACCOUNTS[0]] -= remaining;
+    }
+  }
+
+  /**
+   * Replay the history and compare it with the stored values.
+   * @param {ClientSession} session - Optional Mongo session; inside a
+   * transaction everything is read from one snapshot.
+   * @returns {Object} { walletCorrections, levelCorrections, warnings, summary, fingerprint }
+   */
+  async computeCorrections(session) {
+    const warnings = [];
+    const users = await User.find(
+      {},
+      "name referralCode parentReferralCode sponsorReferralCode registrationPin status validTill userType level createdAt"
+    ).session(session || null);
+    const usersById = new Map(users.map((user) => [String(user._id), user]));
+    const trackings = await ReferralTracking.find()
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session || null);
+
+    const registrations = await this.resolveRegistrations(
+      trackings,
+      usersById,
+      warnings,
+      session
+    );
+
+    // Ancestors may have lapsed or been reactivated since, so their status
+    // today says nothing about whether they were eligible back then
+    const recorded = await this.loadRecordedEligibility(session);
+    const { requireActive, requireValidity } =
+      await commissionDistributionService.getPolicy(session);
+    const unverifiedUsers = new Set();
+
+    const events = [];
+    for (const registration of registrations) {
+      const pastReasons =
+        recorded.get(String(registration.user._id)) || new Map();
+      const distribution =
+        await commissionDistributionService.buildRegistrationDistribution(
+          {
+            newUser: registration.user,
+            sponsor: registration.sponsor,
+            pinDetails: registration.pin,
+            at: registration.at,
+            context: { pastReasons },
+          },
+          session
+        );
+
+      // A decision judged on today's status could move income between any
+      // of the registration's ancestors once shares roll up
+      const judged = [
+        ...distribution.credits
+          .filter(
+            (credit) =>
+              credit.account === WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME
+          )
+          .map((credit) => String(credit.userId)),
+        ...distribution.skips.map((skip) => String(skip.ancestor)),
+      ];
+      if (
+        (requireActive || requireValidity) &&
+        judged.some((ancestor) => !pastReasons.has(ancestor))
+      ) {
+        judged.forEach((ancestor) => unverifiedUsers.add(ancestor));
+      }
+
+      distribution.credits.forEach((credit) =>
+        events.push({
+          at: registration.at,
+          userId: String(credit.userId),
+          entryType: ENTRY_TYPES.CREDIT,
+          account: credit.account,
+          amount: credit.amount,
+        })
+      );
+    }
+
+    const withdrawals = await WithdrawalRequest.find({
+      status: { $in: DEDUCTED_WITHDRAWAL_STATUSES },
+    }).session(session || null);
+    withdrawals.forEach((request) =>
+      events.push({
+        at: request.approvalDate || request.createdAt,
+        userId: String(request.user),
+        entryType: ENTRY_TYPES.DEBIT,
+        amount: request.amountRequested,
+      })
+    );
+
+    // Transfers, pin purchases and the like are not income logic; keep them
+    const otherEntries = await WalletTransaction.find({
+      sourceType: { $nin: RECOMPUTED_SOURCE_TYPES },
+    }).session(session || null);
+    otherEntries.forEach((entry) =>
+      events.push({
+        at: entry.createdAt,
+        userId: String(entry.user),
+        entryType: entry.entryType,
+        account: entry.account,
+        amount: entry.amount,
+        exact: true,
+      })
+    );
+
+    // Income the earning cap kept from recomputed credits was never paid;
+    // refunded registrations are not replayed, so neither are their flushes
+    const refundedUsers = await Refund.distinct("user").session(
+      session || null
+    );
+    const flushes = await EarningCapFlush.find({
+      sourceType: { $in: RECOMPUTED_SOURCE_TYPES },
+      $nor: [
+        {
+          sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+          sourceId: { $in: refundedUsers },
+        },
+      ],
+    }).session(session || null);
+    flushes.forEach((flush) =>
+      events.push({
+        at: flush.createdAt,
+        userId: String(flush.user),
+        entryType: ENTRY_TYPES.DEBIT,
+        account: flush.account,
+        amount: flush.amount,
+        exact: true,
+      })
+    );
+
+    // Income still waiting for a payout cycle, or forfeited at one, is not in the wallet
+    const unreleased = await PendingCommission.find({
+      sourceType: { $in: RECOMPUTED_SOURCE_TYPES },
+      status: {
+        $in: [
+          PENDING_COMMISSION_STATUSES.PENDING,
+          PENDING_COMMISSION_STATUSES.FORFEITED,
+        ],
+      },
+    }).session(session || null);
+    unreleased.forEach((pending) =>
+      events.push({
+        at: pending.createdAt,
+        userId: String(pending.user),
+        entryType: ENTRY_TYPES.DEBIT,
+        account: pending.account,
+        amount: pending.amount,
+        exact: true,
+      })
+    );
+
+    events.sort((a, b) => a.at - b.at);
+
+    const expected = new Map();
+    events.forEach((event) => {
+      if (!expected.has(event.userId)) {
+        expected.set(event.userId, {});
+      }
+      const balances = expected.get(event.userId);
+
+      if (event.entryType === ENTRY_TYPES.CREDIT) {
+        balances[event.account] = walletService.roundAmount(
+          (balances[event.account] || 0) + event.amount
+        );
+      } else if (event.exact) {
+        balances[event.account] = walletService.roundAmount(
+          (balances[event.account] || 0) - event.amount
+        );
+      } else {
+        this.applyDebit(balances, event.amount);
+      }
+    });
+
+    const walletCorrections = [];
+    const wallets = await Wallet.find().session(session || null);
+    const walletUsers = new Set([
+      ...wallets.map((wallet) => String(wallet.user)),
+      ...expected.keys(),
+    ]);
+    const walletsByUser = new Map(
+      wallets.map((wallet) => [String(wallet.user), wallet])
+    );
+
+    [...walletUsers].sort().forEach((userId) => {
+      const wallet = walletsByUser.get(userId) || {};
+      const balances = expected.get(userId) || {};
+      const user = usersById.get(userId);
+      const referralCode = user ? user.referralCode : null;
+
+      const corrections = [];
+      SPENDABLE_ACCOUNTS.forEach((account) => {
+        const current = walletService.roundAmount(wallet[account] || 0);
+        const target = walletService.roundAmount(balances[account] || 0);
+        const difference = walletService.roundAmount(target - current);
+        if (difference !== 0) {
+          corrections.push({
+            user: userId,
+            referralCode,
+            account,
+            current,
+            expected: target,
+            difference,
+          });
+        }
+      });
+
+      if (corrections.length > 0 && unverifiedUsers.has(userId)) {
+        warnings.push(
+          `Level income eligibility of ${
+            referralCode || userId
+          } is not on record for every registration; their wallet was left out`
+        );
+        return;
+      }
+      walletCorrections.push(...corrections);
+    });
+
+    // Same count as LevelService.calculateUserLevel, from the loaded trackings
+    const referralCounts = new Map();
+    trackings.forEach((tracking) => {
+      const referrer = String(tracking.referrer);
+      const referred = String(tracking.referred);
+      referralCounts.set(referrer, (referralCounts.get(referrer) || 0) + 1);
+      if (referrer !== referred) {
+        referralCounts.set(referred, (referralCounts.get(referred) || 0) + 1);
+      }
+    });
+
+    // Each member is held to the structure of their registration package
+    const defaultStructure = await compensationStructureService.getStructure(
+      session
+    );
+    const packageStructures =
+      await compensationStructureService.getPackageStructures(session);
+    const registrationPackages = new Map(
+      registrations.map(({ user, pin }) => [
+        String(user._id),
+        String(pin.packageId),
+      ])
+    );
+    const levelCorrections = [];
+    [...usersById.keys()].sort().forEach((userId) => {
+      const user = usersById.get(userId);
+      const expectedLevel = levelService.getLevelForCount(
+        referralCounts.get(userId) || 0,
+        packageStructures.get(registrationPackages.get(userId)) ||
+          defaultStructure
+      );
+      if (user.level !== expectedLevel) {
+        levelCorrections.push({
+          user: userId,
+          referralCode: user.referralCode,
+          currentLevel: user.level,
+          expectedLevel,
+        });
+      }
+    });
+
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ walletCorrections, levelCorrections }))
+      .digest("hex");
+
+    return {
+      walletCorrections,
+      levelCorrections,
+      warnings,
+      fingerprint,
+      summary: {
+        registrationsReplayed: registrations.length,
+        withdrawalsReplayed: withdrawals.length,
+        otherEntriesReplayed: otherEntries.length,
+        usersChecked: usersById.size,
+      },
+    };
+  }
+
+  /**
+   * Replay the history and save the differences as a pending report.
+   * @param {Object} params - { triggeredFrom, createdBy }
+   * @returns {Object} The rebuild report.
+   */
+  async createReport({ triggeredFrom, createdBy }) {
+    const corrections = await this.computeCorrections();
+    const report = await RebuildReport.create({
+      ...corrections,
+      triggeredFrom,
+      createdBy,
+    });
+
+    logger.info(
+      `Rebuild report ${report._id} created with ${report.walletCorrections.length} wallet and ${report.levelCorrections.length} level corrections`
+    );
+    return report;
+  }
+
+  /**
+   * Apply a confirmed report. The history is replayed again in the same
+   * transaction first, and the report is refused if the data no longer
+   * gives the same corrections.
+   * @param {string} reportId - Pending report.
+   * @param {string} appliedBy - Admin confirming it, if any.
+   * @returns {Object} The applied report.
+   */
+  async applyReport(reportId, appliedBy) {
+    const session = await mongoose.startSession();
+    let report;
+    let stale;
+
+    try {
+      await session.withTransaction(async () => {
+        stale = false;
+
+        // Claiming the status first keeps two confirmations from applying twice
+        report = await RebuildReport.findOneAndUpdate(
+          { _id: reportId, status: REBUILD_REPORT_STATUSES.PENDING },
+          {
+            $set: {
+              status: REBUILD_REPORT_STATUSES.APPLIED,
+              appliedAt: new Date(),
+              appliedBy,
+            },
+          },
+          { new: true, session }
+        );
+        if (!report) {
+          return;
+        }
+
+        // Compared on the snapshot the corrections are applied to; a wallet
+        // changed by anyone else meanwhile makes the transaction retry
+        const { fingerprint } = await this.computeCorrections(session);
+        if (fingerprint !== report.fingerprint) {
+          stale = true;
+          report.set({
+            status: REBUILD_REPORT_STATUSES.STALE,
+            appliedAt: undefined,
+            appliedBy: undefined,
+          });
+          await report.save({ session });
+          return;
+        }
+
+        for (const correction of report.walletCorrections) {
+          const entry = {
+            userId: correction.user,
+            account: correction.account,
+            amount: Math.abs(correction.difference),
+            sourceType: LEDGER_SOURCE_TYPES.ADJUSTMENT,
+            sourceId: report._id,
+            contraAccount: CONTRA_ACCOUNTS.ADJUSTMENT,
+            description: `Rebuild correction ${report._id}: ${correction.current} to ${correction.expected}`,
+          };
+          if (correction.difference > 0) {
+            await walletService.credit(entry, session);
+          } else {
+            await walletService.debit(entry, session);
+          }
+        }
+
+        for (const correction of report.levelCorrections) {
+          await User.updateOne(
+            { _id: correction.user },
+            { $set: { level: correction.expectedLevel } },
+            { session }
+          );
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (!report) {
+      const existing = await RebuildReport.findById(reportId, "status");
+      throw new Error(
+        existing
+          ? `Rebuild report is already ${existing.status}`
+          : "Rebuild report not found"
+      );
+    }
+    if (stale) {
+      throw new Error(
+        "Wallets or referrals changed since the report was made. Create a new report."
+      );
+    }
+
+    logger.info(`Rebuild report ${report._id} applied`);
+    return report;
+  }
+}
+
+module.exports = new RebuildService();
@@ -0,0 +1,612 @@
+const { User, ReferralTracking } = require("../models/DataBaseModel");
+const PlacementPolicy = require("../models/PlacementPolicyModel");
+const logger = require("../../utils/logger");
+const compensationStructureService = require("./CompensationStructureService");
+const {
+  PLACEMENT_STRATEGIES,
+  DEFAULT_PLACEMENT_POLICY,
+} = require("../../constants/placementConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+// Fields of ancestors needed when paying level income
+const UPLINE_FIELDS =
+  "name referralCode parentReferralCode ancestors depth status validTill userType";
+
+// A dry run places members that are never stored in an overlay of
+// { users, children }: members by id, and each parent's new children in order
+const overlayUser = (overlay, id) => overlay && overlay.users.get(String(id));
+const overlayChildren = (overlay, id) =>
+  (overlay && overlay.children.get(String(id))) || [];
+
+/**
+ * ReferralTreeService
+ * Walks the referral tree, using each user's stored ancestry path where it
+ * has one, and places new members in the matrix.
+ */
+class ReferralTreeService {
+  // Set once no member is left without an ancestry path
+  ancestryComplete = false;
+
+  /**
+   * Current placement policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(PlacementPolicy, DEFAULT_PLACEMENT_POLICY, session);
+  }
+
+  /**
+   * Save admin changes to the placement policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      PlacementPolicy,
+      DEFAULT_PLACEMENT_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * First member with an open slot at or below a root, searching level by
+   * level and left to right by join date.
+   * @param {Object} root - User document to search from.
+   * @param {number} matrixWidth - Children a member can have.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {Object} overlay - Optional members placed in a dry run.
+   * @returns {Object|null} The member to place under.
+   */
+  async findOpenSlot(root, matrixWidth, session, overlay) {
+    const visited = new Set();
+    let frontier = [root._id];
+
+    while (frontier.length > 0) {
+      frontier.forEach((id) => visited.add(String(id)));
+
+      const placements = await ReferralTracking.find(
+        { referrer: { $in: frontier } },
+        "referrer referred"
+      )
+        .sort({ createdAt: 1, _id: 1 })
+        .session(session || null);
+
+      const children = new Map(frontier.map((id) => [String(id), []]));
+      placements.forEach((placement) =>
+        children.get(String(placement.referrer)).push(placement.referred)
+      );
+      frontier.forEach((id) =>
+        children.get(String(id)).push(...overlayChildren(overlay, id))
+      );
+
+      const open = frontier.find(
+        (id) => children.get(String(id)).length < matrixWidth
+      );
+      if (open) {
+        return (
+          overlayUser(overlay, open) ||
+          User.findById(open).session(session || null)
+        );
+      }
+
+      frontier = frontier
+        .flatMap((id) => children.get(String(id)))
+        .filter((id) => !visited.has(String(id)));
+    }
+
+    return null;
+  }
+
+  /**
+   * The sponsor's direct leg with the fewest members below it, earliest
+   * joined first on a tie.
+   * @param {Object} referrer - Sponsor's user document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {Object} overlay - Optional members placed in a dry run.
+   * @returns {Object|null} User document of the leg.
+   */
+  async getSmallestLeg(referrer, session, overlay) {
+    const legs = (
+      await ReferralTracking.find({ referrer: referrer._id }, "referred")
+        .sort({ createdAt: 1, _id: 1 })
+        .session(session || null)
+    ).map((leg) => leg.referred);
+    legs.push(...overlayChildren(overlay, referrer._id));
+
+    const placed = overlay ? [...overlay.users.values()] : [];
+    let smallest = null;
+    for (const leg of legs) {
+      const teamSize =
+        (await this.getTeamSize(leg, session)) +
+        placed.filter((user) =>
+          user.ancestors.some((id) => String(id) === String(leg))
+        ).length;
+      if (!smallest || teamSize < smallest.teamSize) {
+        smallest = { userId: leg, teamSize };
+      }
+    }
+
+    if (!smallest) {
+      return null;
+    }
+    return (
+      overlayUser(overlay, smallest.userId) ||
+      User.findById(smallest.userId).session(session || null)
+    );
+  }
+
+  /**
+   * Placement parent for a new member sponsored by a referrer, following
+   * the placement policy.
+   * @param {Object} referrer - Sponsor's user document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {Object} options - { leg, packageId, overlay, policy, structure }:
+   * leg is the referral code of the sponsor's direct member to place under,
+   * when the policy lets the sponsor choose, and packageId the registration
+   * package whose structure sets the width. A dry run passes its overlay and
+   * the placement policy and structure it has read.
+   * @returns {Object} The placement parent.
+   */
+  async getReferralParent(
+    referrer,
+    session,
+    { leg, packageId, overlay, policy, structure } = {}
+  ) {
+    const { strategy } = policy || (await this.getPolicy(session));
+    const { matrixWidth } =
+      structure ||
+      (await compensationStructureService.getStructure(session, packageId));
+    let root = referrer;
+
+    if (leg) {
+      if (strategy !== PLACEMENT_STRATEGIES.SPONSOR_LEG) {
+        throw new Error("Choosing a placement leg is not allowed");
+      }
+
+      root = await User.findOne({
+        referralCode: leg,
+        parentReferralCode: referrer.referralCode,
+      }).session(session || null);
+      if (!root) {
+        throw new Error("Placement leg must be a direct member of the sponsor");
+      }
+    } else if (strategy === PLACEMENT_STRATEGIES.SPONSOR_FIRST) {
+      const directs =
+        (await ReferralTracking.countDocuments({
+          referrer: referrer._id,
+        }).session(session || null)) +
+        overlayChildren(overlay, referrer._id).length;
+      if (directs >= matrixWidth) {
+        root =
+          (await this.getSmallestLeg(referrer, session, overlay)) || referrer;
+      }
+    }
+
+    const parent = await this.findOpenSlot(root, matrixWidth, session, overlay);
+    if (!parent) {
+      throw new Error("No open placement slot found below the sponsor");
+    }
+    return parent;
+  }
+
+  /**
+   * Take a slot under a placement parent. Writing to the parent makes any
+   * concurrent placement under them fail with a transient transaction
+   * error, so one of the two registrations retries and is placed again.
+   * @param {Object} parent - Placement parent.
+   * @param {ClientSession} session - Mongo session of the registration.
+   * @param {string} packageId - Registration package of the member placed.
+   */
+  async claimSlot(parent, session, packageId) {
+    await User.updateOne(
+      { _id: parent._id },
+      { $inc: { placementVersion: 1 } },
+      { session }
+    );
+
+    const { matrixWidth } = await compensationStructureService.getStructure(
+      session,
+      packageId
+    );
+    const children = await ReferralTracking.countDocuments({
+      referrer: parent._id,
+    }).session(session);
+    if (children >= matrixWidth) {
+      throw new Error("Placement slot is no longer open");
+    }
+  }
+
+  /**
+   * Whether a user's stored ancestry path can be trusted. Members registered
+   * before paths were kept have none until the backfill has run.
+   * @param {Object} user - User document.
+   * @returns {boolean}
+   */
+  hasAncestryPath(user) {
+    return (
+      !user.parentReferralCode ||
+      (Array.isArray(user.ancestors) && user.ancestors.length > 0)
+    );
+  }
+
+  /**
+   * Ancestry path for a new child of a parent, root first.
+   * @param {Object} parent - User document of the placement parent.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Array} Ids of the child's ancestors.
+   */
+  async getChildAncestry(parent, session) {
+    const parentPath = this.hasAncestryPath(parent)
+      ? parent.ancestors || []
+      : (await this.walkUpline(parent, Infinity, session))
+          .map((ancestor) => ancestor._id)
+          .reverse();
+
+    return [...parentPath, parent._id];
+  }
+
+  /**
+   * Whether every member has their ancestry path. Once the backfill has run
+   * it stays that way, as new members are stored with their path.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {boolean}
+   */
+  async isAncestryComplete(session) {
+    if (!this.ancestryComplete) {
+      this.ancestryComplete = !(await User.exists({
+        parentReferralCode: { $nin: [null, ""] },
+        "ancestors.0": { $exists: false },
+      }).session(session || null));
+    }
+    return this.ancestryComplete;
+  }
+
+  // Ids on each level below a user found by following parentReferralCode down
+  async walkDownline(user, session) {
+    const levels = [];
+    const visited = new Set([user.referralCode]);
+    let codes = [user.referralCode];
+
+    while (codes.length > 0) {
+      const members = (
+        await User.find(
+          { parentReferralCode: { $in: codes } },
+          "referralCode"
+        ).session(session || null)
+      ).filter((member) => !visited.has(member.referralCode));
+      if (members.length === 0) {
+        break;
+      }
+
+      members.forEach((member) => visited.add(member.referralCode));
+      levels.push(members.map((member) => member._id));
+      codes = members.map((member) => member.referralCode);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Query matching everyone below a user: by ancestry path, or by walking
+   * down the tree until the backfill has run.
+   * @param {Object} user - User document with referralCode.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} Filter on User.
+   */
+  async getTeamFilter(user, session) {
+    if (await this.isAncestryComplete(session)) {
+      return { ancestors: user._id };
+    }
+
+    return { _id: { $in: (await this.walkDownline(user, session)).flat() } };
+  }
+
+  /**
+   * Number of members anywhere below a user.
+   * @param {string} userId - Member.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {number}
+   */
+  async getTeamSize(userId, session) {
+    if (await this.isAncestryComplete(session)) {
+      return User.countDocuments({ ancestors: userId }).session(
+        session || null
+      );
+    }
+
+    const user = await User.findById(userId, "referralCode").session(
+      session || null
+    );
+    return user ? (await this.walkDownline(user, session)).flat().length : 0;
+  }
+
+  /**
+   * Number of members on each level below a user; level 1 is their children.
+   * @param {Object} user - User document with referralCode and depth.
+   * @returns {Array} [{ level, members }]
+   */
+  async getTeamByLevel(user) {
+    if (!(await this.isAncestryComplete())) {
+      return (await this.walkDownline(user)).map((ids, index) => ({
+        level: index + 1,
+        members: ids.length,
+      }));
+    }
+
+    const levels = await User.aggregate([
+      { $match: { ancestors: user._id } },
+      { $group: { _id: "$depth", members: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return levels.map(({ _id, members }) => ({
+      level: _id - (user.depth || 0),
+      members,
+    }));
+  }
+
+  /**
+   * Whether a user sits anywhere below an ancestor in the referral tree.
+   * @param {Object} user - User document with parentReferralCode and ancestors.
+   * @param {string} ancestorReferralCode - Referral code of the ancestor.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {boolean}
+   */
+  async isInDownline(user, ancestorReferralCode, session) {
+    if (this.hasAncestryPath(user)) {
+      return Boolean(
+        await User.exists({
+          _id: { $in: user.ancestors || [] },
+          referralCode: ancestorReferralCode,
+        }).session(session || null)
+      );
+    }
+
+    const upline = await this.walkUpline(user, Infinity, session);
+    return upline.some(
+      (ancestor) => ancestor.referralCode === ancestorReferralCode
+    );
+  }
+
+  /**
+   * Ancestors of a user, nearest first: the placement parent is level 1.
+   * @param {Object} user - User document with parentReferralCode and ancestors.
+   * @param {number} maxDepth - Number of levels to walk up.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @param {Object} overlay - Optional members placed in a dry run.
+   * @returns {Array} User documents of the upline.
+   */
+  async getUpline(user, maxDepth, session, overlay) {
+    if (!this.hasAncestryPath(user)) {
+      return this.walkUpline(user, maxDepth, session);
+    }
+
+    const ids = (user.ancestors || []).slice(-maxDepth).reverse();
+    const ancestors = await User.find(
+      { _id: { $in: ids } },
+      UPLINE_FIELDS
+    ).session(session || null);
+    const byId = new Map(
+      ancestors.map((ancestor) => [String(ancestor._id), ancestor])
+    );
+
+    const upline = [];
+    for (const id of ids) {
+      const ancestor = byId.get(String(id)) || overlayUser(overlay, id);
+      if (!ancestor) {
+        break;
+      }
+      upline.push(ancestor);
+    }
+    return upline;
+  }
+
+  // Upline found by following parentReferralCode one member at a time
+  async walkUpline(user, maxDepth, session) {
+    const upline = [];
+    const visited = new Set([user.referralCode]);
+    let parentCode = user.parentReferralCode;
+
+    while (parentCode && upline.length < maxDepth && !visited.has(parentCode)) {
+      visited.add(parentCode);
+
+      const parent = await User.findOne(
+        { referralCode: parentCode },
+        UPLINE_FIELDS
+      ).session(session || null);
+      if (!parent) {
+        break;
+      }
+
+      upline.push(parent);
+      parentCode = parent.parentReferralCode;
+    }
+
+    return upline;
+  }
+
+  /**
+   * Move a member, with everyone below them, under a new placement parent.
+   * Income already paid is not changed.
+   * @param {Object} user - User document of the member to move.
+   * @param {Object} newParent - User document of the new parent.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} { previousParentReferralCode, movedMembers }
+   */
+  async moveMember(user, newParent, session) {
+    if (!this.hasAncestryPath(user) || !this.hasAncestryPath(newParent)) {
+      throw new Error("Run the ancestry backfill before moving members");
+    }
+    if (
+      String(newParent._id) === String(user._id) ||
+      (newParent.ancestors || []).some((id) => String(id) === String(user._id))
+    ) {
+      throw new Error("A member cannot be moved below themselves");
+    }
+    if (newParent.referralCode === user.parentReferralCode) {
+      throw new Error("The member is already placed under this parent");
+    }
+
+    await this.claimSlot(
+      newParent,
+      session,
+      await compensationStructureService.getRegistrationPackageId(user, session)
+    );
+
+    const ancestors = await this.getChildAncestry(newParent, session);
+    const previousParentReferralCode = user.parentReferralCode;
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          parentReferralCode: newParent.referralCode,
+          ancestors,
+          depth: ancestors.length,
+        },
+      },
+      { session }
+    );
+    await ReferralTracking.updateOne(
+      { referred: user._id },
+      { $set: { referrer: newParent._id } },
+      { session }
+    );
+
+    // Swap the part of each descendant's path above the moved member
+    const result = await User.updateMany(
+      { ancestors: user._id },
+      [
+        {
+          $set: {
+            ancestors: {
+              $concatArrays: [
+                ancestors,
+                {
+                  $slice: [
+                    "$ancestors",
+                    { $indexOfArray: ["$ancestors", user._id] },
+                    { $size: "$ancestors" },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $set: { depth: { $size: "$ancestors" } } },
+      ],
+      { session }
+    );
+
+    return {
+      previousParentReferralCode,
+      movedMembers: result.modifiedCount + 1,
+    };
+  }
+
+  /**
+   * Store the ancestry path and depth of every member, walking down from
+   * the top of each tree one level at a time. Safe to run again.
+   * @param {number} batchSize - Parents handled per query.
+   * @returns {Object} { updated, unreached, maxDepth }
+   */
+  async backfillAncestry(batchSize = 1000) {
+    // Tops of trees: no parent, or a parent that does not exist
+    const roots = await User.aggregate([
+      {
+        $lookup: {
+          from: "users",
+          let: { parentCode: "$parentReferralCode" },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $ne: ["$$parentCode", null] },
+                    { $eq: ["$referralCode", "$$parentCode"] },
+                  ],
+                },
+              },
+            },
+            { $limit: 1 },
+            { $project: { _id: 1 } },
+          ],
+          as: "parent",
+        },
+      },
+      { $match: { parent: { $size: 0 } } },
+      { $project: { referralCode: 1 } },
+    ]);
+
+    let frontier = roots.map((root) => ({
+      _id: root._id,
+      referralCode: root.referralCode,
+      ancestors: [],
+    }));
+    let updated = 0;
+    let maxDepth = 0;
+
+    while (frontier.length > 0) {
+      const next = [];
+
+      for (let start = 0; start < frontier.length; start += batchSize) {
+        const batch = frontier.slice(start, start + batchSize);
+
+        await User.bulkWrite(
+          batch.map((member) => ({
+            updateOne: {
+              filter: { _id: member._id },
+              update: {
+                $set: {
+                  ancestors: member.ancestors,
+                  depth: member.ancestors.length,
+                },
+              },
+            },
+          }))
+        );
+        updated += batch.length;
+
+        const parents = new Map(
+          batch
+            .filter((member) => member.referralCode)
+            .map((member) => [member.referralCode, member])
+        );
+        const children = await User.find(
+          { parentReferralCode: { $in: [...parents.keys()] } },
+          "referralCode parentReferralCode"
+        ).lean();
+
+        children.forEach((child) => {
+          const parent = parents.get(child.parentReferralCode);
+          next.push({
+            _id: child._id,
+            referralCode: child.referralCode,
+            ancestors: [...parent.ancestors, parent._id],
+          });
+        });
+      }
+
+      if (next.length > 0) {
+        maxDepth = next[0].ancestors.length;
+      }
+      frontier = next;
+    }
+
+    // Members in a parent loop are never reached from a top
+    const unreached = (await User.countDocuments()) - updated;
+    logger.info(
+      `Ancestry backfill stored ${updated} paths, ${maxDepth} levels deep; ${unreached} members unreached`
+    );
+
+    return { updated, unreached, maxDepth };
+  }
+}
+
+module.exports = new ReferralTreeService();
@@ -0,0 +1,326 @@
+const mongoose = require("mongoose");
+const {
+  User,
+  PinManagement,
+  ReferralTracking,
+} = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const Refund = require("../models/RefundModel");
+const RefundPolicy = require("../models/RefundPolicyModel");
+const CashbackSchedule = require("../models/CashbackScheduleModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const walletService = require("./WalletService");
+const levelService = require("./LevelService");
+const logger = require("../../utils/logger");
+const {
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+} = require("../../constants/walletConstant");
+const {
+  CASHBACK_SCHEDULE_STATUSES,
+} = require("../../constants/cashbackConstant");
+const {
+  PENDING_COMMISSION_STATUSES,
+} = require("../../constants/payoutCycleConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+const { DEFAULT_REFUND_POLICY } = require("../../constants/refundConstant");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RefundService
+ * Refunds a registration within the cooling-off period: the member is made
+ * inactive, the pin is marked refunded and all income the registration
+ * produced is clawed back, along with the income the company kept from it.
+ * Clawbacks may leave a wallet account negative; later income to that
+ * account recovers it. A member with others placed under them is not
+ * refunded until an admin moves those members away; a refunded member
+ * leaves the tree, freeing their parent's slot.
+ */
+class RefundService {
+  /**
+   * Current refund policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(RefundPolicy, DEFAULT_REFUND_POLICY, session);
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      RefundPolicy,
+      DEFAULT_REFUND_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Why a member's registration cannot be refunded, if it cannot.
+   * @param {Object} user - User document.
+   * @param {Object} policy - Refund policy.
+   * @param {Date} now - Time of the refund.
+   * @returns {string|null} Message for the admin, or null when refundable.
+   */
+  getRefundBlocker(user, policy, now = new Date()) {
+    if (user.userType === "Admin") {
+      return "Admin accounts cannot be refunded";
+    }
+    if (!user.registrationPin) {
+      return "The pin used for this registration is not recorded";
+    }
+
+    const deadline = new Date(
+      user.createdAt.getTime() + policy.coolingOffDays * DAY_MS
+    );
+    if (now > deadline) {
+      return `The cooling-off period of ${
+        policy.coolingOffDays
+      } days ended on ${deadline.toISOString()}`;
+    }
+    return null;
+  }
+
+  // Cancel the member's cashback from the pin and claw back what was released
+  async cancelCashback(user, pin, description, session) {
+    const schedules = await CashbackSchedule.find({
+      user: user._id,
+      pin: pin._id,
+    }).session(session);
+
+    let cancelledCashback = 0;
+    const reversals = [];
+    const companyReversals = [];
+    for (const schedule of schedules) {
+      cancelledCashback = walletService.roundAmount(
+        cancelledCashback + schedule.totalAmount - schedule.releasedAmount
+      );
+      schedule.status = CASHBACK_SCHEDULE_STATUSES.CANCELLED;
+      await schedule.save({ session });
+
+      reversals.push(
+        ...(await walletService.reverseSourceEntries(
+          {
+            sourceType: LEDGER_SOURCE_TYPES.CASHBACK,
+            sourceId: schedule._id,
+            entryType: ENTRY_TYPES.CREDIT,
+          },
+          description,
+          session
+        ))
+      );
+      companyReversals.push(
+        ...(await walletService.reverseCompanyEntries(
+          { sourceType: LEDGER_SOURCE_TYPES.CASHBACK, sourceId: schedule._id },
+          description,
+          session
+        ))
+      );
+    }
+
+    return { cancelledCashback, reversals, companyReversals };
+  }
+
+  /**
+   * Refund a registration and claw back its income in one transaction.
+   * The package price is recorded as owed to the member; paying it out is
+   * left to the company's usual payment process.
+   * @param {Object} user - User document of the refunded member.
+   * @param {Object} options - { reason, adminId }
+   * @returns {Object} { refund } or { error } when the registration cannot be refunded.
+   */
+  async refundRegistration(user, { reason, adminId }) {
+    const session = await mongoose.startSession();
+    const description = `Clawback for refunded registration of ${user.name} (${user.referralCode})`;
+    let refund;
+    let error;
+
+    try {
+      await session.withTransaction(async () => {
+        error = null;
+
+        // Members placed under an inactive member would stay in a dead leg
+        const children = await ReferralTracking.countDocuments({
+          referrer: user._id,
+        }).session(session);
+        if (children > 0) {
+          error = `This member has ${children} members placed under them; move them to another parent first`;
+          return;
+        }
+
+        const pin = await PinManagement.findOneAndUpdate(
+          { _id: user.registrationPin, status: "used" },
+          { $set: { status: "refunded", updatedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!pin) {
+          error = "The pin of this registration is not marked used";
+          return;
+        }
+        const packageDetails = await PackageModel.findById(
+          pin.packageId
+        ).session(session);
+
+        // Free the slot and take the member out of the level and team
+        // counts of their upline
+        const placement = await ReferralTracking.findOneAndDelete(
+          { referred: user._id, referrer: { $ne: user._id } },
+          { session }
+        );
+        await User.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              status: "inactive",
+              parentReferralCode: null,
+              ancestors: [],
+              depth: 0,
+            },
+          },
+          { session }
+        );
+        for (const memberId of [placement && placement.referrer, user._id]) {
+          if (memberId) {
+            await User.updateOne(
+              { _id: memberId },
+              {
+                $set: {
+                  level: await levelService.calculateUserLevel(
+                    memberId,
+                    session
+                  ),
+                },
+              },
+              { session }
+            );
+          }
+        }
+
+        const reversals = await walletService.reverseSourceEntries(
+          {
+            sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+            sourceId: user._id,
+            entryType: ENTRY_TYPES.CREDIT,
+          },
+          description,
+          session
+        );
+        const cashback = await this.cancelCashback(
+          user,
+          pin,
+          description,
+          session
+        );
+        reversals.push(...cashback.reversals);
+
+        // Level income the company retained and income flushed by the
+        // earning cap were never the company's to keep either
+        const companyReversals = await walletService.reverseCompanyEntries(
+          {
+            sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+            sourceId: user._id,
+          },
+          description,
+          session
+        );
+        companyReversals.push(...cashback.companyReversals);
+
+        // Income still waiting for a payout cycle is simply never paid
+        const pending = await PendingCommission.find({
+          sourceType: LEDGER_SOURCE_TYPES.REGISTRATION,
+          sourceId: user._id,
+          status: PENDING_COMMISSION_STATUSES.PENDING,
+        }).session(session);
+        await PendingCommission.updateMany(
+          { _id: { $in: pending.map((item) => item._id) } },
+          {
+            $set: {
+              status: PENDING_COMMISSION_STATUSES.CANCELLED,
+              settledAt: new Date(),
+            },
+          },
+          { session }
+        );
+
+        const clawbacks = reversals.filter(Boolean);
+        const companyClawbacks = companyReversals.filter(Boolean);
+        [refund] = await Refund.create(
+          [
+            {
+              user: user._id,
+              pin: pin._id,
+              packageId: packageDetails ? packageDetails._id : undefined,
+              productName: packageDetails
+                ? packageDetails.productName
+                : undefined,
+              refundAmount: packageDetails
+                ? Number(packageDetails.productPrice)
+                : 0,
+              reason,
+              registeredAt: user.createdAt,
+              placementParent: placement ? placement.referrer : undefined,
+              reversals: clawbacks.map((entry) => ({
+                ledgerEntry: entry._id,
+                reversalOf: entry.reversalOf,
+                user: entry.user,
+                account: entry.account,
+                amount: entry.amount,
+                sourceType: entry.sourceType,
+                accountBalanceAfter: entry.accountBalanceAfter,
+              })),
+              companyReversals: companyClawbacks.map((entry) => ({
+                ledgerEntry: entry._id,
+                reversalOf: entry.reversalOf,
+                user: entry.user,
+                account: entry.account,
+                amount: entry.amount,
+                sourceType: entry.sourceType,
+              })),
+              cancelledCommissions: pending.map((item) => ({
+                pendingCommission: item._id,
+                user: item.user,
+                account: item.account,
+                amount: item.amount,
+              })),
+              cancelledCashback: cashback.cancelledCashback,
+              clawedBackAmount: walletService.roundAmount(
+                clawbacks.reduce((sum, entry) => sum + entry.amount, 0)
+              ),
+              cancelledCommissionAmount: walletService.roundAmount(
+                pending.reduce((sum, item) => sum + item.amount, 0)
+              ),
+              companyReversedAmount: walletService.roundAmount(
+                companyClawbacks.reduce((sum, entry) => sum + entry.amount, 0)
+              ),
+              refundedBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (error) {
+      return { error };
+    }
+
+    logger.info(
+      `Registration of ${user._id} refunded by admin ${adminId}: clawed back ${refund.clawedBackAmount} in ${refund.reversals.length} entries, cancelled ${refund.cancelledCommissionAmount} pending, reversed ${refund.companyReversedAmount} of company income`
+    );
+    return { refund };
+  }
+}
+
+module.exports = new RefundService();
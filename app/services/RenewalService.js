@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const { User, PinManagement } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const Renewal = require("../models/RenewalModel");
+const walletService = require("./WalletService");
+const commissionDistributionService = require("./CommissionDistributionService");
+const logger = require("../../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RenewalService
+ * Extends an existing member's validity with an unused pin and pays the
+ * renewal income of the pin's package.
+ */
+class RenewalService {
+  /**
+   * The member's sponsor, falling back to the placement parent for members
+   * registered before sponsors were recorded.
+   * @param {Object} member - User document.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object|null} Sponsor user document.
+   */
+  async getSponsor(member, session) {
+    const referralCode =
+      member.sponsorReferralCode || member.parentReferralCode;
+    return referralCode
+      ? User.findOne({ referralCode }).session(session || null)
+      : null;
+  }
+
+  /**
+   * Whether a user may renew or upgrade a member: the member themselves,
+   * their sponsor, or an admin.
+   * @param {Object} member - User document the pin is for.
+   * @param {Object} requester - User document applying the pin.
+   * @returns {boolean}
+   */
+  async canApplyPin(member, requester) {
+    if (
+      requester.userType === "Admin" ||
+      String(requester._id) === String(member._id)
+    ) {
+      return true;
+    }
+
+    const sponsor = await this.getSponsor(member);
+    return !!sponsor && String(sponsor._id) === String(requester._id);
+  }
+
+  // Unused pin the requester may apply. Pins can only be applied by the
+  // member they are assigned to, like at registration; admins may apply any.
+  getUsablePinQuery(pinCode, requester) {
+    const query = {
+      pinCode,
+      status: { $in: ["available", "transferred"] },
+    };
+    if (requester.userType !== "Admin") {
+      query.assignedTo = requester._id;
+    }
+    return query;
+  }
+
+  /**
+   * Mark an unused pin the requester may apply as used.
+   * @param {string} pinCode - Pin to apply.
+   * @param {Object} requester - User document applying the pin.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object|null} The pin, or null when it cannot be used.
+   */
+  async claimPin(pinCode, requester, session) {
+    return PinManagement.findOneAndUpdate(
+      this.getUsablePinQuery(pinCode, requester),
+      { $set: { status: "used", usedAt: new Date() } },
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Apply a pin to a member: mark it used, extend validTill by the package's
+   * validity from the later of now and the current validTill, and pay the
+   * renewal income.
+   * @param {Object} params - { member, requester, pinCode }
+   * @returns {Object} { renewal } or { error } when the pin cannot be used.
+   */
+  async renew({ member, requester, pinCode }) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        const pinDetails = await this.claimPin(pinCode, requester, session);
+        if (!pinDetails) {
+          result = { error: "Invalid or used pin" };
+          return;
+        }
+
+        const packageDetails = await PackageModel.findById(
+          pinDetails.packageId
+        ).session(session);
+        if (!packageDetails) {
+          throw new Error("Package of the pin not found");
+        }
+
+        const current = await User.findById(member._id).session(session);
+        const now = new Date();
+        const base =
+          current.validTill && current.validTill > now
+            ? current.validTill
+            : now;
+        const validTill = new Date(
+          base.getTime() + packageDetails.validityDays * DAY_MS
+        );
+
+        await User.updateOne(
+          { _id: current._id },
+          { $set: { validTill } },
+          { session }
+        );
+
+        const [renewal] = await Renewal.create(
+          [
+            {
+              user: current._id,
+              renewedBy: requester._id,
+              pin: pinDetails._id,
+              packageId: packageDetails._id,
+              productName: packageDetails.productName,
+              packagePrice: Number(packageDetails.productPrice),
+              validityDays: packageDetails.validityDays,
+              previousValidTill: current.validTill,
+              validTill,
+              createdAt: now,
+            },
+          ],
+          { session }
+        );
+
+        const { plan, credits } =
+          await commissionDistributionService.distributeRenewal(
+            {
+              member: current,
+              sponsor: await this.getSponsor(current, session),
+              pinDetails,
+              packageDetails,
+              renewal,
+            },
+            session
+          );
+
+        if (plan) {
+          renewal.set({
+            commissionPlan: plan._id,
+            commissionPlanVersion: plan.version,
+            renewalIncome: walletService.roundAmount(
+              credits.reduce((sum, credit) => sum + credit.amount, 0)
+            ),
+          });
+          await renewal.save({ session });
+        }
+
+        result = { renewal };
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (result.renewal) {
+      logger.info(
+        `Member ${member._id} renewed by ${
+          requester._id
+        } until ${result.renewal.validTill.toISOString()}; renewal income ${
+          result.renewal.renewalIncome
+        }`
+      );
+    }
+    return result;
+  }
+}
+
+module.exports = new RenewalService();
@@ -0,0 +1,207 @@
+const WithdrawalRequest = require("../models/WithdrwalModel");
+const walletService = require("./WalletService");
+const { getZonedParts, zonedMidnight } = require("../../utils/dateUtil");
+const {
+  DEDUCTED_WITHDRAWAL_STATUSES,
+} = require("../../constants/withdrawalConstant");
+
+const TAX_TIMEZONE = "Asia/Kolkata";
+
+// Start month (0-11) and calendar-year offset of each financial-year quarter
+const QUARTERS = {
+  Q1: { month: 3, yearOffset: 0 }, // April - June
+  Q2: { month: 6, yearOffset: 0 }, // July - September
+  Q3: { month: 9, yearOffset: 0 }, // October - December
+  Q4: { month: 0, yearOffset: 1 }, // January - March
+};
+
+/**
+ * TaxDeductionService
+ * Sums the itemised withdrawal deductions (TDS and admin charge) per Indian
+ * financial year (April to March) and per quarter.
+ */
+class TaxDeductionService {
+  // Financial year label such as "2026-27" for a date
+  getFinancialYear(date = new Date()) {
+    const { year, month } = getZonedParts(date, TAX_TIMEZONE);
+    const startYear = month >= 3 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+  }
+
+  isValidFinancialYear(financialYear) {
+    const match = /^(\d{4})-(\d{2})$/.exec(financialYear || "");
+    return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+  }
+
+  /**
+   * Date range of a financial year or one of its quarters.
+   * @param {string} financialYear - e.g. "2026-27".
+   * @param {string} quarter - Optional "Q1" to "Q4".
+   * @returns {Object} { start, end } with end exclusive.
+   */
+  getPeriodRange(financialYear, quarter) {
+    const startYear = Number(financialYear.slice(0, 4));
+
+    if (!quarter) {
+      return {
+        start: zonedMidnight(startYear, 3, 1, TAX_TIMEZONE),
+        end: zonedMidnight(startYear + 1, 3, 1, TAX_TIMEZONE),
+      };
+    }
+
+    const { month, yearOffset } = QUARTERS[quarter];
+    const year = startYear + yearOffset;
+    return {
+      start: zonedMidnight(year, month, 1, TAX_TIMEZONE),
+      end: zonedMidnight(year, month + 3, 1, TAX_TIMEZONE),
+    };
+  }
+
+  // Requests whose deductions were made in the range
+  buildDeductedQuery({ start, end }) {
+    return {
+      status: { $in: DEDUCTED_WITHDRAWAL_STATUSES },
+      approvalDate: { $gte: start, $lt: end },
+    };
+  }
+
+  // Requests made before deductions were itemised count as admin charge only
+  getItemisedDeductions(request) {
+    const deductions = request.deductions || {};
+    const hasBreakdown =
+      deductions.tdsRate !== undefined && deductions.tdsRate !== null;
+
+    return {
+      tdsAmount: hasBreakdown ? deductions.tdsAmount || 0 : 0,
+      adminChargeAmount: hasBreakdown
+        ? deductions.adminChargeAmount
+        : request.deductionAmount || 0,
+    };
+  }
+
+  /**
+   * A member's deductions for a financial year, one line per withdrawal.
+   * @param {string} userId - Member.
+   * @param {string} financialYear - e.g. "2026-27".
+   * @returns {Object} { financialYear, lines, totals }
+   */
+  async getMemberDeductions(userId, financialYear) {
+    const requests = await WithdrawalRequest.find({
+      user: userId,
+      ...this.buildDeductedQuery(this.getPeriodRange(financialYear)),
+    })
+      .sort({ approvalDate: 1 })
+      .lean();
+
+    const totals = {
+      grossAmount: 0,
+      tdsAmount: 0,
+      adminChargeAmount: 0,
+      netAmount: 0,
+    };
+
+    const lines = requests.map((request) => {
+      const { tdsAmount, adminChargeAmount } =
+        this.getItemisedDeductions(request);
+
+      totals.grossAmount += request.amountRequested;
+      totals.tdsAmount += tdsAmount;
+      totals.adminChargeAmount += adminChargeAmount;
+      totals.netAmount += request.netAmount;
+
+      return {
+        withdrawalRequestId: request._id,
+        date: request.approvalDate,
+        grossAmount: request.amountRequested,
+        tdsRate: request.deductions ? request.deductions.tdsRate : null,
+        tdsAmount,
+        adminChargeAmount,
+        netAmount: request.netAmount,
+        panNumber: request.deductions ? request.deductions.panNumber : null,
+      };
+    });
+
+    Object.keys(totals).forEach((key) => {
+      totals[key] = walletService.roundAmount(totals[key]);
+    });
+
+    return { financialYear, lines, totals };
+  }
+
+  /**
+   * TDS deducted per member in a quarter.
+   * @param {string} financialYear - e.g. "2026-27".
+   * @param {string} quarter - "Q1" to "Q4".
+   * @returns {Array} Rows of { userId, name, referralCode, panNumber, grossAmount, tdsAmount, adminChargeAmount, requestCount }
+   */
+  async getQuarterlyTdsReport(financialYear, quarter) {
+    const rows = await WithdrawalRequest.aggregate([
+      {
+        $match: this.buildDeductedQuery(
+          this.getPeriodRange(financialYear, quarter)
+        ),
+      },
+      {
+        $addFields: {
+          itemised: {
+            $in: [{ $type: "$deductions.tdsRate" }, ["double", "int", "long"]],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$user",
+          grossAmount: { $sum: "$amountRequested" },
+          tdsAmount: {
+            $sum: {
+              $cond: [
+                "$itemised",
+                { $ifNull: ["$deductions.tdsAmount", 0] },
+                0,
+              ],
+            },
+          },
+          adminChargeAmount: {
+            $sum: {
+              $cond: [
+                "$itemised",
+                "$deductions.adminChargeAmount",
+                "$deductionAmount",
+              ],
+            },
+          },
+          panNumbers: { $addToSet: "$deductions.panNumber" },
+          requestCount: { $sum: 1 },
+        },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user",
+        },
+      },
+      { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+      { $sort: { "user.name": 1 } },
+    ]);
+
+    return rows.map((row) => {
+      const pans = row.panNumbers.filter(Boolean);
+      return {
+        userId: row._id,
+        name: row.user ? row.user.name : "",
+        referralCode: row.user ? row.user.referralCode : "",
+        // PAN used at deduction time, else the one on file now
+        panNumber:
+          pans[pans.length - 1] || (row.user && row.user.panNumber) || "",
+        grossAmount: walletService.roundAmount(row.grossAmount),
+        tdsAmount: walletService.roundAmount(row.tdsAmount),
+        adminChargeAmount: walletService.roundAmount(row.adminChargeAmount),
+        requestCount: row.requestCount,
+      };
+    });
+  }
+}
+
+module.exports = new TaxDeductionService();
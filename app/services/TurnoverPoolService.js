@@ -0,0 +1,466 @@
+const mongoose = require("mongoose");
+const { User, PinManagement } = require("../models/DataBaseModel");
+const PackageModel = require("../models/PackageModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const PendingCommission = require("../models/PendingCommissionModel");
+const RankAchievement = require("../models/RankAchievementModel");
+const TurnoverPool = require("../models/TurnoverPoolModel");
+const TurnoverPoolDistribution = require("../models/TurnoverPoolDistributionModel");
+const TurnoverPoolPolicy = require("../models/TurnoverPoolPolicyModel");
+const walletService = require("./WalletService");
+const logger = require("../../utils/logger");
+const { getZonedParts, zonedMidnight } = require("../../utils/dateUtil");
+const {
+  WALLET_ACCOUNTS,
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  PENDING_COMMISSION_STATUSES,
+} = require("../../constants/payoutCycleConstant");
+const {
+  POOL_SHARE_MODES,
+  POOL_DISTRIBUTION_STATUSES,
+  DEFAULT_TURNOVER_POOL_POLICY,
+} = require("../../constants/turnoverPoolConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+
+/**
+ * TurnoverPoolService
+ * Sets aside a percentage of each month's package turnover per leadership
+ * pool and shares it among the members holding the pool's ranks. Month-end
+ * calculations wait for admin approval before anything is credited.
+ */
+class TurnoverPoolService {
+  /**
+   * Current turnover pool policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(
+      TurnoverPoolPolicy,
+      DEFAULT_TURNOVER_POOL_POLICY,
+      session
+    );
+  }
+
+  /**
+   * Save admin changes to the policy. Months already calculated keep the
+   * period they were measured over.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      TurnoverPoolPolicy,
+      DEFAULT_TURNOVER_POOL_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  // Calendar month "YYYY-MM" as [start, end) in a time zone
+  getMonthPeriod(month, timezone) {
+    const [year, monthNumber] = month.split("-").map(Number);
+    return {
+      start: zonedMidnight(year, monthNumber - 1, 1, timezone),
+      end: zonedMidnight(year, monthNumber, 1, timezone),
+    };
+  }
+
+  // Month before the one containing a time, as "YYYY-MM" in the policy time zone
+  async getPreviousMonth(now = new Date()) {
+    const { timezone } = await this.getPolicy();
+    const { year, month } = getZonedParts(now, timezone);
+    const previous = new Date(Date.UTC(year, month - 1, 1));
+    return previous.toISOString().slice(0, 7);
+  }
+
+  /**
+   * Package turnover of a period: the package price of every pin used in
+   * it. Pins are stamped when used, and refunded pins no longer count.
+   * @param {Object} period - { start, end }
+   * @returns {Object} { turnover, pinsUsed }
+   */
+  async getTurnover({ start, end }) {
+    const usage = await PinManagement.aggregate([
+      {
+        $match: {
+          status: "used",
+          $or: [
+            { usedAt: { $gte: start, $lt: end } },
+            // Pins used before the stamp was kept were last updated when used
+            { usedAt: null, updatedAt: { $gte: start, $lt: end } },
+          ],
+        },
+      },
+      { $group: { _id: "$packageId", pins: { $sum: 1 } } },
+    ]);
+    const packages = await PackageModel.find(
+      { _id: { $in: usage.map((row) => row._id) } },
+      "productPrice"
+    );
+    const prices = new Map(
+      packages.map((item) => [String(item._id), Number(item.productPrice) || 0])
+    );
+
+    return usage.reduce(
+      (totals, row) => ({
+        turnover: walletService.roundAmount(
+          totals.turnover + row.pins * (prices.get(String(row._id)) || 0)
+        ),
+        pinsUsed: totals.pinsUsed + row.pins,
+      }),
+      { turnover: 0, pinsUsed: 0 }
+    );
+  }
+
+  /**
+   * Active members who held one of a pool's ranks by the end of a period,
+   * each with the highest of those ranks.
+   * @param {Object} pool - TurnoverPool document.
+   * @param {Object} period - { start, end }
+   * @returns {Array} [{ user, rank, rankName, weight }]
+   */
+  async getQualifiers(pool, { end }) {
+    const weights = new Map(
+      pool.qualifyingRanks.map((item) => [String(item.rank), item.weight])
+    );
+    const achievements = await RankAchievement.find({
+      rank: { $in: pool.qualifyingRanks.map((item) => item.rank) },
+      achievedAt: { $lt: end },
+    }).sort({ rankOrder: -1 });
+
+    const activeUsers = new Set(
+      (
+        await User.find(
+          {
+            _id: { $in: achievements.map((achievement) => achievement.user) },
+            status: "active",
+          },
+          "_id"
+        )
+      ).map((user) => String(user._id))
+    );
+
+    // Highest qualifying rank first, so each member's first achievement wins
+    const qualifiers = new Map();
+    achievements.forEach((achievement) => {
+      const userId = String(achievement.user);
+      if (activeUsers.has(userId) && !qualifiers.has(userId)) {
+        qualifiers.set(userId, {
+          user: achievement.user,
+          rank: achievement.rank,
+          rankName: achievement.rankName,
+          weight: weights.get(String(achievement.rank)),
+        });
+      }
+    });
+    return [...qualifiers.values()];
+  }
+
+  /**
+   * Split a pool amount among its qualifiers. Shares are rounded down to
+   * the cent; what rounding leaves over is not distributed.
+   * @param {number} poolAmount - Amount set aside for the pool.
+   * @param {Array} qualifiers - From getQualifiers.
+   * @param {string} shareMode - One of POOL_SHARE_MODES.
+   * @returns {Array} Qualifiers with their weight and amount.
+   */
+  buildShares(poolAmount, qualifiers, shareMode) {
+    const weighted = qualifiers
+      .map((qualifier) => ({
+        ...qualifier,
+        weight: shareMode === POOL_SHARE_MODES.WEIGHTED ? qualifier.weight : 1,
+      }))
+      .filter((qualifier) => qualifier.weight > 0);
+    const totalWeight = weighted.reduce(
+      (sum, qualifier) => sum + qualifier.weight,
+      0
+    );
+    if (totalWeight === 0) {
+      return [];
+    }
+
+    return weighted.map((qualifier) => ({
+      ...qualifier,
+      amount:
+        Math.floor((poolAmount * qualifier.weight * 100) / totalWeight) / 100,
+    }));
+  }
+
+  /**
+   * Work out the share-out of every active pool for a finished month and
+   * store it for approval. Share-outs still awaiting approval, or rejected,
+   * are calculated afresh; approved ones are left alone.
+   * @param {string} month - "YYYY-MM".
+   * @param {Object} options - { adminId } of the admin asking; none for the job.
+   * @returns {Object} { distributions, skipped } or { error }.
+   */
+  async calculateMonth(month, { adminId } = {}) {
+    const { timezone } = await this.getPolicy();
+    const period = this.getMonthPeriod(month, timezone);
+    if (period.end > new Date()) {
+      return { error: `The month ${month} has not ended yet` };
+    }
+
+    const pools = await TurnoverPool.find({ isActive: true });
+    const { turnover, pinsUsed } = await this.getTurnover(period);
+    const distributions = [];
+    const skipped = [];
+
+    for (const pool of pools) {
+      const existing = await TurnoverPoolDistribution.findOne({
+        pool: pool._id,
+        month,
+      });
+      if (existing && existing.status === POOL_DISTRIBUTION_STATUSES.APPROVED) {
+        skipped.push(existing);
+        continue;
+      }
+
+      const poolAmount = walletService.roundAmount(
+        (turnover * pool.percentage) / 100
+      );
+      const shares = this.buildShares(
+        poolAmount,
+        await this.getQualifiers(pool, period),
+        pool.shareMode
+      );
+      const distribution = existing || new TurnoverPoolDistribution();
+      distribution.set({
+        pool: pool._id,
+        poolName: pool.name,
+        month,
+        periodStart: period.start,
+        periodEnd: period.end,
+        timezone,
+        turnover,
+        pinsUsed,
+        percentage: pool.percentage,
+        poolAmount,
+        shareMode: pool.shareMode,
+        shares,
+        distributedAmount: walletService.roundAmount(
+          shares.reduce((sum, share) => sum + share.amount, 0)
+        ),
+        status: POOL_DISTRIBUTION_STATUSES.PENDING_APPROVAL,
+        calculatedBy: adminId || undefined,
+        calculatedAt: new Date(),
+        reviewedBy: undefined,
+        reviewedAt: undefined,
+        rejectionReason: undefined,
+      });
+      await distribution.save();
+      distributions.push(distribution);
+    }
+
+    logger.info(
+      `Turnover pools for ${month} calculated: turnover ${turnover} from ${pinsUsed} pins, ${distributions.length} share-outs awaiting approval, ${skipped.length} already approved`
+    );
+    return { distributions, skipped };
+  }
+
+  /**
+   * Approve a share-out and credit every share to the member's reward income.
+   * @param {string} distributionId - Share-out to approve.
+   * @param {string} adminId - Admin approving it.
+   * @returns {Object} { distribution } or { error } when it cannot be approved.
+   */
+  async approveDistribution(distributionId, adminId) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        // Claiming the status first keeps two approvals from paying twice
+        const distribution = await TurnoverPoolDistribution.findOneAndUpdate(
+          {
+            _id: distributionId,
+            status: POOL_DISTRIBUTION_STATUSES.PENDING_APPROVAL,
+          },
+          {
+            $set: {
+              status: POOL_DISTRIBUTION_STATUSES.APPROVED,
+              reviewedBy: adminId,
+              reviewedAt: new Date(),
+            },
+          },
+          { new: true, session }
+        );
+        if (!distribution) {
+          result = {
+            error: "Only share-outs awaiting approval can be approved",
+          };
+          return;
+        }
+
+        for (const share of distribution.shares) {
+          const entry = await walletService.credit(
+            {
+              userId: share.user,
+              account: WALLET_ACCOUNTS.REWARD_INCOME,
+              amount: share.amount,
+              sourceType: LEDGER_SOURCE_TYPES.TURNOVER_POOL,
+              sourceId: distribution._id,
+              contraAccount: CONTRA_ACCOUNTS.REWARD_EXPENSE,
+              description: `${distribution.poolName} pool share for ${distribution.month} as ${share.rankName}`,
+            },
+            session
+          );
+          share.ledgerEntry = entry ? entry._id : undefined;
+        }
+        await distribution.save({ session });
+
+        result = { distribution };
+      });
+    } finally {
+      session.endSession();
+    }
+
+    if (result.distribution) {
+      logger.info(
+        `Turnover pool share-out ${distributionId} approved by admin ${adminId}: ${result.distribution.distributedAmount} to ${result.distribution.shares.length} members`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Reject a share-out awaiting approval. Recalculating the month brings it
+   * back for approval.
+   * @param {string} distributionId - Share-out to reject.
+   * @param {Object} params - { reason, adminId }
+   * @returns {Object} { distribution } or { error } when it cannot be rejected.
+   */
+  async rejectDistribution(distributionId, { reason, adminId }) {
+    const distribution = await TurnoverPoolDistribution.findOneAndUpdate(
+      {
+        _id: distributionId,
+        status: POOL_DISTRIBUTION_STATUSES.PENDING_APPROVAL,
+      },
+      {
+        $set: {
+          status: POOL_DISTRIBUTION_STATUSES.REJECTED,
+          reviewedBy: adminId,
+          reviewedAt: new Date(),
+          rejectionReason: reason,
+        },
+      },
+      { new: true }
+    );
+    if (!distribution) {
+      return { error: "Only share-outs awaiting approval can be rejected" };
+    }
+
+    logger.info(
+      `Turnover pool share-out ${distributionId} rejected by admin ${adminId}`
+    );
+    return { distribution };
+  }
+
+  /**
+   * What became of a member's shares once approved: the amount that reached
+   * their wallet, whether then or at a payout cycle closing, and the amount
+   * still held for a closing.
+   * @param {string} userId - Member.
+   * @param {Array} distributionIds - Approved share-outs.
+   * @returns {Object} { credited, pending }: Maps of amount by share-out id.
+   */
+  async getShareOutcomes(userId, distributionIds) {
+    const sumBySource = async (Model, match) =>
+      new Map(
+        (
+          await Model.aggregate([
+            {
+              $match: {
+                user: new mongoose.Types.ObjectId(String(userId)),
+                sourceType: LEDGER_SOURCE_TYPES.TURNOVER_POOL,
+                sourceId: { $in: distributionIds },
+                ...match,
+              },
+            },
+            { $group: { _id: "$sourceId", amount: { $sum: "$amount" } } },
+          ])
+        ).map((row) => [String(row._id), row.amount])
+      );
+
+    return {
+      credited: await sumBySource(WalletTransaction, {
+        entryType: ENTRY_TYPES.CREDIT,
+        reversalOf: null,
+      }),
+      pending: await sumBySource(PendingCommission, {
+        status: PENDING_COMMISSION_STATUSES.PENDING,
+      }),
+    };
+  }
+
+  /**
+   * Pools a member qualified for, newest month first, with their share.
+   * Rejected share-outs are left out. Of an approved share, credited is what
+   * reached the wallet, pending what a payout cycle still holds and withheld
+   * what went above the earning cap or was forfeited.
+   * @param {string} userId - Member.
+   * @returns {Array} [{ distributionId, pool, poolName, month, status, turnover, poolAmount, shareMode, rank, rankName, weight, amount, credited, creditedAmount, pendingAmount, withheldAmount }]
+   */
+  async getMemberPools(userId) {
+    const distributions = await TurnoverPoolDistribution.find({
+      "shares.user": userId,
+      status: { $ne: POOL_DISTRIBUTION_STATUSES.REJECTED },
+    }).sort({ month: -1, poolName: 1 });
+    const outcomes = await this.getShareOutcomes(
+      userId,
+      distributions
+        .filter(
+          (distribution) =>
+            distribution.status === POOL_DISTRIBUTION_STATUSES.APPROVED
+        )
+        .map((distribution) => distribution._id)
+    );
+
+    return distributions.map((distribution) => {
+      const share = distribution.shares.find(
+        (item) => String(item.user) === String(userId)
+      );
+      const approved =
+        distribution.status === POOL_DISTRIBUTION_STATUSES.APPROVED;
+      const creditedAmount = walletService.roundAmount(
+        outcomes.credited.get(String(distribution._id)) || 0
+      );
+      const pendingAmount = walletService.roundAmount(
+        outcomes.pending.get(String(distribution._id)) || 0
+      );
+      return {
+        distributionId: distribution._id,
+        pool: distribution.pool,
+        poolName: distribution.poolName,
+        month: distribution.month,
+        status: distribution.status,
+        turnover: distribution.turnover,
+        poolAmount: distribution.poolAmount,
+        shareMode: distribution.shareMode,
+        rank: share.rank,
+        rankName: share.rankName,
+        weight: share.weight,
+        amount: share.amount,
+        credited: approved && creditedAmount >= share.amount,
+        creditedAmount,
+        pendingAmount,
+        withheldAmount: approved
+          ? walletService.roundAmount(
+              Math.max(share.amount - creditedAmount - pendingAmount, 0)
+            )
+          : 0,
+      };
+    });
+  }
+}
+
+module.exports = new TurnoverPoolService();
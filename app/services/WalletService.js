@@ -0,0 +1,470 @@
+const { Wallet } = require("../models/DataBaseModel");
+const WalletTransaction = require("../models/WalletTransactionModel");
+const CompanyLedgerEntry = require("../models/CompanyLedgerEntryModel");
+const earningCapService = require("./EarningCapService");
+const pendingCommissionService = require("./PendingCommissionService");
+const logger = require("../../utils/logger");
+const {
+  WALLET_ACCOUNTS,
+  SPENDABLE_ACCOUNTS,
+  ENTRY_TYPES,
+  COMPANY_ACCOUNTS,
+} = require("../../constants/walletConstant");
+
+/**
+ * WalletService
+ * Single entry point for every wallet balance change. Each change is written
+ * to the WalletTransaction ledger in the caller's session, and the Wallet
+ * document is updated as a cache of the ledger totals.
+ */
+class WalletService {
+  // Round to paise so ledger sums match the cached balances
+  roundAmount(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+  }
+
+  // Total money held in a set of wallet accounts, by default the withdrawable ones
+  getTotalBalance(wallet, accounts = SPENDABLE_ACCOUNTS) {
+    return this.roundAmount(
+      accounts.reduce((sum, account) => sum + (wallet[account] || 0), 0)
+    );
+  }
+
+  // Money in a set of accounts that is not reserved by pending withdrawals
+  getAvailableBalance(wallet, accounts = SPENDABLE_ACCOUNTS) {
+    return this.roundAmount(
+      this.getTotalBalance(wallet, accounts) - (wallet.onHold || 0)
+    );
+  }
+
+  /**
+   * Reserve part of the available balance, e.g. for a pending withdrawal.
+   * The check and the reservation are a single atomic update, so concurrent
+   * requests cannot reserve the same money twice.
+   * @param {string} userId - Wallet owner.
+   * @param {number} amount - Amount to reserve.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @param {Array} accounts - Accounts the reservation may be covered by.
+   * @returns {Object} The updated wallet.
+   */
+  async holdFunds(userId, amount, session, accounts = SPENDABLE_ACCOUNTS) {
+    const holdAmount = this.roundAmount(amount);
+
+    const wallet = await Wallet.findOneAndUpdate(
+      {
+        user: userId,
+        $expr: {
+          $gte: [
+            {
+              $subtract: [
+                {
+                  $add: accounts.map((account) => ({
+                    $ifNull: [`$${account}`, 0],
+                  })),
+                },
+                { $ifNull: ["$onHold", 0] },
+              ],
+            },
+            holdAmount,
+          ],
+        },
+      },
+      { $inc: { onHold: holdAmount }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!wallet) {
+      throw new Error("Insufficient available balance in wallet");
+    }
+
+    logger.info(`Held ${holdAmount} on wallet of user ${userId}`);
+    return wallet;
+  }
+
+  /**
+   * Release a reservation made by holdFunds.
+   * @param {string} userId - Wallet owner.
+   * @param {number} amount - Amount to release.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The updated wallet.
+   */
+  async releaseFunds(userId, amount, session) {
+    const releaseAmount = this.roundAmount(amount);
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId, onHold: { $gte: releaseAmount } },
+      { $inc: { onHold: -releaseAmount }, $set: { updatedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!wallet) {
+      throw new Error("Held amount not found in wallet");
+    }
+
+    logger.info(`Released ${releaseAmount} on wallet of user ${userId}`);
+    return wallet;
+  }
+
+  /**
+   * Settle a reservation: release the hold and debit the same amount from
+   * the income accounts.
+   * @param {Object} entry - Same shape as for debitIncome.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Array} The ledger entries written.
+   */
+  async settleHeldFunds(entry, session) {
+    await this.releaseFunds(entry.userId, entry.amount, session);
+    return this.debitIncome(entry, session);
+  }
+
+  /**
+   * Credit a wallet account and record the ledger entry. While payout
+   * cycles are enabled, income is recorded as pending instead and credited
+   * by the next closing (which passes entry.pendingCommission). Income above
+   * the member's earning cap is flushed to the company ledger.
+   * @param {Object} entry - { userId, account, amount, sourceType, sourceId, contraAccount, description, counterparty, pin, commissionPlan, earnedAt, pendingCommission }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object|null} The ledger entry, or null when nothing was credited.
+   */
+  async credit(entry, session) {
+    if (
+      !entry.pendingCommission &&
+      (await pendingCommissionService.defer(entry, session))
+    ) {
+      return null;
+    }
+
+    const amount = await earningCapService.applyCap(entry, session);
+    await this.postCompanyEntry(
+      {
+        ...entry,
+        account: COMPANY_ACCOUNTS.FLUSHED_INCOME,
+        amount: this.roundAmount(this.roundAmount(entry.amount) - amount),
+      },
+      session
+    );
+    return this.postEntry(
+      { ...entry, amount, entryType: ENTRY_TYPES.CREDIT },
+      session
+    );
+  }
+
+  /**
+   * Debit a wallet account and record the ledger entry.
+   * @param {Object} entry - Same shape as for credit.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object|null} The ledger entry, or null for a zero amount.
+   */
+  async debit(entry, session) {
+    return this.postEntry({ ...entry, entryType: ENTRY_TYPES.DEBIT }, session);
+  }
+
+  /**
+   * Debit an amount from the spendable accounts, taking them in order until
+   * the amount is covered: entry.accounts when given, else SPENDABLE_ACCOUNTS
+   * (direct income first).
+   * @param {Object} entry - Same shape as for debit, without an account, plus optional accounts.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Array} The ledger entries written.
+   */
+  async debitIncome(entry, session) {
+    const { accounts = SPENDABLE_ACCOUNTS, ...debitEntry } = entry;
+    const amount = this.roundAmount(entry.amount);
+    const wallet = await Wallet.findOne({ user: entry.userId }).session(
+      session
+    );
+
+    if (!wallet) {
+      throw new Error("User wallet not found");
+    }
+
+    // Money reserved by pending withdrawals cannot be spent elsewhere
+    if (this.getAvailableBalance(wallet, accounts) < amount) {
+      throw new Error("Insufficient funds in wallet");
+    }
+
+    const transactions = [];
+    let remaining = amount;
+
+    for (const account of accounts) {
+      const portion = this.roundAmount(
+        Math.min(Math.max(wallet[account] || 0, 0), remaining)
+      );
+      if (portion <= 0) {
+        continue;
+      }
+
+      transactions.push(
+        await this.debit({ ...debitEntry, account, amount: portion }, session)
+      );
+      remaining = this.roundAmount(remaining - portion);
+      if (remaining <= 0) {
+        break;
+      }
+    }
+
+    return transactions;
+  }
+
+  // Apply one ledger entry to the wallet cache and persist it
+  async postEntry(entry, session) {
+    const {
+      userId,
+      account,
+      entryType,
+      sourceType,
+      sourceId,
+      contraAccount,
+      description,
+      counterparty,
+      pin,
+      commissionPlan,
+      reversalOf,
+      earnedAt,
+    } = entry;
+    const amount = this.roundAmount(entry.amount);
+
+    if (!Object.values(WALLET_ACCOUNTS).includes(account)) {
+      throw new Error(`Unknown wallet account: ${account}`);
+    }
+
+    if (!(amount >= 0)) {
+      throw new Error(`Invalid ledger amount: ${entry.amount}`);
+    }
+
+    const signedAmount = entryType === ENTRY_TYPES.CREDIT ? amount : -amount;
+
+    // Upsert keeps the old behaviour of opening a wallet on first income
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: userId },
+      {
+        $inc: { [account]: signedAmount },
+        $set: { updatedAt: new Date() },
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+
+    if (amount === 0) {
+      return null;
+    }
+
+    const [transaction] = await WalletTransaction.create(
+      [
+        {
+          user: userId,
+          entryType,
+          account,
+          contraAccount,
+          amount,
+          sourceType,
+          sourceId,
+          pin,
+          counterparty,
+          commissionPlan: commissionPlan ? commissionPlan._id : undefined,
+          commissionPlanVersion: commissionPlan
+            ? commissionPlan.version
+            : undefined,
+          reversalOf,
+          description,
+          earnedAt,
+          accountBalanceAfter: this.roundAmount(wallet[account]),
+          balanceAfter: this.getTotalBalance(
+            wallet,
+            Object.values(WALLET_ACCOUNTS)
+          ),
+        },
+      ],
+      { session }
+    );
+
+    logger.info(
+      `Ledger ${entryType} of ${amount} on ${account} for user ${userId} (${sourceType} ${sourceId})`
+    );
+
+    return transaction;
+  }
+
+  /**
+   * Record income the company keeps instead of crediting it to a member,
+   * against the expense account it would have been paid from. A reversal
+   * passes entryType debit and the entry it cancels as reversalOf.
+   * @param {Object} entry - { account, amount, sourceType, sourceId, contraAccount, userId, counterparty, pin, commissionPlan, description, entryType, reversalOf }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object|null} The company ledger entry, or null for a zero amount.
+   */
+  async postCompanyEntry(entry, session) {
+    const {
+      account,
+      sourceType,
+      sourceId,
+      commissionPlan,
+      entryType = ENTRY_TYPES.CREDIT,
+    } = entry;
+    const amount = this.roundAmount(entry.amount);
+
+    if (!(amount >= 0)) {
+      throw new Error(`Invalid ledger amount: ${entry.amount}`);
+    }
+    if (amount === 0) {
+      return null;
+    }
+
+    const [companyEntry] = await CompanyLedgerEntry.create(
+      [
+        {
+          entryType,
+          account,
+          contraAccount: entry.contraAccount,
+          amount,
+          sourceType,
+          sourceId,
+          user: entry.userId,
+          counterparty: entry.counterparty,
+          pin: entry.pin,
+          commissionPlan: commissionPlan ? commissionPlan._id : undefined,
+          commissionPlanVersion: commissionPlan
+            ? commissionPlan.version
+            : undefined,
+          reversalOf: entry.reversalOf,
+          description: entry.description,
+        },
+      ],
+      { session }
+    );
+
+    logger.info(
+      `Company ledger ${entryType} of ${amount} on ${account} (${sourceType} ${sourceId})`
+    );
+
+    return companyEntry;
+  }
+
+  /**
+   * Post the opposite of every ledger entry written for a source, e.g. to
+   * give a failed withdrawal back. Entries that were already reversed are
+   * skipped, so calling this twice has no further effect.
+   * @param {Object} source - { sourceType, sourceId, entryType } of the entries to reverse.
+   * @param {string} description - Description for the reversal entries.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Array} The reversal entries written.
+   */
+  async reverseSourceEntries(
+    { sourceType, sourceId, entryType },
+    description,
+    session
+  ) {
+    const query = { sourceType, sourceId, reversalOf: null };
+    if (entryType) {
+      query.entryType = entryType;
+    }
+
+    const entries = await WalletTransaction.find(query)
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session);
+    const alreadyReversed = await WalletTransaction.find({
+      reversalOf: { $in: entries.map((entry) => entry._id) },
+    }).session(session);
+    const reversedIds = new Set(
+      alreadyReversed.map((entry) => String(entry.reversalOf))
+    );
+
+    const reversals = [];
+    for (const entry of entries) {
+      if (reversedIds.has(String(entry._id))) {
+        continue;
+      }
+
+      reversals.push(
+        await this.postEntry(
+          {
+            userId: entry.user,
+            account: entry.account,
+            entryType:
+              entry.entryType === ENTRY_TYPES.CREDIT
+                ? ENTRY_TYPES.DEBIT
+                : ENTRY_TYPES.CREDIT,
+            amount: entry.amount,
+            sourceType: entry.sourceType,
+            sourceId: entry.sourceId,
+            contraAccount: entry.contraAccount,
+            counterparty: entry.counterparty,
+            pin: entry.pin,
+            commissionPlan: entry.commissionPlan
+              ? {
+                  _id: entry.commissionPlan,
+                  version: entry.commissionPlanVersion,
+                }
+              : undefined,
+            reversalOf: entry._id,
+            description,
+          },
+          session
+        )
+      );
+    }
+
+    return reversals;
+  }
+
+  /**
+   * Post the opposite of every company ledger credit written for a source,
+   * e.g. income kept from a registration that was refunded. Entries that
+   * were already reversed are skipped.
+   * @param {Object} source - { sourceType, sourceId } of the entries to reverse.
+   * @param {string} description - Description for the reversal entries.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Array} The reversal entries written.
+   */
+  async reverseCompanyEntries({ sourceType, sourceId }, description, session) {
+    const entries = await CompanyLedgerEntry.find({
+      sourceType,
+      sourceId,
+      entryType: ENTRY_TYPES.CREDIT,
+      reversalOf: null,
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session);
+    const alreadyReversed = await CompanyLedgerEntry.find({
+      reversalOf: { $in: entries.map((entry) => entry._id) },
+    }).session(session);
+    const reversedIds = new Set(
+      alreadyReversed.map((entry) => String(entry.reversalOf))
+    );
+
+    const reversals = [];
+    for (const entry of entries) {
+      if (reversedIds.has(String(entry._id))) {
+        continue;
+      }
+
+      reversals.push(
+        await this.postCompanyEntry(
+          {
+            account: entry.account,
+            entryType: ENTRY_TYPES.DEBIT,
+            amount: entry.amount,
+            sourceType: entry.sourceType,
+            sourceId: entry.sourceId,
+            contraAccount: entry.contraAccount,
+            userId: entry.user,
+            counterparty: entry.counterparty,
+            pin: entry.pin,
+            commissionPlan: entry.commissionPlan
+              ? {
+                  _id: entry.commissionPlan,
+                  version: entry.commissionPlanVersion,
+                }
+              : undefined,
+            reversalOf: entry._id,
+            description,
+          },
+          session
+        )
+      );
+    }
+
+    return reversals;
+  }
+}
+
+module.exports = new WalletService();
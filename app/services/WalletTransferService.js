@@ -0,0 +1,247 @@
+const mongoose = require("mongoose");
+const { Wallet } = require("../models/DataBaseModel");
+const WalletTransfer = require("../models/WalletTransferModel");
+const WalletTransferPolicy = require("../models/WalletTransferPolicyModel");
+const walletService = require("./WalletService");
+const referralTreeService = require("./ReferralTreeService");
+const cashbackService = require("./CashbackService");
+const {
+  WALLET_ACCOUNTS,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  DEFAULT_TRANSFER_POLICY,
+  TRANSFER_STATUSES,
+  TRANSFER_RECEIVED_USAGES,
+} = require("../../constants/transferConstant");
+const {
+  getSingleton,
+  updateSingleton,
+} = require("../../utils/singletonDocument");
+const { startOfDay } = require("../../utils/dateUtil");
+
+/**
+ * WalletTransferService
+ * Member-to-member wallet transfers: the sender starts a transfer, then
+ * confirms it within the policy's window, which moves the money.
+ */
+class WalletTransferService {
+  /**
+   * Current policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return getSingleton(WalletTransferPolicy, DEFAULT_TRANSFER_POLICY, session);
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    return updateSingleton(
+      WalletTransferPolicy,
+      DEFAULT_TRANSFER_POLICY,
+      changes,
+      adminId
+    );
+  }
+
+  /**
+   * Accounts withdrawals and transfers may draw on under the cashback and
+   * transfer policies.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Array} Wallet accounts, in the order debits use them.
+   */
+  async getWithdrawableAccounts(session) {
+    const accounts = await cashbackService.getWithdrawableAccounts(session);
+    const { receivedUsage } = await this.getPolicy(session);
+    return receivedUsage === TRANSFER_RECEIVED_USAGES.WITHDRAWABLE
+      ? [...accounts, WALLET_ACCOUNTS.FUND_TRANSFER_BALANCE]
+      : accounts;
+  }
+
+  generateReference() {
+    const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    const suffix = Math.floor(Math.random() * 10000)
+      .toString()
+      .padStart(4, "0");
+    return `WT${stamp}${suffix}`;
+  }
+
+  // Total a sender has transferred since a point in time
+  async getTransferredSince(senderId, since, session) {
+    const [row] = await WalletTransfer.aggregate([
+      {
+        $match: {
+          sender: new mongoose.Types.ObjectId(String(senderId)),
+          status: TRANSFER_STATUSES.COMPLETED,
+          confirmedAt: { $gte: since },
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]).session(session || null);
+
+    return row ? row.total : 0;
+  }
+
+  /**
+   * Check a transfer against the policy and the sender's balance.
+   * @param {Object} params - { sender, recipient, amount, now }
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} { passed, rule, message, policy }
+   */
+  async evaluate({ sender, recipient, amount, now = new Date() }, session) {
+    const policy = await this.getPolicy(session);
+    const fail = (rule, message) => ({ passed: false, rule, message, policy });
+
+    if (!policy.enabled) {
+      return fail("enabled", "Wallet transfers are currently disabled");
+    }
+
+    if (String(sender._id) === String(recipient._id)) {
+      return fail("recipient", "You cannot transfer funds to yourself");
+    }
+
+    if (recipient.status !== "active") {
+      return fail("recipient", "Recipient account is not active");
+    }
+
+    if (amount < policy.minimumAmount) {
+      return fail(
+        "minimumAmount",
+        `Minimum transfer amount is ${policy.minimumAmount}`
+      );
+    }
+
+    if (policy.maximumAmount !== null && amount > policy.maximumAmount) {
+      return fail(
+        "maximumAmount",
+        `Maximum transfer amount is ${policy.maximumAmount}`
+      );
+    }
+
+    if (policy.downlineOnly) {
+      const inDownline = await referralTreeService.isInDownline(
+        recipient,
+        sender.referralCode,
+        session
+      );
+      if (!inDownline) {
+        return fail(
+          "downlineOnly",
+          "Funds can only be transferred to members of your downline"
+        );
+      }
+    }
+
+    if (policy.dailyLimit !== null) {
+      const transferredToday = await this.getTransferredSince(
+        sender._id,
+        startOfDay(now, policy.timezone),
+        session
+      );
+      if (transferredToday + amount > policy.dailyLimit) {
+        const remaining = Math.max(policy.dailyLimit - transferredToday, 0);
+        return fail(
+          "dailyLimit",
+          `Daily transfer limit of ${
+            policy.dailyLimit
+          } exceeded. Remaining today: ${walletService.roundAmount(remaining)}`
+        );
+      }
+    }
+
+    const wallet = await Wallet.findOne({ user: sender._id }).session(
+      session || null
+    );
+    const accounts = await this.getWithdrawableAccounts(session);
+    if (
+      !wallet ||
+      amount > walletService.getAvailableBalance(wallet, accounts)
+    ) {
+      return fail(
+        "balance",
+        "Transfer amount exceeds the available balance in wallet"
+      );
+    }
+
+    return { passed: true, policy };
+  }
+
+  /**
+   * Record a pending transfer waiting for the sender's confirmation.
+   * @param {Object} params - { sender, recipient, amount, note, policy }
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The pending transfer.
+   */
+  async initiate({ sender, recipient, amount, note, policy }, session) {
+    const expiresAt = new Date(
+      Date.now() + policy.confirmationWindowMinutes * 60 * 1000
+    );
+
+    const [transfer] = await WalletTransfer.create(
+      [
+        {
+          reference: this.generateReference(),
+          sender: sender._id,
+          recipient: recipient._id,
+          amount: walletService.roundAmount(amount),
+          note,
+          expiresAt,
+        },
+      ],
+      { session: session || null }
+    );
+    return transfer;
+  }
+
+  /**
+   * Move the money of a confirmed transfer: debit the sender's withdrawable
+   * balance and credit the recipient's fund transfer balance.
+   * @param {Object} transfer - Pending WalletTransfer document.
+   * @param {Object} parties - { sender, recipient } user documents.
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The completed transfer.
+   */
+  async complete(transfer, { sender, recipient }, session) {
+    const entry = {
+      amount: transfer.amount,
+      sourceType: LEDGER_SOURCE_TYPES.TRANSFER,
+      sourceId: transfer._id,
+      contraAccount: CONTRA_ACCOUNTS.MEMBER_TRANSFER,
+    };
+
+    await walletService.debitIncome(
+      {
+        ...entry,
+        userId: sender._id,
+        counterparty: recipient._id,
+        accounts: await this.getWithdrawableAccounts(session),
+        description: `Transfer ${transfer.reference} to ${recipient.referralCode}`,
+      },
+      session
+    );
+
+    await walletService.credit(
+      {
+        ...entry,
+        userId: recipient._id,
+        account: WALLET_ACCOUNTS.FUND_TRANSFER_BALANCE,
+        counterparty: sender._id,
+        description: `Transfer ${transfer.reference} from ${sender.referralCode}`,
+      },
+      session
+    );
+
+    transfer.status = TRANSFER_STATUSES.COMPLETED;
+    transfer.confirmedAt = new Date();
+    return transfer.save({ session });
+  }
+}
+
+module.exports = new WalletTransferService();
@@ -0,0 +1,112 @@
+const walletService = require("./WalletService");
+const {
+  WALLET_ACCOUNTS,
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+} = require("../../constants/walletConstant");
+const {
+  WITHDRAWAL_STATUSES,
+  PAYOUT_STATUS_TRANSITIONS,
+  RECREDIT_WITHDRAWAL_STATUSES,
+} = require("../../constants/withdrawalConstant");
+
+/**
+ * WithdrawalPayoutService
+ * Moves approved withdrawals through processing, paid, failed and reversed,
+ * giving the money back to the wallet when a payout fails or is reversed.
+ */
+class WithdrawalPayoutService {
+  /**
+   * Why a payout result cannot be recorded on a withdrawal request, if it
+   * cannot.
+   * @param {Object} withdrawalRequest - WithdrawalRequest document.
+   * @param {Object} result - { status, utrReference, failureReason }
+   * @returns {string|null} The problem, or null when it can be recorded.
+   */
+  getPayoutResultError(withdrawalRequest, result) {
+    const { status, utrReference, failureReason } = result;
+    const allowed = PAYOUT_STATUS_TRANSITIONS[withdrawalRequest.status] || [];
+
+    if (!allowed.includes(status)) {
+      return `Cannot move withdrawal request from ${withdrawalRequest.status} to ${status}`;
+    }
+
+    if (status === WITHDRAWAL_STATUSES.PAID && !utrReference) {
+      return "UTR reference is required for a paid withdrawal";
+    }
+
+    if (RECREDIT_WITHDRAWAL_STATUSES.includes(status) && !failureReason) {
+      return `Failure reason is required for a ${status} withdrawal`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a payout result on a withdrawal request.
+   * @param {Object} withdrawalRequest - WithdrawalRequest document.
+   * @param {Object} result - { status, utrReference, payoutDate, failureReason }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} The saved withdrawal request.
+   */
+  async applyPayoutResult(withdrawalRequest, result, session) {
+    const { status, utrReference, payoutDate, failureReason } = result;
+    const resultError = this.getPayoutResultError(withdrawalRequest, result);
+    if (resultError) {
+      throw new Error(resultError);
+    }
+
+    if (utrReference) {
+      withdrawalRequest.utrReference = utrReference;
+    }
+
+    if (status === WITHDRAWAL_STATUSES.PAID) {
+      withdrawalRequest.payoutDate = payoutDate || new Date();
+    }
+
+    if (RECREDIT_WITHDRAWAL_STATUSES.includes(status)) {
+      withdrawalRequest.failureReason = failureReason;
+      await this.recreditWallet(withdrawalRequest, status, session);
+    }
+
+    if (status === WITHDRAWAL_STATUSES.REVERSED) {
+      withdrawalRequest.reversalDate = payoutDate || new Date();
+    }
+
+    withdrawalRequest.status = status;
+    return withdrawalRequest.save({ session });
+  }
+
+  // Give the debited amount back through the ledger
+  async recreditWallet(withdrawalRequest, status, session) {
+    const description = `Withdrawal request ${withdrawalRequest._id} ${status}`;
+    const reversals = await walletService.reverseSourceEntries(
+      {
+        sourceType: LEDGER_SOURCE_TYPES.WITHDRAWAL,
+        sourceId: withdrawalRequest._id,
+        entryType: ENTRY_TYPES.DEBIT,
+      },
+      description,
+      session
+    );
+
+    // Requests approved before the ledger existed have no debit to reverse
+    if (reversals.length === 0) {
+      await walletService.credit(
+        {
+          userId: withdrawalRequest.user._id || withdrawalRequest.user,
+          account: WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+          amount: withdrawalRequest.amountRequested,
+          sourceType: LEDGER_SOURCE_TYPES.WITHDRAWAL,
+          sourceId: withdrawalRequest._id,
+          contraAccount: CONTRA_ACCOUNTS.WITHDRAWAL_PAYABLE,
+          description,
+        },
+        session
+      );
+    }
+  }
+}
+
+module.exports = new WithdrawalPayoutService();
@@ -0,0 +1,265 @@
+const mongoose = require("mongoose");
+const { BankDetails, User } = require("../models/DataBaseModel");
+const WithdrawalPolicy = require("../models/WithdrawalPolicyModel");
+const WithdrawalRequest = require("../models/WithdrwalModel");
+const walletService = require("./WalletService");
+const walletTransferService = require("./WalletTransferService");
+const logger = require("../../utils/logger");
+const {
+  DEFAULT_WITHDRAWAL_POLICY,
+  RELEASED_WITHDRAWAL_STATUSES,
+} = require("../../constants/withdrawalConstant");
+const {
+  getZonedParts,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+} = require("../../utils/dateUtil");
+const { getSingleton } = require("../../utils/singletonDocument");
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * WithdrawalPolicyService
+ * Loads the admin-editable withdrawal policy and evaluates a withdrawal
+ * request against it.
+ */
+class WithdrawalPolicyService {
+  /**
+   * Current policy, created from the defaults on first use.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async getPolicy(session) {
+    return this.migrateFlatFee(
+      await getSingleton(WithdrawalPolicy, DEFAULT_WITHDRAWAL_POLICY, session),
+      session
+    );
+  }
+
+  /**
+   * A policy saved before TDS was itemised holds the whole flat deduction
+   * in feePercentage. Give it zero TDS rates so members keep paying the same
+   * until an admin sets the rates.
+   * @param {Object} policy - Policy document as loaded.
+   * @param {ClientSession} session - Optional Mongo session.
+   * @returns {Object} The policy document.
+   */
+  async migrateFlatFee(policy, session) {
+    if (!policy.$isDefault("tdsRateWithPan")) {
+      return policy;
+    }
+
+    policy.set({ tdsRateWithPan: 0, tdsRateWithoutPan: 0 });
+    await policy.save({ session: session || null });
+    logger.info(
+      `Withdrawal policy ${policy._id} kept at its flat ${policy.feePercentage}% fee with TDS rates of 0 until an admin sets them`
+    );
+    return policy;
+  }
+
+  /**
+   * Save admin changes to the policy.
+   * @param {Object} changes - Validated policy fields.
+   * @param {string} adminId - Admin making the change.
+   * @returns {Object} The updated policy.
+   */
+  async updatePolicy(changes, adminId) {
+    const policy = await this.getPolicy();
+    policy.set({ ...changes, updatedBy: adminId });
+    return policy.save();
+  }
+
+  /**
+   * Itemised deductions for a requested amount under the policy: TDS at the
+   * PAN or no-PAN rate, plus the admin/processing charge. Members without a
+   * PAN pay the PAN rate until the policy's tdsWithoutPanFrom.
+   * @param {Object} policy - Withdrawal policy.
+   * @param {number} amountRequested - Gross amount.
+   * @param {string|null} panNumber - Member's PAN, if on file.
+   * @param {Date} at - Time of the request.
+   * @returns {Object} { deductionAmount, netAmount, deductions }
+   */
+  calculateFees(policy, amountRequested, panNumber, at = new Date()) {
+    const noPanRateApplies =
+      !panNumber &&
+      !!policy.tdsWithoutPanFrom &&
+      policy.tdsWithoutPanFrom <= at;
+    const tdsRate = noPanRateApplies
+      ? policy.tdsRateWithoutPan
+      : policy.tdsRateWithPan;
+    const tdsAmount = walletService.roundAmount(
+      (amountRequested * tdsRate) / 100
+    );
+    const adminChargeAmount = walletService.roundAmount(
+      (amountRequested * policy.feePercentage) / 100 + policy.flatFee
+    );
+    const deductionAmount = walletService.roundAmount(
+      tdsAmount + adminChargeAmount
+    );
+    const netAmount = walletService.roundAmount(
+      amountRequested - deductionAmount
+    );
+
+    return {
+      deductionAmount,
+      netAmount,
+      deductions: {
+        tdsRate,
+        tdsAmount,
+        adminChargeAmount,
+        panNumber: panNumber || null,
+      },
+    };
+  }
+
+  // Sum of requests in a period that still count towards the caps
+  async getRequestedSince(userId, since, session) {
+    const [row] = await WithdrawalRequest.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(userId)),
+          status: { $nin: RELEASED_WITHDRAWAL_STATUSES },
+          createdAt: { $gte: since },
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amountRequested" } } },
+    ]).session(session || null);
+
+    return row ? row.total : 0;
+  }
+
+  /**
+   * Evaluate a withdrawal request against the policy.
+   * @param {Object} params - { userId, amountRequested, wallet, now }
+   * @param {ClientSession} session - Mongo session of the surrounding transaction.
+   * @returns {Object} { passed, rule, message, deductionAmount, netAmount, deductions, policy }
+   */
+  async evaluate(
+    { userId, amountRequested, wallet, now = new Date() },
+    session
+  ) {
+    const policy = await this.getPolicy(session);
+    const fail = (rule, message) => ({ passed: false, rule, message, policy });
+
+    if (amountRequested < policy.minimumAmount) {
+      return fail(
+        "minimumAmount",
+        `Minimum withdrawal amount is ${policy.minimumAmount}`
+      );
+    }
+
+    const accounts = await walletTransferService.getWithdrawableAccounts(
+      session
+    );
+    if (
+      walletService.getTotalBalance(wallet, accounts) < policy.minimumBalance
+    ) {
+      return fail(
+        "minimumBalance",
+        `Minimum balance of ${policy.minimumBalance} required for withdrawal`
+      );
+    }
+
+    const { weekday, hour } = getZonedParts(now, policy.timezone);
+    if (!policy.allowedDays.includes(weekday)) {
+      return fail(
+        "allowedDays",
+        `Withdrawals are allowed only on ${policy.allowedDays
+          .map((day) => DAY_NAMES[day])
+          .join(", ")}`
+      );
+    }
+
+    const { from, to } = policy.allowedHours;
+    if (hour < from || hour >= to) {
+      return fail(
+        "allowedHours",
+        `Withdrawals are allowed only between ${from}:00 and ${to}:00`
+      );
+    }
+
+    if (policy.maxPendingRequests !== null) {
+      const pendingCount = await WithdrawalRequest.countDocuments({
+        user: userId,
+        status: "pending",
+      }).session(session || null);
+
+      if (pendingCount >= policy.maxPendingRequests) {
+        return fail(
+          "maxPendingRequests",
+          `No more than ${policy.maxPendingRequests} pending withdrawal requests are allowed`
+        );
+      }
+    }
+
+    if (policy.requireBankDetails) {
+      const bankDetails = await BankDetails.findOne({ user: userId }).session(
+        session || null
+      );
+
+      if (
+        !bankDetails ||
+        !bankDetails.accountNumber ||
+        !bankDetails.accountHolderName ||
+        !bankDetails.ifscCode
+      ) {
+        return fail(
+          "requireBankDetails",
+          "Complete bank details are required before withdrawal"
+        );
+      }
+    }
+
+    const caps = [
+      ["dailyCap", "daily", startOfDay],
+      ["weeklyCap", "weekly", startOfWeek],
+      ["monthlyCap", "monthly", startOfMonth],
+    ];
+
+    for (const [rule, label, periodStart] of caps) {
+      if (policy[rule] === null || policy[rule] === undefined) {
+        continue;
+      }
+
+      const requested = await this.getRequestedSince(
+        userId,
+        periodStart(now, policy.timezone),
+        session
+      );
+
+      if (requested + amountRequested > policy[rule]) {
+        return fail(
+          rule,
+          `Withdrawal exceeds the ${label} limit of ${policy[rule]} (already requested ${requested})`
+        );
+      }
+    }
+
+    const user = await User.findById(userId, "panNumber").session(
+      session || null
+    );
+    const { deductionAmount, netAmount, deductions } = this.calculateFees(
+      policy,
+      amountRequested,
+      user ? user.panNumber : null,
+      now
+    );
+
+    if (netAmount <= 0) {
+      return fail("fee", "Requested amount does not cover the withdrawal fee");
+    }
+
+    return { passed: true, deductionAmount, netAmount, deductions, policy };
+  }
+}
+
+module.exports = new WithdrawalPolicyService();
@@ -0,0 +1,22 @@
+const CASHBACK_USAGES = {
+  WITHDRAWABLE: "withdrawable", // Can be withdrawn and transferred like income
+  PURCHASES_ONLY: "purchasesOnly", // Can only pay for pins and products
+};
+
+const CASHBACK_SCHEDULE_STATUSES = {
+  ACTIVE: "active", // Instalments still to be released
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+// Policy applied until an admin saves one through the cashback policy API
+const DEFAULT_CASHBACK_POLICY = {
+  usage: CASHBACK_USAGES.WITHDRAWABLE,
+  instalments: 1, // Everything at registration
+};
+
+module.exports = {
+  CASHBACK_USAGES,
+  CASHBACK_SCHEDULE_STATUSES,
+  DEFAULT_CASHBACK_POLICY,
+};
@@ -0,0 +1,60 @@
+// How a plan's level income values are read
+const LEVEL_INCOME_TYPES = {
+  AMOUNT: "amount", // Fixed rupees per registration
+  PERCENTAGE: "percentage", // Percent of the package price
+};
+
+// What a plan pays for
+const PLAN_TYPES = {
+  REGISTRATION: "registration",
+  RENEWAL: "renewal", // Validity renewals; none are paid without a renewal plan
+};
+
+// Level income that used to be hard-coded in updateReferrerWallet, keyed by
+// package price. Used to seed version 1 of a package's commission plan so
+// registrations keep earning what they did before plans existed.
+const LEGACY_LEVEL_INCOME = {
+  60: {
+    levels: { 1: 4, 2: 3, 3: 2, 4: 1, 5: 1, 6: 1, 7: 1, 8: 0.5, 9: 0.3 },
+    default: 0.2,
+  },
+  200: {
+    levels: { 1: 10, 2: 6, 3: 4, 4: 1.5, 5: 1.5, 6: 1.5, 7: 1.5, 8: 1, 9: 0.6 },
+    default: 0.4,
+  },
+  1300: {
+    levels: { 1: 64, 2: 48, 3: 34, 4: 20, 5: 20, 6: 20, 7: 20, 8: 10, 9: 8 },
+    default: 2,
+  },
+};
+
+// What happens to a level share whose ancestor is not eligible
+const UNPAID_SHARE_MODES = {
+  ROLL_UP: "rollUp", // Added to the next eligible ancestor above
+  COMPANY: "company", // Kept by the company
+};
+
+// Why an ancestor did not receive their level share
+const SKIP_REASONS = {
+  INACTIVE: "inactive",
+  VALIDITY_EXPIRED: "validityExpired",
+  INSUFFICIENT_DIRECT_REFERRALS: "insufficientDirectReferrals",
+};
+
+// Level income distribution rules used until an admin saves a policy
+const DEFAULT_LEVEL_INCOME_POLICY = {
+  maxDepth: 10,
+  requireActive: true,
+  requireValidity: true,
+  minimumDirectReferrals: 0,
+  unpaidShareMode: UNPAID_SHARE_MODES.ROLL_UP,
+};
+
+module.exports = {
+  LEVEL_INCOME_TYPES,
+  PLAN_TYPES,
+  LEGACY_LEVEL_INCOME,
+  UNPAID_SHARE_MODES,
+  SKIP_REASONS,
+  DEFAULT_LEVEL_INCOME_POLICY,
+};
@@ -0,0 +1,28 @@
+const { WALLET_ACCOUNTS } = require("./walletConstant");
+
+// Income accounts whose credits count towards a member's caps
+const CAPPED_ACCOUNTS = [
+  WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.REWARD_INCOME,
+];
+
+const CAP_PERIODS = {
+  DAILY: "daily",
+  MONTHLY: "monthly",
+};
+
+// Policy applied until an admin saves one through the earning cap policy API
+const DEFAULT_EARNING_CAP_POLICY = {
+  enabled: false,
+  timezone: "Asia/Kolkata",
+  defaultDailyCap: null, // null means no cap
+  defaultMonthlyCap: null,
+  packageCaps: [],
+};
+
+module.exports = {
+  CAPPED_ACCOUNTS,
+  CAP_PERIODS,
+  DEFAULT_EARNING_CAP_POLICY,
+};
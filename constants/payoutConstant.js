@@ -0,0 +1,87 @@
+// Built-in bulk payout file layouts, used until an admin saves a layout of
+// the same name. Each column takes its value from a field of the payout row
+// built for every withdrawal request (see PayoutFileService). Fixed-width
+// columns are padded to `width`; numbers are right aligned.
+const PAYOUT_FILE_LAYOUTS = {
+  csv: {
+    format: "csv",
+    extension: "csv",
+    columns: [
+      { header: "Sr No", field: "serialNumber" },
+      { header: "Payment Mode", field: "paymentMode" },
+      { header: "Beneficiary Name", field: "beneficiaryName" },
+      { header: "Beneficiary Account No", field: "accountNumber" },
+      { header: "IFSC", field: "ifscCode" },
+      { header: "Amount", field: "amount" },
+      { header: "Debit Account No", field: "debitAccount" },
+      { header: "Value Date", field: "valueDate" },
+      { header: "Customer Reference", field: "reference" },
+      { header: "Narration", field: "narration" },
+    ],
+  },
+  fixedWidth: {
+    format: "fixed",
+    extension: "txt",
+    columns: [
+      { field: "paymentMode", width: 4 },
+      { field: "debitAccount", width: 20 },
+      { field: "accountNumber", width: 20 },
+      { field: "ifscCode", width: 11 },
+      { field: "beneficiaryName", width: 35 },
+      { field: "amount", width: 15, align: "right" },
+      { field: "valueDate", width: 8 },
+      { field: "reference", width: 24 },
+      { field: "narration", width: 30 },
+    ],
+  },
+};
+
+const PAYOUT_FILE_FORMATS = ["csv", "fixed"];
+
+// Fields of a payout row a layout column can take its value from
+const PAYOUT_ROW_FIELDS = [
+  "serialNumber",
+  "paymentMode",
+  "beneficiaryName",
+  "accountNumber",
+  "ifscCode",
+  "bankName",
+  "amount",
+  "debitAccount",
+  "valueDate",
+  "reference",
+  "narration",
+];
+
+const PAYMENT_MODES = ["NEFT", "IMPS"];
+
+// Accepted header names in a bank response file, compared case-insensitively
+const BANK_RESPONSE_COLUMNS = {
+  reference: ["customer reference", "reference", "ref no"],
+  status: ["status", "transaction status"],
+  utrReference: ["utr", "utr no", "utr number"],
+  payoutDate: ["payout date", "transaction date", "value date"],
+  failureReason: ["failure reason", "reason", "remarks"],
+};
+
+// Bank status values mapped to withdrawal statuses
+const BANK_RESPONSE_STATUSES = {
+  success: "paid",
+  paid: "paid",
+  processed: "paid",
+  completed: "paid",
+  failed: "failed",
+  failure: "failed",
+  rejected: "failed",
+  returned: "reversed",
+  reversed: "reversed",
+};
+
+module.exports = {
+  PAYOUT_FILE_LAYOUTS,
+  PAYOUT_FILE_FORMATS,
+  PAYOUT_ROW_FIELDS,
+  PAYMENT_MODES,
+  BANK_RESPONSE_COLUMNS,
+  BANK_RESPONSE_STATUSES,
+};
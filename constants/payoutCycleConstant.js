@@ -0,0 +1,70 @@
+const { WALLET_ACCOUNTS } = require("./walletConstant");
+
+// Income accounts whose credits wait for a payout cycle closing
+const DEFERRED_ACCOUNTS = [
+  WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.REWARD_INCOME,
+];
+
+const PAYOUT_CYCLE_FREQUENCIES = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+// What a closing does with income of a member who is not eligible
+const INELIGIBLE_INCOME_ACTIONS = {
+  CARRY_FORWARD: "carryForward", // Stays pending for the next closing
+  FORFEIT: "forfeit", // Kept by the company
+};
+
+// Why a closing did not release a member's income
+const HOLD_REASONS = {
+  INACTIVE: "inactive",
+  VALIDITY_EXPIRED: "validityExpired",
+};
+
+const PENDING_COMMISSION_STATUSES = {
+  PENDING: "pending",
+  RELEASED: "released", // Credited, less anything above the earning cap
+  FORFEITED: "forfeited",
+  CANCELLED: "cancelled", // Registration refunded before it was released
+};
+
+const PAYOUT_CYCLE_STATUSES = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed", // Some members could not be closed; re-run to finish
+};
+
+const PAYOUT_CYCLE_TRIGGERS = {
+  SCHEDULED: "scheduled",
+  MANUAL: "manual",
+};
+
+// A closing still marked running after this long is treated as crashed and may be re-run
+const STALE_CLOSING_MS = 60 * 60 * 1000;
+
+// Policy applied until an admin saves one through the payout cycle policy API
+const DEFAULT_PAYOUT_CYCLE_POLICY = {
+  enabled: false, // Income is credited at once while disabled
+  frequency: PAYOUT_CYCLE_FREQUENCIES.DAILY,
+  closingWeekday: 1, // Monday, for weekly closings
+  closingHour: 0,
+  timezone: "Asia/Kolkata",
+  requireActive: true,
+  requireValidity: true,
+  ineligibleIncomeAction: INELIGIBLE_INCOME_ACTIONS.CARRY_FORWARD,
+};
+
+module.exports = {
+  DEFERRED_ACCOUNTS,
+  PAYOUT_CYCLE_FREQUENCIES,
+  INELIGIBLE_INCOME_ACTIONS,
+  HOLD_REASONS,
+  PENDING_COMMISSION_STATUSES,
+  PAYOUT_CYCLE_STATUSES,
+  PAYOUT_CYCLE_TRIGGERS,
+  STALE_CLOSING_MS,
+  DEFAULT_PAYOUT_CYCLE_POLICY,
+};
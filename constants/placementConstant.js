@@ -0,0 +1,30 @@
+const PLACEMENT_STRATEGIES = {
+  BFS: "bfs", // First open slot in the sponsor's downline, level by level
+  SPONSOR_FIRST: "sponsorFirst", // Under the sponsor, else in their smallest leg
+  SPONSOR_LEG: "sponsorLeg", // In the leg the sponsor picks at registration
+};
+
+// Policy applied until an admin saves one through the placement policy API
+const DEFAULT_PLACEMENT_POLICY = {
+  strategy: PLACEMENT_STRATEGIES.BFS,
+};
+
+const LEVEL_THRESHOLD_MODES = {
+  DERIVED: "derived", // Level n needs matrixWidth^n referrals
+  CUSTOM: "custom", // Level n needs the count listed for it
+};
+
+// The 5x10 matrix the plan started with
+const DEFAULT_COMPENSATION_STRUCTURE = {
+  matrixWidth: 5,
+  maxDepth: 10,
+  levelThresholdMode: LEVEL_THRESHOLD_MODES.DERIVED,
+  levelThresholds: [],
+};
+
+module.exports = {
+  PLACEMENT_STRATEGIES,
+  DEFAULT_PLACEMENT_POLICY,
+  LEVEL_THRESHOLD_MODES,
+  DEFAULT_COMPENSATION_STRUCTURE,
+};
@@ -0,0 +1,13 @@
+const REBUILD_REPORT_STATUSES = {
+  PENDING: "pending", // Waiting for confirmation
+  APPLIED: "applied",
+  STALE: "stale", // Data changed before it was applied
+};
+
+// Pins marked used within this long of a registration may belong to it
+const PIN_MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+module.exports = {
+  REBUILD_REPORT_STATUSES,
+  PIN_MATCH_WINDOW_MS,
+};
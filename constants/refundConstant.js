@@ -0,0 +1,8 @@
+// Policy applied until an admin saves one through the refund policy API
+const DEFAULT_REFUND_POLICY = {
+  coolingOffDays: 7, // Days after registration a package can still be refunded
+};
+
+module.exports = {
+  DEFAULT_REFUND_POLICY,
+};
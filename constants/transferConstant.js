@@ -0,0 +1,30 @@
+// What money received by transfer may be used for
+const TRANSFER_RECEIVED_USAGES = {
+  WITHDRAWABLE: "withdrawable", // Can be withdrawn and transferred on like income
+  PURCHASES_ONLY: "purchasesOnly", // Can only pay for pins and products
+};
+
+// Policy applied until an admin saves one through the transfer policy API
+const DEFAULT_TRANSFER_POLICY = {
+  enabled: true,
+  downlineOnly: true,
+  minimumAmount: 1,
+  maximumAmount: null,
+  dailyLimit: null,
+  confirmationWindowMinutes: 10,
+  timezone: "Asia/Kolkata",
+  receivedUsage: TRANSFER_RECEIVED_USAGES.PURCHASES_ONLY,
+};
+
+const TRANSFER_STATUSES = {
+  PENDING: "pending", // Waiting for the sender to confirm
+  COMPLETED: "completed",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+module.exports = {
+  TRANSFER_RECEIVED_USAGES,
+  DEFAULT_TRANSFER_POLICY,
+  TRANSFER_STATUSES,
+};
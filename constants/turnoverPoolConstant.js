@@ -0,0 +1,22 @@
+// How a pool is split among the members who qualify for it
+const POOL_SHARE_MODES = {
+  EQUAL: "equal",
+  WEIGHTED: "weighted", // By the weight of the qualifying rank each member holds
+};
+
+const POOL_DISTRIBUTION_STATUSES = {
+  PENDING_APPROVAL: "pendingApproval",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+// Policy applied until an admin saves one through the turnover pool policy API
+const DEFAULT_TURNOVER_POOL_POLICY = {
+  timezone: "Asia/Kolkata", // Zone whose calendar months the turnover is measured in
+};
+
+module.exports = {
+  POOL_SHARE_MODES,
+  POOL_DISTRIBUTION_STATUSES,
+  DEFAULT_TURNOVER_POOL_POLICY,
+};
@@ -0,0 +1,70 @@
+// Wallet buckets that hold member money
+const WALLET_ACCOUNTS = {
+  DIRECT_REFERRAL_INCOME: "directReferralIncome",
+  INDIRECT_REFERRAL_INCOME: "indirectReferralIncome",
+  REWARD_INCOME: "rewardIncome",
+  FUND_TRANSFER_BALANCE: "fundTransferBalance", // Withdrawable only if the transfer policy says so
+  CASHBACK_BALANCE: "cashbackBalance", // Withdrawable only if the cashback policy says so
+};
+
+// Accounts that make up the withdrawable balance, in the order debits use them
+const SPENDABLE_ACCOUNTS = [
+  WALLET_ACCOUNTS.DIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.INDIRECT_REFERRAL_INCOME,
+  WALLET_ACCOUNTS.REWARD_INCOME,
+];
+
+// Accounts pin and product purchases draw on; cashback and received
+// transfers are used up before income
+const PURCHASE_ACCOUNTS = [
+  WALLET_ACCOUNTS.CASHBACK_BALANCE,
+  WALLET_ACCOUNTS.FUND_TRANSFER_BALANCE,
+  ...SPENDABLE_ACCOUNTS,
+];
+
+// Ledger entry sides
+const ENTRY_TYPES = {
+  CREDIT: "credit",
+  DEBIT: "debit",
+};
+
+// What caused a wallet movement
+const LEDGER_SOURCE_TYPES = {
+  REGISTRATION: "registration",
+  PIN: "pin",
+  WITHDRAWAL: "withdrawal",
+  TRANSFER: "transfer",
+  RANK_BONUS: "rankBonus",
+  CASHBACK: "cashback",
+  RENEWAL: "renewal",
+  UPGRADE: "upgrade",
+  TURNOVER_POOL: "turnoverPool",
+  ADJUSTMENT: "adjustment",
+};
+
+// Company-side accounts that balance every member wallet entry
+const CONTRA_ACCOUNTS = {
+  COMMISSION_EXPENSE: "commissionExpense",
+  WITHDRAWAL_PAYABLE: "withdrawalPayable",
+  MEMBER_TRANSFER: "memberTransfer",
+  PIN_SALES: "pinSales",
+  REWARD_EXPENSE: "rewardExpense",
+  CASHBACK_EXPENSE: "cashbackExpense",
+  ADJUSTMENT: "adjustment",
+};
+
+// Company accounts for income that was never credited to a member wallet
+const COMPANY_ACCOUNTS = {
+  RETAINED_LEVEL_INCOME: "retainedLevelIncome", // Level shares no eligible ancestor received
+  FLUSHED_INCOME: "flushedIncome", // Income above a member's earning cap
+};
+
+module.exports = {
+  WALLET_ACCOUNTS,
+  SPENDABLE_ACCOUNTS,
+  PURCHASE_ACCOUNTS,
+  ENTRY_TYPES,
+  LEDGER_SOURCE_TYPES,
+  CONTRA_ACCOUNTS,
+  COMPANY_ACCOUNTS,
+};
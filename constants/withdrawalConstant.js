@@ -0,0 +1,63 @@
+// Policy applied until an admin saves one through the policy API.
+// Matches the rules that used to be hard-coded in the withdrawal controller;
+// the old flat 8% is split into 5% TDS (with PAN) and a 3% admin charge.
+// Members without a PAN pay the PAN rate too until an admin sets the date
+// the no-PAN rate starts from, so deductions stay at 8% on deployment.
+const DEFAULT_WITHDRAWAL_POLICY = {
+  minimumAmount: 1,
+  minimumBalance: 100,
+  tdsRateWithPan: 5,
+  tdsRateWithoutPan: 20,
+  tdsWithoutPanFrom: null,
+  feePercentage: 3,
+  flatFee: 0,
+  dailyCap: null,
+  weeklyCap: null,
+  monthlyCap: null,
+  allowedDays: [0, 1, 2, 3, 4, 5, 6],
+  allowedHours: { from: 0, to: 24 },
+  timezone: "Asia/Kolkata",
+  maxPendingRequests: null,
+  requireBankDetails: false,
+};
+
+const WITHDRAWAL_STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  DENIED: "denied",
+  PROCESSING: "processing",
+  PAID: "paid",
+  FAILED: "failed",
+  REVERSED: "reversed",
+  CANCELLED: "cancelled",
+};
+
+// Payout results an admin or a bank response file can record, by current status
+const PAYOUT_STATUS_TRANSITIONS = {
+  approved: ["processing", "paid", "failed"],
+  processing: ["paid", "failed"],
+  paid: ["reversed"],
+};
+
+// Results that hand the money back to the member's wallet
+const RECREDIT_WITHDRAWAL_STATUSES = ["failed", "reversed"];
+
+// Requests in these states no longer count towards caps
+const RELEASED_WITHDRAWAL_STATUSES = [
+  "denied",
+  "failed",
+  "reversed",
+  "cancelled",
+];
+
+// Requests whose deductions were actually made, for TDS reporting
+const DEDUCTED_WITHDRAWAL_STATUSES = ["approved", "processing", "paid"];
+
+module.exports = {
+  DEFAULT_WITHDRAWAL_POLICY,
+  DEDUCTED_WITHDRAWAL_STATUSES,
+  WITHDRAWAL_STATUSES,
+  PAYOUT_STATUS_TRANSITIONS,
+  RECREDIT_WITHDRAWAL_STATUSES,
+  RELEASED_WITHDRAWAL_STATUSES,
+};
@@ -0,0 +1,24 @@
+const logger = require("../utils/logger");
+const baseResponse = require("../response/BaseResponse");
+
+// Let only admins through; goes after authMiddleware, which sets req.user
+const adminMiddleware = (req, res, next) => {
+  if (req.user && req.user.userType === "Admin") {
+    return next();
+  }
+
+  logger.warn(
+    `User ${req.user && req.user.id} attempted ${req.method} ${
+      req.originalUrl
+    } without admin permission.`
+  );
+  return res
+    .status(403)
+    .json(
+      baseResponse.errorResponseWithMessage(
+        "You do not have permission to perform this action"
+      )
+    );
+};
+
+module.exports = adminMiddleware;
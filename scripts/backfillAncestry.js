@@ -0,0 +1,43 @@
+/**
+ * Store the ancestry path and depth of every member. Run once after
+ * upgrading; running it again recomputes every path.
+ *
+ *   node scripts/backfillAncestry.js [--batch-size <n>]
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const { User } = require("../app/models/DataBaseModel");
+const referralTreeService = require("../app/services/ReferralTreeService");
+
+const run = async () => {
+  const batchIndex = process.argv.indexOf("--batch-size");
+  const batchSize =
+    batchIndex === -1 ? 1000 : Number(process.argv[batchIndex + 1]);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error("--batch-size must be a positive whole number");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    await User.createIndexes();
+
+    const result = await referralTreeService.backfillAncestry(batchSize);
+    console.log(JSON.stringify(result, null, 2));
+    if (result.unreached > 0) {
+      console.log(
+        `Warning: ${result.unreached} members sit in a parent loop and have no path`
+      );
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
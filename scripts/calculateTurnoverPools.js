@@ -0,0 +1,49 @@
+/**
+ * Calculate the turnover pool share-outs of the month that just ended, for
+ * admin approval. Schedule this shortly after each month end, e.g. on the
+ * 1st from cron; pass a month to calculate another one.
+ *
+ *   node scripts/calculateTurnoverPools.js [YYYY-MM]
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const turnoverPoolService = require("../app/services/TurnoverPoolService");
+
+const run = async () => {
+  if (process.argv[2] && !/^\d{4}-(0[1-9]|1[0-2])$/.test(process.argv[2])) {
+    throw new Error("Month must be in the form YYYY-MM");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    // The previous month in the time zone set by the turnover pool policy
+    const month =
+      process.argv[2] || (await turnoverPoolService.getPreviousMonth());
+    const result = await turnoverPoolService.calculateMonth(month);
+    if (result.error) {
+      console.error(result.error);
+      process.exitCode = 1;
+      return;
+    }
+
+    result.distributions.forEach((distribution) =>
+      console.log(
+        `${distribution.poolName} ${month}: ${distribution.distributedAmount} of ${distribution.poolAmount} to ${distribution.shares.length} members, awaiting approval`
+      )
+    );
+    if (result.skipped.length > 0) {
+      console.log(`${result.skipped.length} pools were already approved`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+/**
+ * Close the latest scheduled payout cycle if it is due. The payout cycle
+ * policy decides when closings fall; schedule this to run often, e.g. hourly
+ * from cron.
+ *
+ *   node scripts/closePayoutCycle.js
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const payoutCycleService = require("../app/services/PayoutCycleService");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const cycle = await payoutCycleService.closeDueCycle();
+    if (!cycle) {
+      console.log("No payout cycle closing is due");
+      return;
+    }
+
+    console.log(
+      `Payout cycle up to ${cycle.periodEnd.toISOString()} ${
+        cycle.status
+      }: released ${cycle.totals.releasedAmount} to ${
+        cycle.totals.members
+      } members`
+    );
+    if (cycle.status === "failed") {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,35 @@
+/**
+ * Evaluate the ranks of every member whose team changed since the last run.
+ * Registrations and upgrades only mark their upline; schedule this to run
+ * every few minutes, e.g. from cron.
+ *
+ *   node scripts/evaluateRanks.js
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const rankService = require("../app/services/RankService");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const result = await rankService.evaluateQueued();
+    console.log(
+      `Evaluated ${result.evaluated} members: ${result.promotions} promotions`
+    );
+    if (result.failed > 0) {
+      console.error(`${result.failed} members failed and stay queued`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,81 @@
+/**
+ * Replay the referral history and compare wallets and levels with it.
+ *
+ *   node scripts/rebuildWallets.js                 Create a report (changes nothing)
+ *   node scripts/rebuildWallets.js --apply <id>    Apply the corrections of a report
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const rebuildService = require("../app/services/RebuildService");
+
+const printReport = (report) => {
+  console.log(`Rebuild report ${report._id} (${report.status})`);
+  console.log(JSON.stringify(report.summary, null, 2));
+
+  if (report.walletCorrections.length > 0) {
+    console.log("\nWallet corrections:");
+    console.table(
+      report.walletCorrections.map(
+        ({ referralCode, account, current, expected, difference }) => ({
+          referralCode,
+          account,
+          current,
+          expected,
+          difference,
+        })
+      )
+    );
+  }
+
+  if (report.levelCorrections.length > 0) {
+    console.log("\nLevel corrections:");
+    console.table(
+      report.levelCorrections.map(
+        ({ referralCode, currentLevel, expectedLevel }) => ({
+          referralCode,
+          currentLevel,
+          expectedLevel,
+        })
+      )
+    );
+  }
+
+  report.warnings.forEach((warning) => console.log(`Warning: ${warning}`));
+};
+
+const run = async () => {
+  const applyIndex = process.argv.indexOf("--apply");
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    if (applyIndex === -1) {
+      const report = await rebuildService.createReport({
+        triggeredFrom: "cli",
+      });
+      printReport(report);
+      console.log(
+        `\nNothing was changed. To apply: node scripts/rebuildWallets.js --apply ${report._id}`
+      );
+      return;
+    }
+
+    const reportId = process.argv[applyIndex + 1];
+    if (!reportId) {
+      throw new Error("Pass the id of the report to apply after --apply");
+    }
+
+    const report = await rebuildService.applyReport(reportId);
+    printReport(report);
+    console.log("\nCorrections applied.");
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+/**
+ * Release every cashback instalment that has fallen due. Schedule it to run
+ * daily, e.g. from cron.
+ *
+ *   node scripts/releaseCashback.js
+ */
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+
+dotenv.config();
+
+const cashbackService = require("../app/services/CashbackService");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const result = await cashbackService.releaseDueInstalments();
+    console.log(
+      `Released ${result.amount} of cashback from ${result.schedules} schedules`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const cashbackService = require("../../app/services/CashbackService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("buildInstalments pays everything at once for a single instalment", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  assert.deepStrictEqual(
+    cashbackService.buildInstalments(100, from, new Date("2026-02-01"), 1),
+    [{ number: 1, amount: 100, dueAt: from }]
+  );
+});
+
+test("buildInstalments pays at once without a validity period to spread over", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  assert.deepStrictEqual(cashbackService.buildInstalments(100, from, null, 3), [
+    { number: 1, amount: 100, dueAt: from },
+  ]);
+});
+
+test("buildInstalments spreads evenly and puts the rounding on the last one", () => {
+  const from = new Date("2026-01-01T00:00:00Z");
+  const until = new Date(from.getTime() + 30 * DAY_MS);
+  const instalments = cashbackService.buildInstalments(100, from, until, 3);
+
+  assert.deepStrictEqual(
+    instalments.map((instalment) => instalment.amount),
+    [33.33, 33.33, 33.34]
+  );
+  assert.deepStrictEqual(
+    instalments.map(
+      (instalment) => instalment.dueAt.getTime() - from.getTime()
+    ),
+    [0, 10 * DAY_MS, 20 * DAY_MS]
+  );
+});
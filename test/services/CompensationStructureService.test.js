@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const compensationStructureService = require("../../app/services/CompensationStructureService");
+
+test("getLevelThresholds derives width^level referrals, highest level first", () => {
+  assert.deepStrictEqual(
+    compensationStructureService.getLevelThresholds({
+      matrixWidth: 3,
+      maxDepth: 4,
+      levelThresholdMode: "derived",
+    }),
+    [
+      { level: 4, count: 81 },
+      { level: 3, count: 27 },
+      { level: 2, count: 9 },
+    ]
+  );
+});
+
+test("getLevelThresholds uses custom counts within the depth", () => {
+  assert.deepStrictEqual(
+    compensationStructureService.getLevelThresholds({
+      matrixWidth: 5,
+      maxDepth: 3,
+      levelThresholdMode: "custom",
+      levelThresholds: [
+        { level: 2, count: 10 },
+        { level: 4, count: 500 },
+        { level: 3, count: 50 },
+      ],
+    }),
+    [
+      { level: 3, count: 50 },
+      { level: 2, count: 10 },
+    ]
+  );
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const payoutCycleService = require("../../app/services/PayoutCycleService");
+
+const policy = {
+  frequency: "daily",
+  closingWeekday: 1,
+  closingHour: 0,
+  timezone: "Asia/Kolkata",
+};
+
+test("getClosingTimes finds the daily closings either side of now", () => {
+  const { previous, next } = payoutCycleService.getClosingTimes(
+    policy,
+    new Date("2026-03-10T12:00:00Z")
+  );
+
+  assert.strictEqual(previous.toISOString(), "2026-03-09T18:30:00.000Z");
+  assert.strictEqual(next.toISOString(), "2026-03-10T18:30:00.000Z");
+});
+
+test("getClosingTimes treats a closing at exactly now as the previous one", () => {
+  const { previous } = payoutCycleService.getClosingTimes(
+    { ...policy, closingHour: 6 },
+    new Date("2026-03-10T00:30:00Z")
+  );
+
+  assert.strictEqual(previous.toISOString(), "2026-03-10T00:30:00.000Z");
+});
+
+test("getClosingTimes finds the weekly closings on the closing weekday", () => {
+  // Wednesday 11 March 2026; closings fall on Mondays
+  const { previous, next } = payoutCycleService.getClosingTimes(
+    { ...policy, frequency: "weekly" },
+    new Date("2026-03-11T12:00:00Z")
+  );
+
+  assert.strictEqual(previous.toISOString(), "2026-03-08T18:30:00.000Z");
+  assert.strictEqual(next.toISOString(), "2026-03-15T18:30:00.000Z");
+});
@@ -0,0 +1,31 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const payoutFileService = require("../../app/services/PayoutFileService");
+
+const layout = {
+  name: "bank",
+  format: "fixed",
+  extension: "txt",
+  columns: [
+    { field: "beneficiaryName", width: 6 },
+    { field: "amount", width: 8, align: "right" },
+  ],
+};
+
+test("buildFile pads each value to its fixed-width column", () => {
+  const file = payoutFileService.buildFile(layout, [
+    { beneficiaryName: "Asha", amount: "150.00" },
+  ]);
+
+  assert.strictEqual(file.content, "Asha    150.00");
+});
+
+test("a value longer than its column is refused instead of cut", () => {
+  const row = { beneficiaryName: "Ashwini", amount: "150.00" };
+
+  assert.strictEqual(
+    payoutFileService.getRowError(layout, row),
+    "beneficiaryName is longer than the 6 characters the bank layout allows"
+  );
+  assert.throws(() => payoutFileService.buildFile(layout, [row]));
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const rebuildService = require("../../app/services/RebuildService");
+
+test("applyDebit takes from the spendable accounts in order", () => {
+  const balances = {
+    directReferralIncome: 30,
+    indirectReferralIncome: 50,
+    rewardIncome: 10,
+  };
+  rebuildService.applyDebit(balances, 60);
+
+  assert.deepStrictEqual(balances, {
+    directReferralIncome: 0,
+    indirectReferralIncome: 20,
+    rewardIncome: 10,
+  });
+});
+
+test("applyDebit shows what it cannot cover as a negative first account", () => {
+  const balances = { directReferralIncome: 10 };
+  rebuildService.applyDebit(balances, 25);
+
+  assert.strictEqual(balances.directReferralIncome, -15);
+});
@@ -0,0 +1,34 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const turnoverPoolService = require("../../app/services/TurnoverPoolService");
+
+const qualifiers = [
+  { user: "a", weight: 3 },
+  { user: "b", weight: 1 },
+  { user: "c", weight: 0 },
+];
+
+test("buildShares splits equally, ignoring weights", () => {
+  assert.deepStrictEqual(
+    turnoverPoolService
+      .buildShares(100, qualifiers, "equal")
+      .map((share) => share.amount),
+    [33.33, 33.33, 33.33]
+  );
+});
+
+test("buildShares splits by weight and leaves out zero weights", () => {
+  assert.deepStrictEqual(
+    turnoverPoolService
+      .buildShares(100, qualifiers, "weighted")
+      .map(({ user, amount }) => ({ user, amount })),
+    [
+      { user: "a", amount: 75 },
+      { user: "b", amount: 25 },
+    ]
+  );
+});
+
+test("buildShares returns nothing without qualifiers", () => {
+  assert.deepStrictEqual(turnoverPoolService.buildShares(100, [], "equal"), []);
+});
@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const mongoose = require("mongoose");
+const WithdrawalPolicy = require("../../app/models/WithdrawalPolicyModel");
+const withdrawalPolicyService = require("../../app/services/WithdrawalPolicyService");
+const {
+  DEFAULT_WITHDRAWAL_POLICY,
+} = require("../../constants/withdrawalConstant");
+
+test("calculateFees itemises TDS at the PAN rate and the admin charge", () => {
+  const result = withdrawalPolicyService.calculateFees(
+    { ...DEFAULT_WITHDRAWAL_POLICY, flatFee: 10 },
+    1000,
+    "ABCDE1234F"
+  );
+
+  assert.deepStrictEqual(result, {
+    deductionAmount: 90,
+    netAmount: 910,
+    deductions: {
+      tdsRate: 5,
+      tdsAmount: 50,
+      adminChargeAmount: 40,
+      panNumber: "ABCDE1234F",
+    },
+  });
+});
+
+test("calculateFees rounds each deduction to the cent", () => {
+  const result = withdrawalPolicyService.calculateFees(
+    DEFAULT_WITHDRAWAL_POLICY,
+    333.33,
+    "ABCDE1234F"
+  );
+
+  assert.strictEqual(result.deductions.tdsAmount, 16.67);
+  assert.strictEqual(result.deductions.adminChargeAmount, 10);
+  assert.strictEqual(result.netAmount, 306.66);
+});
+
+test("calculateFees keeps members without a PAN at 8% on the default policy", () => {
+  const result = withdrawalPolicyService.calculateFees(
+    DEFAULT_WITHDRAWAL_POLICY,
+    1000,
+    null
+  );
+
+  assert.strictEqual(result.deductions.tdsRate, 5);
+  assert.strictEqual(result.deductionAmount, 80);
+});
+
+test("calculateFees applies the no-PAN rate from the date the admin set", () => {
+  const policy = {
+    ...DEFAULT_WITHDRAWAL_POLICY,
+    tdsWithoutPanFrom: new Date("2026-04-01T00:00:00Z"),
+  };
+
+  assert.strictEqual(
+    withdrawalPolicyService.calculateFees(
+      policy,
+      1000,
+      null,
+      new Date("2026-03-31T23:59:59Z")
+    ).deductionAmount,
+    80
+  );
+  assert.strictEqual(
+    withdrawalPolicyService.calculateFees(
+      policy,
+      1000,
+      null,
+      new Date("2026-04-01T00:00:00Z")
+    ).deductionAmount,
+    230
+  );
+  assert.strictEqual(
+    withdrawalPolicyService.calculateFees(
+      policy,
+      1000,
+      "ABCDE1234F",
+      new Date("2026-04-01T00:00:00Z")
+    ).deductionAmount,
+    80
+  );
+});
+
+test("calculateFees keeps a policy saved with the old flat 8% at 8%", async () => {
+  // Saved before TDS was itemised: only the flat fee is in the document
+  const saved = WithdrawalPolicy.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    feePercentage: 8,
+  });
+  saved.save = async () => saved;
+
+  const policy = await withdrawalPolicyService.migrateFlatFee(saved);
+  for (const panNumber of [null, "ABCDE1234F"]) {
+    const result = withdrawalPolicyService.calculateFees(
+      policy,
+      1000,
+      panNumber
+    );
+    assert.strictEqual(result.deductionAmount, 80);
+    assert.strictEqual(result.deductions.tdsAmount, 0);
+  }
+});
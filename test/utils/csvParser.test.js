@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { parseCsv } = require("../../utils/csvParser");
+
+test("parseCsv keeps the source line of each record past blank lines", () => {
+  const records = parseCsv('a,b\r\n\r\n1,"x\ny"\n\n2,3\n');
+
+  assert.deepStrictEqual(records, [
+    { line: 3, record: { a: "1", b: "x\ny" } },
+    { line: 6, record: { a: "2", b: "3" } },
+  ]);
+});
+
+test("parseCsv fills missing cells and unescapes doubled quotes", () => {
+  assert.deepStrictEqual(parseCsv('a,b,c\n"say ""hi""",2'), [
+    { line: 2, record: { a: 'say "hi"', b: "2", c: "" } },
+  ]);
+});
@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { escapeCsvValue } = require("../../utils/csvWriter");
+
+test("escapeCsvValue keeps formulas from running in a spreadsheet", () => {
+  assert.strictEqual(escapeCsvValue("=1+2"), "'=1+2");
+  assert.strictEqual(escapeCsvValue("@SUM(A1)"), "'@SUM(A1)");
+  assert.strictEqual(
+    escapeCsvValue('=HYPERLINK("http://x")'),
+    `"'=HYPERLINK(""http://x"")"`
+  );
+});
+
+test("escapeCsvValue leaves signed numbers as numbers", () => {
+  assert.strictEqual(escapeCsvValue("-150.00"), "-150.00");
+  assert.strictEqual(escapeCsvValue(-3), "-3");
+  assert.strictEqual(escapeCsvValue("Asha"), "Asha");
+});
@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  zonedMidnight,
+  startOfWeek,
+  startOfMonth,
+} = require("../../utils/dateUtil");
+
+test("zonedMidnight rolls day and month overflow into the next period", () => {
+  assert.strictEqual(
+    zonedMidnight(2026, 11, 32, "Asia/Kolkata").toISOString(),
+    "2026-12-31T18:30:00.000Z"
+  );
+});
+
+test("startOfWeek and startOfMonth use the zone's calendar", () => {
+  // Sunday 1 March 2026, 23:00 in Kolkata
+  const at = new Date("2026-03-01T17:30:00Z");
+
+  assert.strictEqual(
+    startOfWeek(at, "Asia/Kolkata").toISOString(),
+    "2026-02-22T18:30:00.000Z"
+  );
+  assert.strictEqual(
+    startOfMonth(at, "Asia/Kolkata").toISOString(),
+    "2026-02-28T18:30:00.000Z"
+  );
+});
@@ -0,0 +1,79 @@
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, escaped quotes
+ * and CRLF or LF line endings; blank lines are dropped.
+ * @param {string} text - CSV document.
+ * @returns {Array<Object>} [{ line, cells }]: the line each row starts on,
+ * counting from 1, and its trimmed cell values.
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const endsLine = char === "\n" || (char === "\r" && text[i + 1] !== "\n");
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+        // Quoted cells may span lines
+        if (endsLine) {
+          line++;
+        }
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell.trim());
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push({ line: rowLine, cells: row });
+
+  return rows.filter(({ cells }) => cells.some((value) => value !== ""));
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by header.
+ * @param {string} text - CSV document.
+ * @returns {Array<Object>} [{ line, record }]: one per data line, with the
+ * line it starts on in the text.
+ */
+const parseCsv = (text) => {
+  const [header = { cells: [] }, ...rows] = parseCsvRows(text);
+  return rows.map(({ line, cells }) => {
+    const record = {};
+    header.cells.forEach((name, index) => {
+      record[name] = cells[index] === undefined ? "" : cells[index];
+    });
+    return { line, record };
+  });
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+};
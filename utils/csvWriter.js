@@ -0,0 +1,42 @@
+// Cells a spreadsheet would run as a formula, unless they are plain numbers
+const isFormulaLike = (text) =>
+  /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text);
+
+// Quote a single CSV cell when it contains a delimiter, quote or newline.
+// Text that would start a formula, e.g. a member name like "=HYPERLINK(...)",
+// is prefixed with an apostrophe so spreadsheets show it as text.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (isFormulaLike(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build a CSV document from column definitions and rows.
+ * @param {Array} columns - [{ header, key }] in output order.
+ * @param {Array} rows - Plain objects keyed by column key.
+ * @returns {string} CSV text with a header line.
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header))];
+
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvValue(row[column.key])));
+  });
+
+  return lines.map((line) => line.join(",")).join("\r\n");
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+};
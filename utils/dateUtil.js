@@ -0,0 +1,87 @@
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Wall-clock parts of a date in the given IANA time zone.
+ * @param {Date} date - Instant to convert.
+ * @param {string} timeZone - e.g. "Asia/Kolkata".
+ * @returns {Object} { year, month (0-11), day, hour, minute, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "short",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// Offset in milliseconds between the zone's wall clock and UTC at a date
+const getZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the given wall-clock date starts in the zone
+const zonedMidnight = (year, month, day, timeZone) => {
+  const utcGuess = new Date(Date.UTC(year, month, day));
+  return new Date(utcGuess.getTime() - getZoneOffset(utcGuess, timeZone));
+};
+
+// Start of the calendar day containing the date
+const startOfDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month, day, timeZone);
+};
+
+// Start of the week (Monday) containing the date
+const startOfWeek = (date, timeZone) => {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  const daysSinceMonday = (weekday + 6) % 7;
+  return zonedMidnight(year, month, day - daysSinceMonday, timeZone);
+};
+
+// Start of the calendar month containing the date
+const startOfMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month, 1, timeZone);
+};
+
+const addDays = (date, days) =>
+  new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+module.exports = {
+  getZonedParts,
+  zonedMidnight,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+  addDays,
+};
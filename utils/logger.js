@@ -21,6 +21,7 @@ const logFormat = format.combine(
 // Create the logger instance
 const logger = createLogger({
   level: "info", // Default log level
+  silent: process.env.NODE_ENV === "test", // Keep test runs out of the log file
   format: logFormat,
   transports: [
     new transports.Console(), // Logs to the console
@@ -0,0 +1,82 @@
+const PDFDocument = require("pdfkit");
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+// Draw one table row, each cell clipped to its column width
+const drawRow = (doc, columns, values, y, font) => {
+  let x = PAGE_MARGIN;
+  doc.font(font).fontSize(8);
+  columns.forEach((column, index) => {
+    doc.text(values[index], x + 2, y + 5, {
+      width: column.width - 4,
+      height: ROW_HEIGHT - 5,
+      align: column.align || "left",
+      lineBreak: false,
+      ellipsis: true,
+    });
+    x += column.width;
+  });
+};
+
+/**
+ * Render a simple report PDF: a title, a block of header lines, a table and
+ * a block of footer lines.
+ * @param {Object} options - { title, headerLines, columns: [{ header, key, width, align }], rows, footerLines, layout }
+ * @returns {Promise<Buffer>} The PDF file contents.
+ */
+const buildTablePdf = ({
+  title,
+  headerLines = [],
+  columns,
+  rows,
+  footerLines = [],
+  layout = "landscape",
+}) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout, margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(title);
+    doc.moveDown(0.5);
+    doc.font("Helvetica").fontSize(10);
+    headerLines.forEach((line) => doc.text(line));
+    doc.moveDown();
+
+    const bottom = doc.page.height - PAGE_MARGIN - ROW_HEIGHT;
+    const headers = columns.map((column) => column.header);
+    let y = doc.y;
+
+    drawRow(doc, columns, headers, y, "Helvetica-Bold");
+    y += ROW_HEIGHT;
+
+    rows.forEach((row) => {
+      if (y > bottom) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+        drawRow(doc, columns, headers, y, "Helvetica-Bold");
+        y += ROW_HEIGHT;
+      }
+      const values = columns.map((column) =>
+        row[column.key] === null || row[column.key] === undefined
+          ? ""
+          : String(row[column.key])
+      );
+      drawRow(doc, columns, values, y, "Helvetica");
+      y += ROW_HEIGHT;
+    });
+
+    doc.font("Helvetica").fontSize(10);
+    doc.text("", PAGE_MARGIN, y + ROW_HEIGHT);
+    footerLines.forEach((line) => doc.text(line));
+
+    doc.end();
+  });
+
+module.exports = {
+  buildTablePdf,
+};
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// Fixed id a settings document is created with, so that two requests
+// creating it at once upsert the same document instead of inserting two
+const SINGLETON_ID = new mongoose.Types.ObjectId("000000000000000000000001");
+
+/**
+ * The one document of a settings collection (a policy or structure),
+ * created from the defaults on first use.
+ * @param {Model} Model - Mongoose model of the collection.
+ * @param {Object} defaults - Fields of a new document.
+ * @param {ClientSession} session - Optional Mongo session.
+ * @param {Object} filter - Picks the document out of a collection that
+ * holds others besides it.
+ * @returns {Object} The document.
+ */
+const getSingleton = async (Model, defaults, session, filter = {}) => {
+  // Documents created before the fixed id keep their own id
+  const existing = await Model.findOne(filter).session(session || null);
+  if (existing) {
+    return existing;
+  }
+
+  return Model.findOneAndUpdate(
+    { _id: SINGLETON_ID },
+    { $setOnInsert: defaults },
+    { upsert: true, new: true, session: session || null }
+  );
+};
+
+/**
+ * The settings document as stored, or an unsaved one holding the defaults.
+ * Never writes, for read-only callers such as dry runs.
+ * @param {Model} Model - Mongoose model of the collection.
+ * @param {Object} defaults - Fields of a new document.
+ * @param {ClientSession} session - Optional Mongo session.
+ * @param {Object} filter - Picks the document out of a collection that
+ * holds others besides it.
+ * @returns {Object} The document.
+ */
+const findSingleton = async (Model, defaults, session, filter = {}) =>
+  (await Model.findOne(filter).session(session || null)) || new Model(defaults);
+
+/**
+ * Save admin changes to a settings document.
+ * @param {Model} Model - Mongoose model of the collection.
+ * @param {Object} defaults - Fields of a new document.
+ * @param {Object} changes - Validated fields.
+ * @param {string} adminId - Admin making the change.
+ * @returns {Object} The updated document.
+ */
+const updateSingleton = async (Model, defaults, changes, adminId) => {
+  const document = await getSingleton(Model, defaults);
+  document.set({ ...changes, updatedBy: adminId });
+  return document.save();
+};
+
+module.exports = {
+  getSingleton,
+  findSingleton,
+  updateSingleton,
+};